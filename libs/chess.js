@@ -81,6 +81,11 @@ export class Move {
       this.promotion = promotion
       this.lan += promotion
     }
+
+    // the square the castling rook starts on, which chess960 starts can put anywhere
+    if (flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE)) {
+      this.rookFrom = chess["_castlingRookSquare"](internal)
+    }
   }
 
   isCapture() {
@@ -289,6 +294,14 @@ const ROOKS = {
   }
 }
 
+// copies castling squares, each position keeps its own since chess960 starts move them
+function cloneCastlingSquares(squares) {
+  return {
+    w: { q: { ...squares.w.q }, k: { ...squares.w.k } },
+    b: { q: { ...squares.b.q }, k: { ...squares.b.k } }
+  }
+}
+
 const SECOND_RANK = { b: RANK_7, w: RANK_2 }
 
 const TERMINATION_MARKERS = ["1-0", "0-1", "1/2-1/2", "*"]
@@ -580,6 +593,8 @@ export class Chess {
     bk: "",
     bq: ""
   }
+  _castlingKings = cloneCastlingSquares(KINGS)
+  _castlingRooks = cloneCastlingSquares(ROOKS)
   _fen = ""
 
   // tracks number of times a position has been seen for repetition checking
@@ -594,6 +609,8 @@ export class Chess {
     this._kings = { w: EMPTY, b: EMPTY }
     this._turn = WHITE
     this._castling = { w: 0, b: 0 }
+    this._castlingKings = cloneCastlingSquares(KINGS)
+    this._castlingRooks = cloneCastlingSquares(ROOKS)
     this._epSquare = EMPTY
     this._halfMoves = 0
     this._moveNumber = 1
@@ -653,38 +670,31 @@ export class Chess {
 
     this._turn = tokens[1]
 
-    let found = ""
-    for (const c of !is960 ? "K" : "HGFEDCBA") {
-      if (tokens[2].indexOf(c) > -1) {
-        found = c
-        this._castling.w |= BITS.KSIDE_CASTLE
-        this._castlingSymbols.wk = c
-        break
-      }
-    }
-    for (const c of !is960 ? "Q" : "HGFEDCBA") {
-      if (c === found) continue
-      if (tokens[2].indexOf(c) > -1) {
-        this._castling.w |= BITS.QSIDE_CASTLE
-        this._castlingSymbols.wq = c
-        break
-      }
-    }
-    found = ""
-    for (const c of !is960 ? "k" : "hgfedcba") {
-      if (tokens[2].indexOf(c) > -1) {
-        found = c
-        this._castling.b |= BITS.KSIDE_CASTLE
-        this._castlingSymbols.bk = c
-        break
+    if (is960) {
+      // shredder-fen names the file of the rook, its side depends on where the king is
+      for (const c of tokens[2]) {
+        if (c === "-") continue
+
+        const color = c < "a" ? WHITE : BLACK
+        const rook = Ox88[c.toLowerCase() + (color === WHITE ? "1" : "8")]
+        const side = file(rook) > file(this._kings[color]) ? KING : QUEEN
+
+        this._castling[color] |= SIDES[side]
+        this._castlingSymbols[color + side] = c
+        this._castlingRooks[color][side].from = rook
       }
-    }
-    for (const c of !is960 ? "q" : "hgfedcba") {
-      if (c === found) continue
-      if (tokens[2].indexOf(c) > -1) {
-        this._castling.b |= BITS.QSIDE_CASTLE
-        this._castlingSymbols.bq = c
-        break
+    } else {
+      for (const c of "KQkq") {
+        if (tokens[2].indexOf(c) === -1) continue
+
+        const color = c < "a" ? WHITE : BLACK
+        const side = c.toLowerCase()
+        this._castling[color] |= SIDES[side]
+        this._castlingSymbols[color + side] = c
+
+        // x-fen castles with the outermost rook on that side of the king
+        const rook = this._findCastlingRook(color, side)
+        if (rook !== EMPTY) this._castlingRooks[color][side].from = rook
       }
     }
 
@@ -698,6 +708,23 @@ export class Chess {
     this._fen = fen
   }
 
+  _findCastlingRook(color, side) {
+    const king = this._kings[color]
+    const backRank = color === WHITE ? RANK_1 : RANK_8
+    if (king === EMPTY || rank(king) !== backRank) return EMPTY
+
+    const step = side === KING ? 1 : -1
+    let rook = EMPTY
+
+    for (let sq = king + step; !(sq & 0x88); sq += step) {
+      if (this._board[sq]?.type === ROOK && this._board[sq].color === color) {
+        rook = sq
+      }
+    }
+
+    return rook
+  }
+
   fen() {
     let empty = 0
     let fen = ""
@@ -871,15 +898,15 @@ export class Chess {
 
     if (type === KING) {
       this._kings[color] = sq
-      KINGS[color][KING].from = sq
-      KINGS[color][QUEEN].from = sq
+      this._castlingKings[color][KING].from = sq
+      this._castlingKings[color][QUEEN].from = sq
     }
 
     if (type === ROOK) {
       if (-1 == this._kings[color]) {
-        ROOKS[color][QUEEN].from = sq
+        this._castlingRooks[color][QUEEN].from = sq
       } else {
-        ROOKS[color][KING].from = sq
+        this._castlingRooks[color][KING].from = sq
       }
     }
 
@@ -902,40 +929,40 @@ export class Chess {
 
   _updateCastlingRights() {
     const whiteKingInPlace =
-      this._board[KINGS[WHITE][KING].from]?.type === KING &&
-      this._board[KINGS[WHITE][KING].from]?.color === WHITE
+      this._board[this._castlingKings[WHITE][KING].from]?.type === KING &&
+      this._board[this._castlingKings[WHITE][KING].from]?.color === WHITE
     const blackKingInPlace =
-      this._board[KINGS[BLACK][KING].from]?.type === KING &&
-      this._board[KINGS[BLACK][KING].from]?.color === BLACK
+      this._board[this._castlingKings[BLACK][KING].from]?.type === KING &&
+      this._board[this._castlingKings[BLACK][KING].from]?.color === BLACK
 
     if (
       !whiteKingInPlace ||
-      this._board[ROOKS[WHITE][QUEEN].from]?.type !== ROOK ||
-      this._board[ROOKS[WHITE][QUEEN].from]?.color !== WHITE
+      this._board[this._castlingRooks[WHITE][QUEEN].from]?.type !== ROOK ||
+      this._board[this._castlingRooks[WHITE][QUEEN].from]?.color !== WHITE
     ) {
       this._castling.w &= ~BITS.QSIDE_CASTLE
     }
 
     if (
       !whiteKingInPlace ||
-      this._board[ROOKS[WHITE][KING].from]?.type !== ROOK ||
-      this._board[ROOKS[WHITE][KING].from]?.color !== WHITE
+      this._board[this._castlingRooks[WHITE][KING].from]?.type !== ROOK ||
+      this._board[this._castlingRooks[WHITE][KING].from]?.color !== WHITE
     ) {
       this._castling.w &= ~BITS.KSIDE_CASTLE
     }
 
     if (
       !blackKingInPlace ||
-      this._board[ROOKS[BLACK][QUEEN].from]?.type !== ROOK ||
-      this._board[ROOKS[BLACK][QUEEN].from]?.color !== BLACK
+      this._board[this._castlingRooks[BLACK][QUEEN].from]?.type !== ROOK ||
+      this._board[this._castlingRooks[BLACK][QUEEN].from]?.color !== BLACK
     ) {
       this._castling.b &= ~BITS.QSIDE_CASTLE
     }
 
     if (
       !blackKingInPlace ||
-      this._board[ROOKS[BLACK][KING].from]?.type !== ROOK ||
-      this._board[ROOKS[BLACK][KING].from]?.color !== BLACK
+      this._board[this._castlingRooks[BLACK][KING].from]?.type !== ROOK ||
+      this._board[this._castlingRooks[BLACK][KING].from]?.color !== BLACK
     ) {
       this._castling.b &= ~BITS.KSIDE_CASTLE
     }
@@ -1289,106 +1316,48 @@ export class Chess {
 
     if (forPiece === undefined || forPiece === KING) {
       if (!singleSquare || lastSquare === this._kings[us]) {
-        // king-side castling
-        if (this._castling[us] & BITS.KSIDE_CASTLE) {
+        for (const side of [KING, QUEEN]) {
+          if (!(this._castling[us] & SIDES[side])) continue
+
           const castlingFrom = this._kings[us]
-          const castlingTo =
-            castlingFrom + KINGS[us][KING].to - KINGS[us][KING].from
-
-          if (castlingTo != castlingFrom) {
-            const countAttacked = KINGS[us][KING].to - KINGS[us][KING].from
-            const countOccupied =
-              Math.max(ROOKS[us][KING].from, KINGS[us][KING].to) -
-              KINGS[us][KING].from
-
-            let noAttacked = true
-            let noAttackedCount = 0
-            for (let i = 0; i <= countAttacked; ++i) {
-              if (!this._attacked(them, castlingFrom + i)) {
-                noAttackedCount++
-              } else {
-                noAttacked = false
-              }
-            }
-            let noOccupied = true
-            let noOccupiedCount = 0
-            for (let i = 1; i <= countOccupied; ++i) {
-              if (
-                !this._board[castlingFrom + i] ||
-                this._board[castlingFrom + i].type === ROOK
-              ) {
-                noOccupiedCount++
-              } else {
-                noOccupied = false
-              }
-            }
-            if (
-              noOccupied &&
-              noOccupiedCount > 0 &&
-              noAttacked &&
-              noAttackedCount > 0
-            ) {
-              addMove(
-                moves,
-                us,
-                this._kings[us],
-                castlingTo,
-                KING,
-                undefined,
-                BITS.KSIDE_CASTLE
-              )
+          const castlingTo = this._castlingKings[us][side].to
+          const rookFrom = this._castlingRooks[us][side].from
+          const rookTo = this._castlingRooks[us][side].to
+
+          /*
+           * every square the king and rook pass over must be empty apart from
+           * the two of them, in chess960 the king may not move at all
+           */
+          const first = Math.min(castlingFrom, castlingTo, rookFrom, rookTo)
+          const last = Math.max(castlingFrom, castlingTo, rookFrom, rookTo)
+
+          let noOccupied = true
+          for (let sq = first; sq <= last; sq++) {
+            if (this._board[sq] && sq !== castlingFrom && sq !== rookFrom) {
+              noOccupied = false
             }
           }
-        }
 
-        // queen-side castling
-        if (this._castling[us] & BITS.QSIDE_CASTLE) {
-          const castlingFrom = this._kings[us]
-          const castlingTo =
-            castlingFrom - (KINGS[us][QUEEN].from - KINGS[us][QUEEN].to)
-          if (castlingTo != castlingFrom) {
-            const countAttacked = KINGS[us][QUEEN].from - KINGS[us][QUEEN].to
-            const countOccupied =
-              KINGS[us][QUEEN].from -
-              Math.min(ROOKS[us][QUEEN].from, KINGS[us][QUEEN].to)
-
-            let noAttacked = true
-            let noAttackedCount = 0
-            for (let i = 0; i <= countAttacked; ++i) {
-              if (!this._attacked(them, castlingFrom - i)) {
-                noAttackedCount++
-              } else {
-                noAttacked = false
-              }
-            }
-            let noOccupied = true
-            let noOccupiedCount = 0
-            for (let i = 1; i <= countOccupied; ++i) {
-              if (
-                !this._board[castlingFrom - i] ||
-                this._board[castlingFrom - i].type === ROOK
-              ) {
-                noOccupiedCount++
-              } else {
-                noOccupied = false
-              }
-            }
-            if (
-              noOccupied &&
-              noOccupiedCount > 0 &&
-              noAttacked &&
-              noAttackedCount > 0
-            ) {
-              addMove(
-                moves,
-                us,
-                this._kings[us],
-                castlingTo,
-                KING,
-                undefined,
-                BITS.QSIDE_CASTLE
-              )
+          // the king can't castle out of, through or into check
+          const step = castlingTo > castlingFrom ? 1 : -1
+          let noAttacked = true
+          for (let sq = castlingFrom; ; sq += step) {
+            if (this._attacked(them, sq)) {
+              noAttacked = false
             }
+            if (sq === castlingTo) break
+          }
+
+          if (noOccupied && noAttacked) {
+            addMove(
+              moves,
+              us,
+              castlingFrom,
+              castlingTo,
+              KING,
+              undefined,
+              SIDES[side]
+            )
           }
         }
       }
@@ -1438,16 +1407,30 @@ export class Chess {
     } else if (typeof move === "object") {
       const moves = this._moves()
 
-      // convert the pretty move object to an ugly move object
+      /*
+       * convert the pretty move object to an ugly move object. castling can be
+       * given as the king's destination or as the king taking its rook, when the
+       * king could also just step to the destination (chess960) that step is meant
+       */
       for (let i = 0, len = moves.length; i < len; i++) {
         if (
-          move.from === algebraic(moves[i].from) &&
-          move.to === algebraic(moves[i].to) &&
-          (!("promotion" in moves[i]) || move.promotion === moves[i].promotion)
+          move.from !== algebraic(moves[i].from) ||
+          ("promotion" in moves[i] && move.promotion !== moves[i].promotion)
         ) {
+          continue
+        }
+
+        if (move.to === this._castlingRookSquare(moves[i])) {
           moveObj = moves[i]
           break
         }
+
+        if (
+          move.to === algebraic(moves[i].to) &&
+          (!moveObj || this._castlingRookSquare(moveObj))
+        ) {
+          moveObj = moves[i]
+        }
       }
     }
 
@@ -1471,6 +1454,17 @@ export class Chess {
     return prettyMove
   }
 
+  /*
+   * Square of the rook a castling move castles with, chess960 UCI writes castling
+   * as the king capturing it
+   */
+  _castlingRookSquare(move) {
+    if (!(move.flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE))) return null
+
+    const side = move.flags & BITS.KSIDE_CASTLE ? KING : QUEEN
+    return algebraic(this._castlingRooks[move.color][side].from)
+  }
+
   _push(move) {
     this._history.push({
       move,
@@ -1488,10 +1482,25 @@ export class Chess {
     const them = swapColor(us)
     this._push(move)
 
-    const toPiece = this._board[move.to]
-    const toCount = Math.abs(move.to - move.from)
-    this._board[move.to] = this._board[move.from]
-    delete this._board[move.from]
+    /*
+     * castling moves the king and rook together, in chess960 either can land on
+     * the square the other started from
+     */
+    if (move.flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE)) {
+      const side = move.flags & BITS.KSIDE_CASTLE ? KING : QUEEN
+      const rookFrom = this._castlingRooks[us][side].from
+      const rookTo = this._castlingRooks[us][side].to
+      const king = this._board[move.from]
+      const rook = this._board[rookFrom]
+
+      delete this._board[move.from]
+      delete this._board[rookFrom]
+      this._board[move.to] = king
+      this._board[rookTo] = rook
+    } else {
+      this._board[move.to] = this._board[move.from]
+      delete this._board[move.from]
+    }
 
     // if ep capture, remove the captured pawn
     if (move.flags & BITS.EP_CAPTURE) {
@@ -1511,41 +1520,6 @@ export class Chess {
     if (this._board[move.to] && this._board[move.to].type === KING) {
       this._kings[us] = move.to
 
-      // if we castled, move the rook next to the king
-      if (move.flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE)) {
-        let castlingTo, castlingFrom
-
-        if (move.flags & BITS.KSIDE_CASTLE) {
-          castlingTo = ROOKS[us][KING].to
-          castlingFrom = ROOKS[us][KING].from
-        } else {
-          castlingTo = ROOKS[us][QUEEN].to
-          castlingFrom = ROOKS[us][QUEEN].from
-        }
-        if (castlingFrom != castlingTo) {
-          const toCastlingPiece = this._board[castlingFrom]
-          this._board[castlingTo] = this._board[castlingFrom]
-          delete this._board[castlingFrom]
-          if (
-            toCount >= 1 &&
-            toCastlingPiece &&
-            toCastlingPiece.type === KING
-          ) {
-            this._board[move.to] = toCastlingPiece
-          }
-          if (
-            toCount >= 1 &&
-            toCastlingPiece &&
-            toCastlingPiece.type === ROOK
-          ) {
-            this._board[castlingTo] = toCastlingPiece
-          }
-          if (toCount >= 1 && toPiece && toPiece.type === ROOK) {
-            this._board[castlingTo] = toPiece
-          }
-        }
-      }
-
       // turn off castling
       this._castling[us] = 0
     }
@@ -1554,10 +1528,10 @@ export class Chess {
     if (this._castling[us]) {
       for (const side of [KING, QUEEN]) {
         if (
-          move.from === ROOKS[us][side].from &&
-          this._castling[us] & ROOKS[us][side].flag
+          move.from === this._castlingRooks[us][side].from &&
+          this._castling[us] & this._castlingRooks[us][side].flag
         ) {
-          this._castling[us] ^= ROOKS[us][side].flag
+          this._castling[us] ^= this._castlingRooks[us][side].flag
           break
         }
       }
@@ -1567,10 +1541,10 @@ export class Chess {
     if (this._castling[them]) {
       for (const side of [KING, QUEEN]) {
         if (
-          move.to === ROOKS[them][side].from &&
-          this._castling[them] & ROOKS[them][side].flag
+          move.to === this._castlingRooks[them][side].from &&
+          this._castling[them] & this._castlingRooks[them][side].flag
         ) {
-          this._castling[them] ^= ROOKS[them][side].flag
+          this._castling[them] ^= this._castlingRooks[them][side].flag
           break
         }
       }
@@ -1631,8 +1605,21 @@ export class Chess {
     const us = this._turn
     const them = swapColor(us)
 
-    const fromCount = Math.abs(move.from - move.to)
-    const fromPiece = this._board[move.from]
+    if (move.flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE)) {
+      const side = move.flags & BITS.KSIDE_CASTLE ? KING : QUEEN
+      const rookFrom = this._castlingRooks[us][side].from
+      const rookTo = this._castlingRooks[us][side].to
+      const king = this._board[move.to]
+      const rook = this._board[rookTo]
+
+      delete this._board[move.to]
+      delete this._board[rookTo]
+      this._board[move.from] = king
+      this._board[rookFrom] = rook
+
+      return move
+    }
+
     this._board[move.from] = this._board[move.to]
     if (this._board[move.from]) this._board[move.from].type = move.piece // to undo any promotions
     delete this._board[move.to]
@@ -1653,39 +1640,6 @@ export class Chess {
       }
     }
 
-    if (move.flags & (BITS.KSIDE_CASTLE | BITS.QSIDE_CASTLE)) {
-      let castlingTo, castlingFrom
-      if (move.flags & BITS.KSIDE_CASTLE) {
-        castlingTo = ROOKS[us][KING].from
-        castlingFrom = ROOKS[us][KING].to
-      } else {
-        castlingTo = ROOKS[us][QUEEN].from
-        castlingFrom = ROOKS[us][QUEEN].to
-      }
-      if (castlingFrom != castlingTo) {
-        const fromCastlingPiece = this._board[castlingFrom]
-        this._board[castlingTo] = this._board[castlingFrom]
-        delete this._board[castlingFrom]
-        if (
-          fromCount >= 1 &&
-          fromCastlingPiece &&
-          fromCastlingPiece.type === KING
-        ) {
-          this._board[move.from] = fromCastlingPiece
-        }
-        if (
-          fromCount >= 1 &&
-          fromCastlingPiece &&
-          fromCastlingPiece.type === ROOK
-        ) {
-          this._board[castlingTo] = fromCastlingPiece
-        }
-        if (fromCount >= 1 && fromPiece && fromPiece.type === ROOK) {
-          this._board[castlingTo] = fromPiece
-        }
-      }
-    }
-
     return move
   }
 
@@ -0,0 +1,71 @@
+import http from 'node:http';
+
+// Lines for the standard start position, in the lichess cloud-eval shape
+export const startPositionPvs = [
+    { moves: 'e2e4 e7e5 g1f3', cp: 30 },
+    { moves: 'd2d4 d7d5 c2c4', cp: 25 },
+    { moves: 'g1f3 d7d5 d2d4', cp: 20 }
+];
+
+/**
+ * Starts a server answering like the lichess cloud-eval API
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 for any free one
+ * @param {number} options.depth - Depth reported for every position
+ * @param {Array<Object>} options.pvs - Lines to answer with, { moves, cp } or { moves, mate }
+ * @param {number} options.delay - Milliseconds to wait before answering
+ * @param {Array<string>} options.unknown - FENs answered with a 404, like positions the cloud doesn't have
+ * @returns {Promise<Object>} - { url, requests, close }, requests holds the query of every request
+ */
+export function startEvalServer({ port = 0, depth = 30, pvs = startPositionPvs, delay = 0, unknown = [] } = {}) {
+    const requests = [];
+
+    const server = http.createServer((request, response) => {
+        const query = new URL(request.url, 'http://localhost').searchParams;
+        const fen = query.get('fen');
+        const multiPv = parseInt(query.get('multiPv')) || 1;
+        requests.push({ fen, multiPv });
+
+        setTimeout(() => {
+            if (response.destroyed) return;
+
+            const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+            if (!fen || unknown.includes(fen)) {
+                response.writeHead(404, headers);
+                response.end(JSON.stringify({ error: 'Not found' }));
+                return;
+            }
+
+            response.writeHead(200, headers);
+            response.end(JSON.stringify({ fen, knodes: 1000, depth, pvs: pvs.slice(0, multiPv) }));
+        }, delay);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/api/cloud-eval`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Enough of jQuery.ajax for the providers to make GET requests outside the browser
+ */
+export function installAjax() {
+    globalThis.$ = {
+        ajax: async ({ url, data = {}, timeout }) => {
+            const query = new URLSearchParams(data);
+            const response = await fetch(`${url}?${query}`, { signal: timeout ? AbortSignal.timeout(timeout) : undefined });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.json();
+        }
+    };
+}
+
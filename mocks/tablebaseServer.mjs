@@ -0,0 +1,39 @@
+import http from 'node:http';
+
+/**
+ * Starts a server answering like the lichess tablebase API (lila-tablebase)
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 for any free one
+ * @param {Object} options.positions - Answers by FEN, { category, moves: [{ uci, category, dtz, zeroing }] }
+ * @param {number} options.delay - Milliseconds to wait before answering
+ * @returns {Promise<Object>} - { url, requests, close }, requests holds the FEN of every request
+ */
+export function startTablebaseServer({ port = 0, positions = {}, delay = 0 } = {}) {
+    const requests = [];
+
+    const server = http.createServer((request, response) => {
+        const fen = new URL(request.url, 'http://localhost').searchParams.get('fen');
+        requests.push(fen);
+
+        setTimeout(() => {
+            if (response.destroyed) return;
+
+            // Positions without tables are answered without moves, like the real server does
+            response.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            response.end(JSON.stringify(positions[fen] || { category: 'unknown', moves: [] }));
+        }, delay);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/standard`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
@@ -1,15 +1,21 @@
-import { Chess } from '../../libs/chess.js';
+import { Chess, DEFAULT_POSITION } from '../../libs/chess.js';
 
 export class GamePhase {
     constructor() {}
 
-    static getPhases(moves) {
+    /**
+     * Finds where the game moves into the middlegame and the endgame
+     * @param {Array} moves - Moves in SAN
+     * @param {string} startFen - Position the game starts from, the standard start by default
+     * @returns {Array} - The phase changes, with the ply each one starts at
+     */
+    static getPhases(moves, startFen = DEFAULT_POSITION) {
         if (!moves || moves.length === 0) {
             return [];
         }
 
         const phases = [];
-        const chess = new Chess();
+        const chess = new Chess(startFen);
         
         // Track phase changes
         let currentPhase = 'opening';
@@ -15,6 +15,9 @@ export const CommentType = {
 export class MoveAnnotator {
     constructor() {}
 
+    // Returned for moves that have nothing special to say about them
+    static defaultComment = "Default comment!";
+
     static winComments = {
         you: [
             "Congratulations on the win!",
@@ -283,7 +286,7 @@ export class MoveAnnotator {
             return "This is the only move that works here, nice find!";
         }
 
-        return "Default comment!"
+        return this.defaultComment;
     }
 
     static annotateMoves(moves, perspective) {
@@ -295,8 +298,8 @@ export class MoveAnnotator {
         for (let i = 0; i < moves.length; i++) {
             const move = moves[i];
             
-            // Is this move from the user's perspective?
-            let userPerspective = i % 2 != 0;
+            // Is this move from the user's perspective? White to move after black's moves
+            let userPerspective = move.fen.includes(' w ');
             if (isWhite) userPerspective = !userPerspective;
 
             move.comment = this.annotateMove(move, moves, userPerspective);
@@ -1,5 +1,6 @@
 import { Chess } from '../../libs/chess.js';
-import { EvaluationBar } from '../components/board/EvaluationBar.js';
+import { WinProbability } from '../evaluation/WinProbability.js';
+import { TablebaseResult } from '../evaluation/Tablebase.js';
 import { chessOpeningTree } from '../data/openings.js';
 import { MoveAnnotator } from './MoveAnnotator.js';
 
@@ -151,6 +152,19 @@ export class MoveClassifier {
         [Classification.BLUNDER.type]: () => Infinity
     };
 
+    // Classifications that are downgraded to good when WDL shows the expected score barely moved
+    static wdlForgivenClassifications = [
+        Classification.INACCURACY,
+        Classification.MISTAKE,
+        Classification.BLUNDER
+    ];
+
+    // Expected score (in percent) a move has to lose to keep a centipawn based mistake
+    static wdlLossThreshold = 5;
+
+    // Centipawn loss counted for each step a tablebase result drops (win to draw, draw to loss)
+    static tablebaseResultLoss = 300;
+
     static getAttackers(chess, square, color) {
         return chess.moves({ verbose: true }).filter(m => m.to === square && m.color === color);
     }
@@ -486,6 +500,53 @@ export class MoveClassifier {
         return true;
     }
 
+    /**
+     * Finds the most specific named opening a game follows
+     * @param {Array} moves - Moves of the game from the standard start, in SAN
+     * @returns {Object|null} - { eco, name } of the deepest opening reached, or null outside of theory
+     */
+    static getOpening(moves) {
+        let currentNode = chessOpeningTree;
+        let opening = null;
+
+        for (const move of moves || []) {
+            currentNode = currentNode[move];
+            if (!currentNode) break;
+            if (currentNode._metadata) opening = currentNode._metadata;
+        }
+
+        return opening;
+    }
+
+    /**
+     * Classifies a move between two tablebase positions by the result it keeps or gives away
+     * @param {Object} move - Current move data
+     * @param {Object} prevBestLine - Best line of the position before the move
+     * @param {Object} bestLine - Best line of the position after the move
+     * @returns {Object} - Classification object for the move
+     */
+    static classifyTablebaseMove(move, prevBestLine, bestLine) {
+        // Results are for the side to move, that's the opponent after the move
+        const before = prevBestLine.tablebase.result;
+        const after = -bestLine.tablebase.result || TablebaseResult.DRAW;
+
+        let classification;
+        if (after < before) {
+            // Letting a win slip to a draw is a missed win, anything that loses is a blunder
+            classification = after === TablebaseResult.DRAW ? Classification.MISS : Classification.BLUNDER;
+        } else if (move.uciMove === prevBestLine.uciMove) {
+            classification = Classification.PERFECT;
+        } else {
+            classification = Classification.EXCELLENT;
+        }
+
+        move.centipawnLoss = Math.max(0, before - after) * this.tablebaseResultLoss;
+        move.commentData = { tablebase: { before, after, dtz: bestLine.tablebase.dtz } };
+        move.classification = classification;
+
+        return classification;
+    }
+
     /**
      * Evaluates a move to determine its classification
      * @param {Object} move - Current move data
@@ -516,9 +577,11 @@ export class MoveClassifier {
                 move.commentType = CommentType.WON;
                 move.graph = isBlack ? 0 : 100;
                 move.win = 100;
+                move.draw = 0;
             } else {
                 move.graph = 50;
                 move.win = 0; // You can't win/lose if it's a draw
+                move.draw = 100;
                 if (board.isStalemate()) {
                     classification = Classification.MISS;
                     move.commentType = CommentType.STALEMATE;
@@ -536,12 +599,13 @@ export class MoveClassifier {
             return classification;
         }
 
-        // Calculate win% for later on
-        const win = 100 - (50 + 50 * (2 / (1 + Math.exp(-0.00368208 * (bestLine.score * (isBlack ? -1 : 1)))) - 1));
+        // Calculate win% (expected score) for the player who moved, for later on
+        const win = WinProbability.forSide(bestLine, isBlack);
         move.win = win;
+        move.draw = WinProbability.drawChance(bestLine);
 
-        // Graph Evaluation (lying to the user)
-        move.graph = 100 - EvaluationBar.scoreToPercentage(bestLine.score);
+        // Graph Evaluation, the graph is drawn from black's side
+        move.graph = 100 - WinProbability.toBarPercentage(bestLine);
         
         // Check if the move is part of opening theory
         if (previous.classification == Classification.THEORY && moves.length > 0 && this.isInOpeningTheory(moves)) {
@@ -573,6 +637,11 @@ export class MoveClassifier {
             return classification;
         }
 
+        // Tablebase results are exact, so only the result the move leads to matters
+        if (bestLine.tablebase && prevBestLine.tablebase) {
+            return this.classifyTablebaseMove(move, prevBestLine, bestLine);
+        }
+
         // Helper function to calculate the evaluation loss difference
         const diff = (prevScore, currentScore) => isBlack ? prevScore - currentScore : currentScore - prevScore;
 
@@ -746,13 +815,19 @@ export class MoveClassifier {
         }
 
         // Do not allow blunder if the game is still completely winning or losing
-        const prevWin = 100 - (50 + 50 * (2 / (1 + Math.exp(-0.00368208 * (prevBestLine.score * (!isBlack ? -1 : 1)))) - 1));
-        const prevOppositeWin = 100 - prevWin;
+        const prevOppositeWin = WinProbability.forSide(prevBestLine, isBlack);
         if (classification == Classification.BLUNDER && (prevOppositeWin > 80 || prevOppositeWin < 20) && (win > 80 || win < 20)) {
             classification = Classification.INACCURACY;
             move.commentType = CommentType.STILL_WINNING;
         }
 
+        // With WDL we know when an eval swing doesn't change the result, like a drawn endgame
+        // that goes from +1.2 to +0.2, so don't call those moves mistakes
+        if (this.wdlForgivenClassifications.includes(classification) && noMate && bestLine.wdl && prevBestLine.wdl
+            && prevOppositeWin - win < this.wdlLossThreshold) {
+            classification = Classification.GOOD;
+        }
+
         // Store the classification on the move object for reference
         move.classification = classification;
         
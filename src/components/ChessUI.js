@@ -11,13 +11,23 @@ import { GameGraph } from './report/GameGraph.js';
 import { EvaluationBar } from './board/EvaluationBar.js';
 import { EngineLines } from './moves/EngineLines.js';
 import { MoveInformation } from './moves/MoveInformation.js';
+import { MoveNotes } from './moves/MoveNotes.js';
 import { Clock } from './board/Clock.js';
 
 import { MoveEvaluator } from '../evaluation/MoveEvaluator.js';
+import { AnalysisJob } from '../evaluation/AnalysisJob.js';
 import { Classification } from '../classification/MoveClassifier.js';
 import { SidebarOverlay } from './report/SidebarOverlay.js';
+import { AnalysisControls } from './report/AnalysisControls.js';
+import { EngineComparison } from './report/EngineComparison.js';
+import { BatchReport } from './report/BatchReport.js';
+import { BatchAnalysis } from '../evaluation/BatchAnalysis.js';
+import { AnalysisMeta } from '../evaluation/AnalysisMeta.js';
+import { engines } from '../evaluation/Engine.js';
 import { GameClassifier } from '../classification/GameClassifier.js';
 import { SettingsMenu } from './settings/SettingsMenu.js';
+import { GameLibrary } from './games/GameLibrary.js';
+import { PgnWriter } from './moves/PgnWriter.js';
 
 /**
  * Manages UI interactions and board state
@@ -43,6 +53,9 @@ export class ChessUI {
         }, this.chess);
 
         this.settingsMenu.init(this.board);
+
+        // Only tests the engines on the first visit, later visits reuse the stored results
+        this.engineProbe = this.settingsMenu.runEngineProbe();
         this.board.setOption({ isInteractive: false });
 
         this.moveTree = new MoveTree();
@@ -66,6 +79,7 @@ export class ChessUI {
         });
 
         GameStats.render();
+        BatchReport.render();
         EvaluationBar.updateEvaluationBar();
         MoveInformation.updateMoveInfo(this.moveTree.mainline[0], this.moveTree.mainline[0]);
         EngineLines.updateEngineLines(this.moveTree.mainline[0],
@@ -79,24 +93,30 @@ export class ChessUI {
     }
 
     async load(game) {
+        // Stop analyzing the previous game, its engines would otherwise keep running
+        this.analysisJob?.cancel();
+        this.comparisonJob?.cancel();
+        this.comparison = null;
+        this.metaWarning = null;
+
         this.moveNavigator.handleRestart();
 
         this.game = game;
+        this.analysis = null;
 
-        // Load PGN into the main Chess instance first
-        this.chess.loadPgn(this.game.pgn);
-        this.chess.reset(); // Reset to starting position for analysis
-        
+        // Plays the game out on the main Chess instance from its starting position
         this.moveTree.buildFromPGN(this.game.pgn, this.chess);
 
         // Set initial clocks before analysis starts
         Clock.setInitialClocks(this.moveTree, this.game.pgn);
 
-        SidebarOverlay.show();
-        SidebarOverlay.startFactCycling();
-        SidebarOverlay.updateEvaluationProgress(0);
+        // Results stream into the report, so it stays visible instead of waiting behind the overlay
+        SidebarOverlay.hide();
+        SidebarOverlay.stopFactCycling();
 
         this.board.fen(this.moveTree.mainline[0].fen);
+        MoveNotes.showDrawings(this.board, this.moveTree.currentNode);
+        MoveNotes.render(this.moveTree.currentNode);
 
         // Flip to face the username player
         const userIsBlack = this.game.username.toLowerCase() === this.game.black.name.toLowerCase();
@@ -104,55 +124,291 @@ export class ChessUI {
             this.moveNavigator.handleFlipBoard();
         }
 
-        $('.analysis-overlay').addClass('active');
-        $('.tab-content, .bottom-content').addClass('blur-content');
+        $('.analysis-overlay').removeClass('active');
+        $('.tab-content, .bottom-content').removeClass('blur-content');
         this.board.setOption({ isInteractive: false });
 
-        const engineType = this.settingsMenu.getSettingValue('engineType');
-        const engineDepth = this.settingsMenu.getSettingValue('engineDepth') || 14;
+        this.clearReport();
+        this.moveTree.render('move-tree', (node) => {
+            this.moveNavigator.handleTreeNodeClick(node);
+        });
 
-        const analysis = await MoveEvaluator.analyzeGame(
-            this.game, 
-            (progress) => {
-                SidebarOverlay.updateEvaluationProgress(progress);
-            },
-            { engineType, engineDepth }
-        );
+        if (!this.eventHandlersSetup) {
+            this.moveNavigator.setupEventHandlers();
+            this.eventHandlersSetup = true;
+        }
+
+        // Games reopened from the library show the analysis they were saved with
+        if (GameLibrary.matchAnalysis(game.analysis, this.moveTree)) {
+            this.showSavedAnalysis(game, userIsBlack);
+            return;
+        }
+
+        await this.analyze(game, userIsBlack);
+    }
+
+    /**
+     * Analyzes the game again once its main line was edited, the report no longer matches its moves.
+     * The tree is kept as it is, with the user's variations and notes.
+     */
+    async reanalyze() {
+        if (!this.game) return;
+
+        this.analysisJob?.cancel();
+        this.comparisonJob?.cancel();
+        this.comparison = null;
+        this.metaWarning = null;
+        this.analysis = null;
+
+        // A new game object, so whatever still runs for the old main line sees it was replaced
+        const game = { ...this.game, pgn: PgnWriter.write(this.moveTree, this.game.pgn, false), analysis: null };
+        this.game = game;
+
+        this.clearReport();
+        const userIsBlack = game.username.toLowerCase() === game.black.name.toLowerCase();
+        await this.analyze(game, userIsBlack);
+    }
+
+    clearReport() {
+        $(".game-info").empty();
+        GameGraph.setAnalysis(null);
+        GameGraph.setComparison(null);
+        GameStats.render();
+        EngineComparison.render('.engine-comparison', null);
+    }
+
+    /**
+     * Analyzes the main line of the tree, streaming results into the report, then runs
+     * the second pass and the engine comparison
+     * @param {Object} game - The loaded game
+     * @param {boolean} userIsBlack - Whether the report is from black's perspective
+     */
+    async analyze(game, userIsBlack) {
+        // The engine and depth defaults come from the engine test
+        await this.engineProbe;
+        if (this.game !== game) return;
+
+        const engineSettings = this.settingsMenu.getEngineSettings();
+        engineSettings.engineDepth = engineSettings.engineDepth || 14;
+
+        const job = new AnalysisJob(this.game, engineSettings);
+        this.analysisJob = job;
+        AnalysisControls.attach(job);
+
+        job.on('partial', (partialAnalysis) => {
+            if (this.analysisJob !== job) return;
+
+            this.analysis = partialAnalysis;
+            this.renderReport(game, partialAnalysis, userIsBlack, true);
+        });
+
+        // A cancelled job resolves to null, keep whatever was streamed in so far
+        const analysis = await job.start() || this.analysis;
+
+        // Another game was loaded while this one was being analyzed
+        if (this.analysisJob !== job) return;
 
         this.board.setOption({ isInteractive: true });
 
+        // Initialize clocks
+        Clock.updateFromMoveTree(this.moveTree, this.board.flipped, this.game?.pgn);
+
+        if (!analysis) return;
+
         // Store analysis for click callback
         this.analysis = analysis;
 
+        if (!job.isCancelled) {
+            this.metaWarning = this.getMetaWarning(AnalysisMeta.load(game.pgn), analysis.analysisMeta);
+        }
+
+        this.renderReport(game, analysis, userIsBlack, job.isCancelled);
+
+        if (!job.isCancelled) {
+            this.refineAnalysis(job, analysis, userIsBlack)
+                .then(() => {
+                    if (this.analysisJob === job && !job.isCancelled) {
+                        AnalysisMeta.save(game.pgn, analysis.analysisMeta);
+
+                        // Games saved to the library while they were analyzed get the analysis once it's done
+                        if (game.libraryId) GameLibrary.save(game, this.moveTree, analysis);
+                    }
+                    return this.compareEngines(job, analysis, engineSettings, userIsBlack);
+                });
+        }
+    }
+
+    /**
+     * Shows an analysis saved with the game instead of analyzing it again
+     * @param {Object} game - The loaded game, with its analysis
+     * @param {boolean} userIsBlack - Whether the report is from black's perspective
+     */
+    showSavedAnalysis(game, userIsBlack) {
+        this.analysisJob = null;
+        this.analysis = game.analysis;
+
+        this.board.setOption({ isInteractive: true });
+        Clock.updateFromMoveTree(this.moveTree, this.board.flipped, game.pgn);
+
+        this.renderReport(game, game.analysis, userIsBlack);
+    }
+
+    /**
+     * Analyzes a set of games in the background for the dashboard, replacing the batch already running
+     * @param {Array<Object>} games - Games to analyze, see BatchAnalysis
+     * @returns {Promise<Array<Object>|null>} - The record of each game, or null when the batch was cancelled
+     */
+    async analyzeBatch(games) {
+        this.batchAnalysis?.cancel();
+        if (games.length === 0) return [];
+
+        await this.engineProbe;
+
+        const engineSettings = this.settingsMenu.getEngineSettings();
+        engineSettings.engineDepth = engineSettings.engineDepth || 14;
+
+        const batch = new BatchAnalysis(games, engineSettings);
+        this.batchAnalysis = batch;
+        BatchReport.attach(batch, games[0].username);
+
+        return batch.start();
+    }
+
+    /**
+     * Renders the game report and move tree from an analysis
+     * @param {Object} game - The loaded game
+     * @param {Object} analysis - The game analysis
+     * @param {boolean} userIsBlack - Whether the report is from black's perspective
+     * @param {boolean} partial - Whether only part of the game has been analyzed
+     */
+    renderReport(game, analysis, userIsBlack, partial = false) {
         const graphedMoves = analysis.moves.map(move => move.graph / 100);
 
-        const classify = new GameClassifier();
-        const gameClass = classify.classifyGame(graphedMoves, userIsBlack ? 'w' : 'b', this.game.result);
-        $(".game-info").empty().append(`<p>${gameClass.message}</p>`);
+        // The verdict on the game needs every move
+        if (partial) {
+            $(".game-info").empty();
+        } else {
+            const classify = new GameClassifier();
+            const gameClass = classify.classifyGame(graphedMoves, userIsBlack ? 'w' : 'b', game.result);
+            $(".game-info").empty().append(`<p>${gameClass.message}</p>`);
+
+            if (this.metaWarning) {
+                $(".game-info").append($('<p class="analysis-meta-warning"></p>').text(this.metaWarning));
+            }
+        }
+
+        MoveEvaluator.applyClassificationsToMoveTree(this.moveTree, analysis.moves, game.pgn, analysis.startPosition);
+
+        // Disagreements are worked out again every time, the second pass can change the main analysis
+        const comparison = this.comparison && {
+            ...this.comparison,
+            disagreements: MoveEvaluator.compareAnalyses(analysis, this.comparison.analysis)
+        };
 
-        SidebarOverlay.hide();
-        SidebarOverlay.stopFactCycling();
-    
-        MoveEvaluator.applyClassificationsToMoveTree(this.moveTree, analysis.moves, this.game.pgn);
         GameGraph.setAnalysis(analysis);
-        GameStats.render('.game-stats', analysis, game.white.name, game.black.name);
+        GameGraph.setComparison(comparison);
+        GameStats.render('.game-stats', analysis, game.white.name, game.black.name, comparison);
+        EngineComparison.render('.engine-comparison', comparison, (index) => {
+            // mainline[0] is the root
+            const targetNode = this.moveTree.mainline[index + 1];
+            if (targetNode) this.moveNavigator.handleTreeNodeClick(targetNode);
+        });
 
         this.moveTree.render('move-tree', (node) => {
             this.moveNavigator.handleTreeNodeClick(node);
         });
+    }
 
-        $('.analysis-overlay').removeClass('active');
-        $('.tab-content, .bottom-content').removeClass('blur-content');
+    /**
+     * Runs the deeper second pass over the critical moves, updating the report as verdicts change
+     * @param {AnalysisJob} job - The finished analysis job
+     * @param {Object} analysis - The first pass analysis
+     * @param {boolean} userIsBlack - Whether the report is from black's perspective
+     */
+    async refineAnalysis(job, analysis, userIsBlack) {
+        const game = job.game;
 
-        // Initialize clocks
-        Clock.updateFromMoveTree(this.moveTree, this.board.flipped, this.game?.pgn);
+        try {
+            await job.refine(analysis, () => {
+                // Another game was loaded while this one was being refined
+                if (this.analysisJob !== job) return;
 
-        if (!this.eventHandlersSetup) {
-            this.moveNavigator.setupEventHandlers();
-            this.eventHandlersSetup = true;
+                const currentNode = this.moveTree.currentNode;
+                const previousClassification = currentNode.classification;
+
+                this.renderReport(game, analysis, userIsBlack);
+                this.moveNavigator.updateAfterMove(currentNode);
+
+                if (currentNode.classification !== previousClassification) {
+                    this.board.clearBoardHighlights();
+                    this.moveTree.updateNodeClassification(currentNode, this.board);
+                }
+            });
+        } catch (error) {
+            console.error("Error refining analysis:", error);
         }
     }
 
+    /**
+     * Analyzes the game again with the engine picked to compare against, then shows both in the report.
+     * The comparison gets the same second pass as the main analysis, so disagreements come from the engines.
+     * @param {AnalysisJob} job - The finished analysis job
+     * @param {Object} analysis - The refined analysis from the main engine
+     * @param {Object} engineSettings - Settings the game was analyzed with
+     * @param {boolean} userIsBlack - Whether the report is from black's perspective
+     */
+    async compareEngines(job, analysis, engineSettings, userIsBlack) {
+        const compareEngineType = engineSettings.compareEngineType;
+        if (!engines[compareEngineType] || compareEngineType === engineSettings.engineType) return;
+        if (this.analysisJob !== job || job.isCancelled) return;
+
+        const comparisonJob = new AnalysisJob(job.game, { ...engineSettings, engineType: compareEngineType });
+        this.comparisonJob = comparisonJob;
+        AnalysisControls.attach(comparisonJob);
+
+        let other;
+        try {
+            other = await comparisonJob.start();
+        } catch (error) {
+            console.error("Error analyzing with the comparison engine:", error);
+            if (this.comparisonJob === comparisonJob) AnalysisControls.showError(`Couldn't compare engines: ${error.message}`);
+            return;
+        }
+        if (!other || this.comparisonJob !== comparisonJob) return;
+
+        try {
+            await comparisonJob.refine(other);
+        } catch (error) {
+            console.error("Error refining comparison analysis:", error);
+        }
+        if (this.comparisonJob !== comparisonJob || comparisonJob.isCancelled) return;
+
+        // Both runs share the settings, but one of them can still have used the cache or eval server differently
+        const differences = AnalysisMeta.differences(analysis.analysisMeta, other.analysisMeta, ['engine']);
+
+        this.comparison = {
+            name: engines[compareEngineType].name,
+            primaryName: engines[engineSettings.engineType]?.name || 'Engine',
+            analysis: other,
+            warning: differences.length > 0 ? `Analyzed with different settings (${AnalysisMeta.describe(differences)})` : null
+        };
+        this.renderReport(job.game, analysis, userIsBlack);
+    }
+
+    /**
+     * Warns when the game was analyzed before with settings that give different results
+     * @param {Object} previous - Metadata of the earlier analysis, from the PGN or storage
+     * @param {Object} current - Metadata of this analysis
+     * @returns {string|null}
+     */
+    getMetaWarning(previous, current) {
+        const differences = AnalysisMeta.differences(previous, current);
+        if (differences.length === 0) return null;
+
+        const date = previous.date ? ` on ${new Date(previous.date).toLocaleDateString()}` : '';
+        return `This game was analyzed${date} with different settings, results may not match (${AnalysisMeta.describe(differences)})`;
+    }
+
     async cacheClassifications() {
         const classifications = Object.entries(Classification);
         const loadPromises = [];
@@ -190,6 +190,8 @@ export class Chessboard {
 		// Game state
 		this.arrows = [];
 		this.highlights = [];
+		this.highlightColors = new Map();
+		this.drawing = null;
 		this.squares = [];
 		this.events = {};
 		this.chess = handler;
@@ -202,6 +204,7 @@ export class Chessboard {
 		this.boundOnMouseDown = this._onMouseDown.bind(this);
 		this.boundOnMouseMove = this._onMouseMove.bind(this);
 		this.boundOnMouseUp = this._onMouseUp.bind(this);
+		this.boundOnMouseLeave = this._onMouseLeave.bind(this);
 
 		this.settings = {
 			theme: {
@@ -221,6 +224,13 @@ export class Chessboard {
 				justMovedColor: 'rgba(255, 208, 0, 0.36)',
 				highlightColor: 'rgba(255, 82, 82, 0.71)',
 				arrowColor: 'rgba(223, 145, 0, 0.59)',
+				// Right click drawing colors, picked with no modifier, Shift, Alt and Ctrl or Shift+Alt
+				drawColors: {
+					green: 'rgba(21, 120, 27, 0.7)',
+					red: 'rgba(199, 34, 34, 0.7)',
+					blue: 'rgba(0, 48, 136, 0.7)',
+					yellow: 'rgba(230, 143, 0, 0.7)'
+				},
 				droppableIndicatorColor: 'rgba(0, 0, 0, 0.15)',
 				droppableHoverBorderColor: 'rgba(255, 255, 255, 0.781)',
 				droppableHoverBorderWidth: '5px',
@@ -250,7 +260,7 @@ export class Chessboard {
 				onDrop: null, onPieceClick: null, onPromotion: null, onPromotionStart: null,
 				onPromotionComplete: null, onPositionChange: null, onOrientationChange: null,
 				onClear: null, onDestroy: null, onHighlight: null, onArrowCreate: null, 
-				onUserMove: null,
+				onDrawingsClear: null, onUserMove: null,
 			},
 
 			audioEnabled: true,
@@ -390,6 +400,8 @@ export class Chessboard {
 		// Clear board state
 		this.arrows = [];
 		this.highlights = [];
+		this.highlightColors.clear();
+		this.drawing = null;
 		this.squares = [];
 		
 		// Remove DOM elements
@@ -410,6 +422,7 @@ export class Chessboard {
 		this.boundOnMouseDown = null;
 		this.boundOnMouseMove = null;
 		this.boundOnMouseUp = null;
+		this.boundOnMouseLeave = null;
 		
 		// Clear chess instance
 		this.chess = null;	
@@ -746,6 +759,7 @@ export class Chessboard {
 			selectedPiece: this.selectedPiece,
 			arrows: [...this.arrows],
 			highlights: [...this.highlights],
+			highlightColors: [...this.highlightColors],
 			history: this.chess.history ? this.chess.history({ verbose: true }) : [],
 			turn: this.chess.turn(),
 		};
@@ -767,12 +781,8 @@ export class Chessboard {
 		}
 		if (state.highlights) {
 			this.highlights = [...state.highlights];
-			// Reapply highlights to DOM
-			this.highlights.forEach(highlight => {
-				const index = this.flipped ? 63 - highlight : highlight;
-				const square = this.getSquare(index);
-				square.classList.add(Css.HIGHLIGHT);
-			});
+			this.highlightColors = new Map(state.highlightColors || []);
+			this._applyHighlights();
 		}
 		this._render(); // Redraw arrows
 		this.emit('positionchange', state.fen);
@@ -790,6 +800,16 @@ export class Chessboard {
 		this.clearBoardHighlights();
 	}
 
+	/**
+	 * Gets the image URL of a piece in the board's piece theme.
+	 * @param {string} color - The piece color ('w' or 'b')
+	 * @param {string} type - The piece type ('p', 'n', 'b', 'r', 'q', 'k')
+	 * @returns {string} The URL of the piece image
+	 */
+	getPieceUrl(color, type) {
+		return this._getPieceUrl(color, type);
+	}
+
 	/**
 	 * Flips the display board perspective from white to black.
 	 */
@@ -798,13 +818,14 @@ export class Chessboard {
 		this.refresh(true);
 		this.clearBoardHighlights();
 
-		this.highlights.forEach(highlight => {
-			const index = this.flipped ? 63 - highlight : highlight;
-			this.getSquare(index).classList.add(Css.HIGHLIGHT);
-		});
+		// Highlights and arrows are stored by board index, which the flip turns around
+		this.highlights = this.highlights.map(index => 63 - index);
+		this.highlightColors = new Map([...this.highlightColors].map(([index, color]) => [63 - index, color]));
+		this._applyHighlights();
 
 		this.arrows.forEach(arrow => {
-			arrow.forEach((_, j) => arrow[j] = 63 - arrow[j]);
+			arrow[0] = 63 - arrow[0];
+			arrow[1] = 63 - arrow[1];
 		});
 		
 		// Update board labels for the new orientation
@@ -967,9 +988,10 @@ export class Chessboard {
 
 		this._updateBoard(currentSquare, targetSquare, piece);
 
+		// Castling from the tree is played by its rook's square, the king may also step to its destination in chess960
 		const moveResult = this.chess.move({
 			from: move.from, 
-			to: move.to,
+			to: move.rookFrom || move.to,
 			promotion: promotedPiece
 		});
 		
@@ -1079,23 +1101,27 @@ export class Chessboard {
 
 	/**
 	 * Toggles an arrow between two squares on the chessboard.
-	 * If an arrow already exists, it is removed; otherwise, it is added.
+	 * If the same arrow already exists, it is removed; a drawn arrow in another
+	 * drawing color is recolored; otherwise, it is added.
 	 *
 	 * @param {HTMLElement} start The starting square element.
 	 * @param {HTMLElement} end The ending square element.
+	 * @param {string} [color] The arrow color, defaults to styling.arrowColor.
 	 */
-	createArrow(start, end) {
+	createArrow(start, end, color = null) {
 		const startIndex = this.getSquareIndex(start);
 		const endIndex = this.getSquareIndex(end);
 
-		// Find the existing arrow
-		const existingArrow = this.arrows.find(([s, e]) => s === startIndex && e === endIndex);
-		
+		// Find the existing arrow, drawn arrows of any drawing color count as the same arrow
+		const drawn = this._isDrawColor(color);
+		const existingArrow = this.arrows.find(([s, e, c]) => s === startIndex && e === endIndex &&
+			((c || null) === color || (drawn && this._isDrawColor(c))));
+		const removed = existingArrow && (existingArrow[2] || null) === color;
+
 		// Toggle arrow state
-		if (existingArrow) {
-			this.arrows = this.arrows.filter(arrow => arrow !== existingArrow);
-		} else {
-			this.arrows.push([startIndex, endIndex]);
+		this.arrows = this.arrows.filter(arrow => arrow !== existingArrow);
+		if (!removed) {
+			this.arrows.push(color ? [startIndex, endIndex, color] : [startIndex, endIndex]);
 		}
 		
 		// Re-render the board
@@ -1104,16 +1130,85 @@ export class Chessboard {
 		// Emit event
 		const fromSquare = this.indexToAlgebraic(startIndex, this.flipped);
 		const toSquare = this.indexToAlgebraic(endIndex, this.flipped);
-		this.emit('arrowcreate', fromSquare, toSquare);
+		this.emit('arrowcreate', fromSquare, toSquare, color, removed);
+	}
+
+	/**
+	 * Removes the arrows and square marks drawn with right click, leaving other arrows on the board.
+	 */
+	clearDrawings() {
+		const arrows = this.arrows.filter(([, , color]) => !this._isDrawColor(color));
+		if (arrows.length === this.arrows.length && this.highlights.length === 0) return;
+
+		this.arrows = arrows;
+		this.highlights = [];
+		this.highlightColors.clear();
+		this._applyHighlights();
+		this._render();
+		this.emit('drawingsclear');
+	}
+
+	/**
+	 * Removes arrows of one color, leaving the others on the board.
+	 *
+	 * @param {string} color The color of the arrows to remove.
+	 */
+	removeArrows(color) {
+		this.arrows = this.arrows.filter(([, , c]) => c !== color);
+		this._render();
+	}
+
+	/**
+	 * Replaces the arrows and highlighted squares on the board, without emitting events.
+	 *
+	 * @param {Array} arrows Arrows as [from, to, color] in algebraic notation, color may be null.
+	 * @param {Array} squares Highlighted squares as [square, color] in algebraic notation, color may be null.
+	 */
+	setDrawings(arrows = [], squares = []) {
+		this.arrows = arrows.map(([from, to, color]) => {
+			const arrow = [this.algebraicToIndex(from, this.flipped), this.algebraicToIndex(to, this.flipped)];
+			return color ? [...arrow, color] : arrow;
+		});
+
+		this.highlights = [];
+		this.highlightColors.clear();
+		squares.forEach(([square, color]) => {
+			const index = this.algebraicToIndex(square, this.flipped);
+			this.highlights.push(index);
+			if (color) this.highlightColors.set(index, color);
+		});
+
+		this._applyHighlights();
+		this._render();
+	}
+
+	/**
+	 * Gets the arrows and highlighted squares on the board.
+	 *
+	 * @returns {Object} { arrows, squares } in the format setDrawings takes.
+	 */
+	getDrawings() {
+		return {
+			arrows: this.arrows.map(([from, to, color]) => [
+				this.indexToAlgebraic(from, this.flipped),
+				this.indexToAlgebraic(to, this.flipped),
+				color || null
+			]),
+			squares: this.highlights.map(index => [
+				this.indexToAlgebraic(index, this.flipped),
+				this.highlightColors.get(index) || null
+			])
+		};
 	}
 
 	/**
 	 * Clears highlighted squares and removes all arrows from the board.
 	 */
 	clearBoardElements() {
-		DOMUtils.removeClass(DOMUtils.$$(`#squares-${this.id} .square`), Css.HIGHLIGHT);
 		this.arrows = [];
 		this.highlights = [];
+		this.highlightColors.clear();
+		this._applyHighlights();
 		this._render();
 		this.emit('clear');
 	}
@@ -1174,7 +1269,28 @@ export class Chessboard {
 		const fromAlgebraic = this.indexToAlgebraic(fromIndex, this.flipped);
 		const moves = this.chess.moves({ square: fromAlgebraic, verbose: true });
 		
-		return moves.map(move => this.algebraicToIndex(move.to, this.flipped));
+		// Chess960 castles by dropping the king on its rook, the king may not move at all otherwise
+		return moves.flatMap(move => {
+			const destinations = [this.algebraicToIndex(move.to, this.flipped)];
+			if (this._isChess960Castle(move)) {
+				destinations.push(this.algebraicToIndex(move.rookFrom, this.flipped));
+			}
+			return destinations;
+		});
+	}
+
+	/**
+	 * Whether a castling move starts anywhere other than the standard king and rook squares.
+	 * @private
+	 * @param {Object} move The move.
+	 * @return {boolean}
+	 */
+	_isChess960Castle(move) {
+		if (!move.rookFrom) return false;
+
+		const rank = move.color === WHITE ? '1' : '8';
+		const corner = (move.isKingsideCastle() ? 'h' : 'a') + rank;
+		return move.from !== 'e' + rank || move.rookFrom !== corner;
 	}
 
 	/**
@@ -1186,7 +1302,7 @@ export class Chessboard {
 	 * @return {boolean} True if a special move was processed; otherwise, false.
 	 */
 	_handleSpecialMoves(moveResult, targetSquareIndex, classification) {
-		if (this._handleCastling(moveResult)) return true;
+		if (this._handleCastling(moveResult, targetSquareIndex)) return true;
 		if (this._handleEnPassant(moveResult)) return true;
 		if (this._handlePromotion(moveResult, targetSquareIndex, classification)) return true;
 		
@@ -1197,9 +1313,10 @@ export class Chessboard {
 	 * Handles castling moves, specifically the rook movement.
 	 * @private
 	 * @param {Object} moveResult The move result object.
+	 * @param {string} targetSquare The square the king was dropped on, its rook's square in chess960.
 	 * @return {boolean} True if castling was handled; otherwise, false.
 	 */
-	_handleCastling(moveResult) {
+	_handleCastling(moveResult, targetSquare = moveResult.to) {
 		const castleType = moveResult.isKingsideCastle() 
 			? 'kingside' 
 			: moveResult.isQueensideCastle() 
@@ -1207,6 +1324,13 @@ export class Chessboard {
 				: null;
 				
 		if (!castleType) return false;
+
+		// The king and rook can land on each other's squares, so both are placed again
+		if (this._isChess960Castle(moveResult) || targetSquare !== moveResult.to) {
+			this._placeCastlingPieces(moveResult);
+			this._playSound(Sound.CASTLE);
+			return true;
+		}
 		
 		const castleMap = {
 			w: {kingside: ['h8', 'f8'], queenside: ['a8', 'd8']},
@@ -1226,6 +1350,28 @@ export class Chessboard {
 		return true;
 	}
 
+	/**
+	 * Draws the king and rook of a castling move on their new squares, clearing the ones they left.
+	 * @private
+	 * @param {Object} move The castling move.
+	 * @param {boolean} undo Whether the move is being taken back.
+	 */
+	_placeCastlingPieces(move, undo = false) {
+		const rank = move.color === WHITE ? '1' : '8';
+		const rookTo = (move.isKingsideCastle() ? 'f' : 'd') + rank;
+		const before = [[move.from, KING], [move.rookFrom, ROOK]];
+		const after = [[move.to, KING], [rookTo, ROOK]];
+		const [cleared, placed] = undo ? [after, before] : [before, after];
+
+		// The dragged king may already sit on any of these squares
+		[...cleared, ...placed].forEach(([square]) => {
+			DOMUtils.empty(this.getSquare(this.algebraicToIndex(square, this.flipped)));
+		});
+		placed.forEach(([square, type]) => {
+			this._createPiece(this.algebraicToIndex(square, this.flipped), type, move.color);
+		});
+	}
+
 	/**
 	 * Handles en passant moves.
 	 * @private
@@ -1277,6 +1423,12 @@ export class Chessboard {
 				
 		if (!castleType) return false;
 
+		if (this._isChess960Castle(moveResult)) {
+			this._placeCastlingPieces(moveResult, true);
+			this._playSound(Sound.CASTLE);
+			return true;
+		}
+
 		// For undoing, the rook needs to go from its castled position back to its original position
 		const castleMap = {
 			w: {kingside: ['f8', 'h8'], queenside: ['d8', 'a8']},
@@ -1675,12 +1827,18 @@ export class Chessboard {
 		this.canvas.width = this.canvas.clientWidth;
 		this.canvas.height = this.canvas.clientHeight;
 
-		for (const [from, to] of this.arrows) {
+		// The arrow being drawn with right click
+		const arrows = this.drawing && this.drawing.start !== this.drawing.end
+			? [...this.arrows, [this.drawing.start, this.drawing.end, this.drawing.color]]
+			: this.arrows;
+
+		for (const [from, to, color] of arrows) {
 			this._drawArrow(
 				this.canvas, ctx,
 				// Fancy (not really) math to get the squares center
 				(from % 8) * squareSize + halfSquare, Math.floor(from / 8) * squareSize + halfSquare,
-				(to % 8) * squareSize + halfSquare, Math.floor(to / 8) * squareSize + halfSquare
+				(to % 8) * squareSize + halfSquare, Math.floor(to / 8) * squareSize + halfSquare,
+				color
 			);
 		}
 	}
@@ -1697,24 +1855,77 @@ export class Chessboard {
 	}
 
 	/**
-	 * Toggles the 'highlight' class on the given square element.
+	 * Toggles the highlight on the given square element.
+	 * Highlighting a square again in another color recolors it.
 	 * @private
 	 * @param {HTMLElement} square The jQuery object representing the square to be highlighted.
+	 * @param {string} [color] The highlight color, defaults to styling.highlightColor.
 	 */
-	_highlight(square) {
-		DOMUtils.toggleClass(square, 'highlight');
-
+	_highlight(square, color = null) {
 		const index = this.getSquareIndex(square);
 		const highlightIndex = this.highlights.indexOf(index);
+		const removed = highlightIndex !== -1 && (this.highlightColors.get(index) || null) === color;
 		
-		if (highlightIndex !== -1) {
+		if (removed) {
 			this.highlights.splice(highlightIndex, 1);
+			this.highlightColors.delete(index);
 		} else {
-			this.highlights.push(index);
+			if (highlightIndex === -1) this.highlights.push(index);
+
+			if (color) {
+				this.highlightColors.set(index, color);
+			} else {
+				this.highlightColors.delete(index);
+			}
 		}
+
+		this._applyHighlights();
 		
 		const squareNotation = this.indexToAlgebraic(index, this.flipped);
-		this.emit('highlight', squareNotation);
+		this.emit('highlight', squareNotation, color, removed);
+	}
+
+	/**
+	 * Puts the 'highlight' class and color on the highlighted squares, and takes them off the rest.
+	 * @private
+	 */
+	_applyHighlights() {
+		this.squares.forEach((square, index) => {
+			const highlighted = this.highlights.includes(index);
+			const color = this.highlightColors.get(index);
+
+			square.classList.toggle(Css.HIGHLIGHT, highlighted);
+			if (highlighted && color) {
+				square.style.setProperty('--highlight-color', color);
+			} else {
+				square.style.removeProperty('--highlight-color');
+			}
+		});
+	}
+
+	/**
+	 * Whether a color is one of the right click drawing colors.
+	 * @private
+	 * @param {string} color The color.
+	 * @return {boolean}
+	 */
+	_isDrawColor(color) {
+		return Object.values(this.settings.styling.drawColors).includes(color);
+	}
+
+	/**
+	 * Picks the drawing color from the modifier keys held during a right click.
+	 * @private
+	 * @param {MouseEvent} event The mouse event.
+	 * @return {string} The color.
+	 */
+	_getDrawColor(event) {
+		const colors = this.settings.styling.drawColors;
+
+		if (event.ctrlKey || (event.shiftKey && event.altKey)) return colors.yellow;
+		if (event.shiftKey) return colors.red;
+		if (event.altKey) return colors.blue;
+		return colors.green;
 	}
 
 	/**
@@ -1726,14 +1937,15 @@ export class Chessboard {
 	 * @param {number} fromY The starting y-coordinate.
 	 * @param {number} toX The ending x-coordinate.
 	 * @param {number} toY The ending y-coordinate.
+	 * @param {string} [color] The arrow color, defaults to styling.arrowColor.
 	 */
-	_drawArrow(canvas, ctx, fromX, fromY, toX, toY) {
+	_drawArrow(canvas, ctx, fromX, fromY, toX, toY, color = null) {
 		if (!canvas || !ctx) return;
 		
 		const s = canvas.width;
 		const headLength = s / 16;
 		ctx.lineWidth = s / 48;
-		ctx.fillStyle = ctx.strokeStyle = this.settings.styling.arrowColor;
+		ctx.fillStyle = ctx.strokeStyle = color || this.settings.styling.arrowColor;
 
 		// If the move is knight move
 		const threshold = 0.05;
@@ -1886,6 +2098,7 @@ export class Chessboard {
 		this._addTrackedEventListener(board, 'mousedown', this.boundOnMouseDown);
 		this._addTrackedEventListener(board, 'mousemove', this.boundOnMouseMove);
 		this._addTrackedEventListener(board, 'mouseup', this.boundOnMouseUp);
+		this._addTrackedEventListener(board, 'mouseleave', this.boundOnMouseLeave);
 		this._addTrackedEventListener(board, 'touchstart', this.boundOnMouseDown, { passive: false });
 		this._addTrackedEventListener(board, 'touchmove', this.boundOnMouseMove, { passive: false });
 		this._addTrackedEventListener(board, 'touchend', this.boundOnMouseUp);
@@ -1901,9 +2114,19 @@ export class Chessboard {
 		const square = this.getSquareFromPosition(x, y);
 		if (!square) return;
 
+		// Right click draws, the arrow follows the mouse until it's released
+		if (event.button === 2) {
+			const index = this.getSquareIndex(square);
+			this.drawing = { start: index, end: index, color: this._getDrawColor(event) };
+			return;
+		}
+
 		this.dragStarted = false;
 		this.dragStartXY = { x, y };
 
+		// Left click clears whatever was drawn
+		this.clearDrawings();
+
 		// Does the square have a piece?
 		if (!square.firstChild) {
 			
@@ -1926,6 +2149,17 @@ export class Chessboard {
 		if (!this._canInteract()) return;
 
 		const { x, y } = this._getEventCoordinates(event);
+
+		if (this.drawing && !fromDocument) {
+			const square = this.getSquareFromPosition(x, y);
+			const end = square ? this.getSquareIndex(square) : this.drawing.start;
+			if (end !== this.drawing.end) {
+				this.drawing.end = end;
+				this._render();
+			}
+			return;
+		}
+
 		this._continueDrag(x, y);
 	}
 
@@ -1941,18 +2175,35 @@ export class Chessboard {
 			const wasClick = this._stopDrag(x, y);
 			if (wasClick && !fromDocument) this._handleClickLogic(event);
 		} else if (event.button === 2 && !fromDocument) {
-			const startSquare = this.getSquareFromPosition(this.dragStartXY?.x, this.dragStartXY?.y);
+			const drawing = this.drawing;
+			this.drawing = null;
+
 			const endSquare = this.getSquareFromPosition(x, y);
-			if (!startSquare || !endSquare) return;
+			if (!drawing || !endSquare) {
+				this._render();
+				return;
+			}
 
+			const startSquare = this.getSquare(drawing.start);
 			if (startSquare.dataset.square === endSquare.dataset.square) {
-				this._highlight(startSquare);
+				this._highlight(startSquare, drawing.color);
 			} else {
-				this.createArrow(startSquare, endSquare);
+				this.createArrow(startSquare, endSquare, drawing.color);
 			}
 		}
 	}
 
+	/**
+	 * Drops the arrow being drawn when the mouse leaves the board.
+	 * @private
+	 */
+	_onMouseLeave() {
+		if (!this.drawing) return;
+
+		this.drawing = null;
+		this._render();
+	}
+
 	/**
 	 * @private
 	 */
@@ -2515,9 +2766,9 @@ export class Chessboard {
 			'box-shadow': `0 0 0 min(${s.droppableHoverBorderWidth}, ${s.droppableHoverBorderWidth}) ${s.droppableHoverBorderColor} inset`
 		});
 
-		// Highlighted squares
+		// Highlighted squares, drawn squares set their own color
 		DOMUtils.addCSSRule(this.styleSheet, `#squares-${this.id} .highlight`, {
-			'background-image': `linear-gradient(${s.highlightColor} 100%, ${s.highlightColor} 0%)`
+			'background-image': `linear-gradient(var(--highlight-color, ${s.highlightColor}) 100%, var(--highlight-color, ${s.highlightColor}) 0%)`
 		});
 
 		// Draggable styling
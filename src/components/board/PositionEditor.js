@@ -0,0 +1,417 @@
+import { Chess, DEFAULT_POSITION, validateFen } from "../../../libs/chess.js";
+import { Chessboard } from "./Chessboard.js";
+
+/**
+ * Board editor for setting up a position to analyze, like a puzzle or a position from a book.
+ * Pieces are dragged or clicked on from a palette and moved around on the board, and the side
+ * to move, castling rights and en passant square are set next to it. The position is checked
+ * with chess.js before it can be analyzed.
+ */
+export class PositionEditor {
+    static board = null;
+    static chess = null;
+    static $editor = null;
+    static onAnalyze = null;
+
+    // Square to { type, color }, kept apart from chess.js so positions it won't load can still be edited
+    static pieces = new Map();
+
+    // The palette piece to place, 'erase', or null to move the pieces on the board
+    static tool = null;
+
+    // Where the piece being dragged comes from, { square } on the board or { piece } from the palette
+    static drag = null;
+
+    static pieceTypes = ['k', 'q', 'r', 'b', 'n', 'p'];
+
+    // King and rook squares each castling right needs
+    static castlingSquares = {
+        K: { king: 'e1', rook: 'h1', color: 'w' },
+        Q: { king: 'e1', rook: 'a1', color: 'w' },
+        k: { king: 'e8', rook: 'h8', color: 'b' },
+        q: { king: 'e8', rook: 'a8', color: 'b' }
+    };
+
+    /**
+     * Opens the editor
+     * @param {string} fen - Position to start from
+     * @param {Chessboard} mainBoard - The analysis board, for its theme and orientation
+     * @param {Function} onAnalyze - Called with the FEN when the position is analyzed
+     */
+    static open(fen, mainBoard, onAnalyze) {
+        this.close();
+        this.onAnalyze = onAnalyze;
+        this.tool = null;
+
+        this.$editor = $(`
+            <div class="position-editor">
+                <div class="position-editor-content">
+                    <div class="position-editor-palette top"></div>
+                    <div class="position-editor-board"><div id="position-editor-board"></div></div>
+                    <div class="position-editor-palette bottom"></div>
+                    <div class="position-editor-options">
+                        <select class="position-editor-turn setting-input">
+                            <option value="w">White to move</option>
+                            <option value="b">Black to move</option>
+                        </select>
+                        <div class="position-editor-castling">
+                            <label><input type="checkbox" data-right="K"> White O-O</label>
+                            <label><input type="checkbox" data-right="Q"> White O-O-O</label>
+                            <label><input type="checkbox" data-right="k"> Black O-O</label>
+                            <label><input type="checkbox" data-right="q"> Black O-O-O</label>
+                        </div>
+                        <label class="position-editor-ep">En passant
+                            <select class="setting-input"></select>
+                        </label>
+                        <input type="text" class="position-editor-fen setting-input" spellcheck="false">
+                        <p class="position-editor-error"></p>
+                        <div class="position-editor-buttons">
+                            <button class="position-editor-start">Starting position</button>
+                            <button class="position-editor-clear">Clear board</button>
+                            <button class="position-editor-flip">Flip board</button>
+                            <button class="position-editor-cancel">Cancel</button>
+                            <button class="position-editor-analyze">Analyze</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+        $('body').append(this.$editor);
+
+        // The editor handles the input itself, chess.js would only let the pieces make legal moves
+        this.chess = new Chess();
+        this.board = new Chessboard('#position-editor-board', {
+            theme: { ...mainBoard.settings.theme },
+            showBoardLabels: mainBoard.settings.showBoardLabels,
+            audioEnabled: false,
+            isInteractive: false
+        }, this.chess);
+        if (mainBoard.flipped) this.board.flip();
+
+        this.bindEvents();
+        this.loadFen(fen || DEFAULT_POSITION);
+    }
+
+    static get isOpen() {
+        return this.$editor !== null;
+    }
+
+    static close() {
+        $(document).off('.positionEditor');
+        this.board?.destroy();
+        this.$editor?.remove();
+
+        this.board = null;
+        this.chess = null;
+        this.$editor = null;
+        this.drag = null;
+    }
+
+    static bindEvents() {
+        const $editor = this.$editor;
+
+        $editor.find('.position-editor-board').on('mousedown touchstart', (e) => this.handlePointerDown(e));
+        $(document).on('mouseup.positionEditor touchend.positionEditor', (e) => this.handlePointerUp(e));
+        $editor.find('.position-editor-board').on('contextmenu', (e) => e.preventDefault());
+
+        $editor.find('.position-editor-turn, .position-editor-castling input, .position-editor-ep select')
+            .on('change', () => this.update());
+
+        $editor.find('.position-editor-fen').on('change', (e) => this.loadFen($(e.target).val().trim()));
+
+        $editor.find('.position-editor-start').on('click', () => this.loadFen(DEFAULT_POSITION));
+        $editor.find('.position-editor-clear').on('click', () => {
+            this.pieces.clear();
+            this.update();
+        });
+        $editor.find('.position-editor-flip').on('click', () => {
+            this.board.flip();
+            this.renderPalettes();
+        });
+        $editor.find('.position-editor-cancel').on('click', () => this.close());
+        $editor.find('.position-editor-analyze').on('click', () => {
+            const fen = this.getFen();
+            if (this.validate(fen)) return;
+
+            const onAnalyze = this.onAnalyze;
+            this.close();
+            onAnalyze?.(fen);
+        });
+
+        // Clicking the dark background closes the editor, like escape does
+        $editor.on('mousedown', (e) => {
+            if (e.target === $editor[0]) this.close();
+        });
+        $(document).on('keydown.positionEditor', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * Sets up the editor from a FEN, leaving the editor as it is when the FEN can't be read
+     * @param {string} fen - The position
+     */
+    static loadFen(fen) {
+        const fields = fen.split(/\s+/);
+        const rows = fields[0]?.split('/');
+
+        if (rows?.length !== 8) {
+            this.showError('The FEN needs 8 rows of pieces');
+            return;
+        }
+
+        const pieces = new Map();
+        for (let rank = 0; rank < 8; rank++) {
+            let file = 0;
+            for (const char of rows[rank]) {
+                if (/\d/.test(char)) {
+                    file += parseInt(char);
+                } else if (/[pnbrqk]/i.test(char) && file < 8) {
+                    const square = 'abcdefgh'[file] + (8 - rank);
+                    pieces.set(square, { type: char.toLowerCase(), color: char === char.toUpperCase() ? 'w' : 'b' });
+                    file++;
+                }
+            }
+        }
+
+        this.pieces = pieces;
+        this.$editor.find('.position-editor-turn').val(fields[1] === 'b' ? 'b' : 'w');
+        this.$editor.find('.position-editor-castling input').each((_i, input) => {
+            $(input).prop('checked', (fields[2] || '').includes(input.dataset.right));
+        });
+        this.update(fields[3]);
+    }
+
+    /**
+     * Redraws the board and the fields after a change
+     * @param {string} epSquare - En passant square to select, the selected one by default
+     */
+    static update(epSquare = this.$editor.find('.position-editor-ep select').val()) {
+        this.updateCastling();
+        this.updateEnPassant(epSquare);
+
+        const fen = this.getFen();
+        this.$editor.find('.position-editor-fen').val(fen);
+        this.showError(this.validate(fen));
+
+        this.chess.load(fen, { skipValidation: true });
+        this.board.refresh();
+        this.renderPalettes();
+    }
+
+    /**
+     * Only offers castling rights whose king and rook are still on their squares
+     * @private
+     */
+    static updateCastling() {
+        this.$editor.find('.position-editor-castling input').each((_i, input) => {
+            const { king, rook, color } = this.castlingSquares[input.dataset.right];
+            const possible = this.hasPiece(king, 'k', color) && this.hasPiece(rook, 'r', color);
+
+            $(input).prop('disabled', !possible);
+            if (!possible) $(input).prop('checked', false);
+        });
+    }
+
+    /**
+     * Offers the squares a pawn could have just skipped over with a double step
+     * @private
+     */
+    static updateEnPassant(selected) {
+        const turn = this.$editor.find('.position-editor-turn').val();
+        const opponent = turn === 'w' ? 'b' : 'w';
+        const [pawnRank, skippedRank, startRank] = turn === 'w' ? [5, 6, 7] : [4, 3, 2];
+
+        const squares = [...'abcdefgh']
+            .filter(file => this.hasPiece(file + pawnRank, 'p', opponent)
+                && !this.pieces.has(file + skippedRank)
+                && !this.pieces.has(file + startRank))
+            .map(file => file + skippedRank);
+
+        const $select = this.$editor.find('.position-editor-ep select').empty();
+        $select.append($('<option>').val('-').text('None'));
+        squares.forEach(square => $select.append($('<option>').val(square).text(square)));
+        $select.val(squares.includes(selected) ? selected : '-');
+    }
+
+    static hasPiece(square, type, color) {
+        const piece = this.pieces.get(square);
+        return piece?.type === type && piece?.color === color;
+    }
+
+    /**
+     * FEN of the position in the editor
+     * @returns {string}
+     */
+    static getFen() {
+        const rows = [];
+        for (let rank = 8; rank >= 1; rank--) {
+            let row = '';
+            let empty = 0;
+
+            for (const file of 'abcdefgh') {
+                const piece = this.pieces.get(file + rank);
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+
+                if (empty) row += empty;
+                row += piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+                empty = 0;
+            }
+
+            rows.push(row + (empty || ''));
+        }
+
+        const turn = this.$editor.find('.position-editor-turn').val();
+        const castling = this.$editor.find('.position-editor-castling input:checked')
+            .map((_i, input) => input.dataset.right).get().join('') || '-';
+        const epSquare = this.$editor.find('.position-editor-ep select').val() || '-';
+
+        return `${rows.join('/')} ${turn} ${castling} ${epSquare} 0 1`;
+    }
+
+    /**
+     * Checks that a position can be analyzed
+     * @param {string} fen - The position
+     * @returns {string|null} - Why the position isn't valid, or null when it is
+     */
+    static validate(fen) {
+        const { ok, error } = validateFen(fen);
+        if (!ok) return error.replace('Invalid FEN: ', '');
+
+        // The side that just moved can't have left its king in check
+        const fields = fen.split(' ');
+        fields[1] = fields[1] === 'w' ? 'b' : 'w';
+        fields[3] = '-';
+
+        try {
+            if (new Chess(fields.join(' ')).inCheck()) return 'The side not to move is in check';
+        } catch (loadError) {
+            return loadError.message;
+        }
+
+        return null;
+    }
+
+    static showError(message) {
+        this.$editor.find('.position-editor-error').text(message || '');
+        this.$editor.find('.position-editor-analyze').prop('disabled', !!message);
+    }
+
+    /**
+     * Draws the piece palettes, each next to its own side of the board
+     * @private
+     */
+    static renderPalettes() {
+        const colors = this.board.flipped ? ['w', 'b'] : ['b', 'w'];
+
+        ['top', 'bottom'].forEach((position, i) => {
+            const $palette = this.$editor.find(`.position-editor-palette.${position}`).empty();
+
+            this.pieceTypes.forEach(type => {
+                const piece = { type, color: colors[i] };
+                $('<img>')
+                    .addClass('position-editor-piece')
+                    .toggleClass('selected', this.tool?.type === type && this.tool?.color === piece.color)
+                    .attr({ src: this.board.getPieceUrl(piece.color, type), alt: type, draggable: false })
+                    .on('mousedown touchstart', () => {
+                        this.drag = { piece };
+                    })
+                    .on('click', () => this.selectTool(piece))
+                    .appendTo($palette);
+            });
+
+            if (position === 'bottom') {
+                $('<button>')
+                    .addClass('position-editor-piece erase')
+                    .toggleClass('selected', this.tool === 'erase')
+                    .attr('title', 'Remove pieces')
+                    .text('✕')
+                    .on('click', () => this.selectTool('erase'))
+                    .appendTo($palette);
+            }
+        });
+    }
+
+    /**
+     * Picks what clicking the board does, picking the same tool again goes back to moving pieces
+     * @private
+     */
+    static selectTool(tool) {
+        const same = tool === this.tool || (tool?.type && tool.type === this.tool?.type && tool.color === this.tool?.color);
+        this.tool = same ? null : tool;
+        this.renderPalettes();
+    }
+
+    /**
+     * Square of the board under the pointer
+     * @private
+     */
+    static getSquare(event) {
+        const { clientX, clientY } = event.touches?.[0] || event.changedTouches?.[0] || event;
+        const square = this.board.getSquareFromPosition(clientX, clientY);
+        return square ? this.board.indexToAlgebraic(this.board.getSquareIndex(square), this.board.flipped) : null;
+    }
+
+    static handlePointerDown(e) {
+        const square = this.getSquare(e.originalEvent);
+        if (!square) return;
+        e.preventDefault();
+
+        // Right click removes a piece whatever the tool is
+        if (e.button === 2 || this.tool === 'erase') {
+            this.pieces.delete(square);
+            this.update();
+        } else if (this.tool) {
+            this.placePiece(square, this.tool);
+        } else if (this.pieces.has(square)) {
+            this.drag = { square };
+            $(this.board.getSquare(this.board.algebraicToIndex(square, this.board.flipped))).addClass('selected-square');
+        }
+    }
+
+    static handlePointerUp(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !this.board) return;
+
+        const square = this.getSquare(e.originalEvent);
+
+        if (drag.piece) {
+            if (square) this.placePiece(square, drag.piece, false);
+            return;
+        }
+
+        $(this.board.getSquare(this.board.algebraicToIndex(drag.square, this.board.flipped))).removeClass('selected-square');
+        if (square === drag.square) return;
+
+        // Pieces dragged off the board are removed
+        const piece = this.pieces.get(drag.square);
+        this.pieces.delete(drag.square);
+        if (square) this.pieces.set(square, piece);
+        this.update();
+    }
+
+    /**
+     * Puts a piece on a square. There's only one king of each color, so a new king moves the old one.
+     * @param {string} square - The square
+     * @param {Object} piece - { type, color }
+     * @param {boolean} toggle - Whether placing a piece on a square that already has it removes it
+     * @private
+     */
+    static placePiece(square, piece, toggle = true) {
+        if (toggle && this.hasPiece(square, piece.type, piece.color)) {
+            this.pieces.delete(square);
+        } else {
+            if (piece.type === 'k') {
+                [...this.pieces].filter(([, other]) => other.type === 'k' && other.color === piece.color)
+                    .forEach(([other]) => this.pieces.delete(other));
+            }
+            this.pieces.set(square, { ...piece });
+        }
+
+        this.update();
+    }
+}
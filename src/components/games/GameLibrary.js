@@ -0,0 +1,320 @@
+import { DEFAULT_POSITION } from '../../../libs/chess.js';
+import { Classification, MoveClassifier } from '../../classification/MoveClassifier.js';
+import { AnalysisMeta } from '../../evaluation/AnalysisMeta.js';
+import { PgnParser } from '../moves/PgnParser.js';
+import { PgnWriter } from '../moves/PgnWriter.js';
+import { GameLoader } from './GameLoader.js';
+
+const DB_NAME = 'centichess-library';
+const DB_VERSION = 2;
+const STORE_NAME = 'games';
+
+/**
+ * Games the user saved, kept in IndexedDB with their analysis and notes so they
+ * can be searched and reopened later without analyzing them again.
+ *
+ * An entry keeps the game as PGN with the user's variations, comments and drawings
+ * but nothing the analysis added, since the analysis is stored next to it as it was.
+ */
+export class GameLibrary {
+    static dbPromise = null;
+
+    /**
+     * Opens (or creates) the library database, resolving to null when IndexedDB is unavailable
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    static open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const store = db.objectStoreNames.contains(STORE_NAME)
+                        ? request.transaction.objectStore(STORE_NAME)
+                        : db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+
+                    if (!store.indexNames.contains('savedAt')) store.createIndex('savedAt', 'savedAt');
+                    if (!store.indexNames.contains('gameKey')) {
+                        store.createIndex('gameKey', 'gameKey');
+
+                        // Entries saved before there was an index used their game key as their id
+                        store.openCursor().onsuccess = (event) => {
+                            const cursor = event.target.result;
+                            if (!cursor) return;
+                            cursor.update({ ...cursor.value, gameKey: cursor.value.id });
+                            cursor.continue();
+                        };
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Failed to open game library:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.error('Failed to open game library:', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a request against the games store
+     * @private
+     */
+    static async transaction(mode, createRequest) {
+        const db = await this.open();
+        if (!db) throw new Error('IndexedDB is not available');
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = createRequest(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Saves the loaded game, replacing the entry it was opened from
+     * @param {Object} game - The loaded game
+     * @param {MoveTree} moveTree - The game's moves with the user's notes
+     * @param {Object} analysis - The finished analysis, left out when it doesn't cover every move
+     * @returns {Promise<Object|null>} - The saved entry, or null when it couldn't be saved
+     */
+    static async save(game, moveTree, analysis = null) {
+        try {
+            const entry = this.createEntry(game, moveTree, this.matchAnalysis(analysis, moveTree) ? analysis : null);
+            entry.gameKey = AnalysisMeta.getGameKey(game.pgn || PgnWriter.write(moveTree, '', false));
+
+            const existing = game.libraryId ? await this.get(game.libraryId) : await this.findSaved(entry);
+            entry.id = existing?.id || game.libraryId || this.createId();
+            // Games opened from the library have the library's PGN, the key stays the one of the game first saved
+            entry.gameKey = existing?.gameKey || entry.gameKey;
+            entry.tags = existing?.tags || [];
+            // Saving again without an analysis, like while it's still running, keeps the one saved before
+            if (!entry.analysis && existing?.analysis && this.matchAnalysis(this.parseAnalysis(existing.analysis), moveTree)) {
+                entry.analysis = existing.analysis;
+            }
+
+            await this.transaction('readwrite', store => store.put(entry));
+            return entry;
+        } catch (error) {
+            console.error('Failed to save game to library:', error);
+            return null;
+        }
+    }
+
+    /**
+     * The entry a game was saved as before, found by its game key. The key is a short
+     * hash that different games can share, so the players, date, result and length have to match too.
+     * @private
+     */
+    static async findSaved(entry) {
+        const matches = await this.transaction('readonly', store => store.index('gameKey').getAll(entry.gameKey));
+        return matches.find(other => ['white', 'black', 'date', 'result', 'moveCount'].every(field => other[field] === entry[field])) || null;
+    }
+
+    /**
+     * @private
+     */
+    static createId() {
+        // randomUUID only exists on secure pages, the app can also be served over plain HTTP on a local network
+        return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Builds the stored entry for a game, with the fields it's searched by
+     * @private
+     */
+    static createEntry(game, moveTree, analysis) {
+        const notes = PgnWriter.write(moveTree, game.pgn, false);
+        const pgn = analysis?.analysisMeta ? AnalysisMeta.embedInPgn(notes, analysis.analysisMeta) : notes;
+        const { headers } = PgnParser.splitHeaders(pgn);
+        const isWhite = game.username?.toLowerCase() !== game.black.name.toLowerCase();
+
+        const moves = moveTree.mainline.slice(1).map(node => node.san);
+        const isStandardStart = PgnParser.getStartFen(pgn) === DEFAULT_POSITION && !PgnParser.isChess960(pgn);
+        const opening = (isStandardStart && MoveClassifier.getOpening(moves))
+            || (headers.Opening ? { eco: headers.ECO || '', name: headers.Opening } : null);
+
+        return {
+            pgn,
+            username: game.username,
+            white: game.white.name,
+            black: game.black.name,
+            whiteElo: game.white.elo,
+            blackElo: game.black.elo,
+            result: headers.Result || game.result || '*',
+            date: headers.UTCDate || headers.Date || '',
+            event: headers.Event || '',
+            timeControl: headers.TimeControl || '',
+            opening,
+            moveCount: moves.length,
+            accuracy: analysis ? analysis[isWhite ? 'white' : 'black'].accuracy : null,
+            analysis: analysis ? this.serializeAnalysis(analysis) : null,
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * @param {string} id - Id of the entry
+     * @returns {Promise<Object|null>}
+     */
+    static async get(id) {
+        try {
+            return await this.transaction('readonly', store => store.get(id)) || null;
+        } catch (error) {
+            console.error('Failed to read game from library:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Every saved game, the most recently saved first
+     * @returns {Promise<Array<Object>>}
+     */
+    static async getAll() {
+        try {
+            const entries = await this.transaction('readonly', store => store.getAll());
+            return entries.sort((a, b) => b.savedAt - a.savedAt);
+        } catch (error) {
+            console.error('Failed to read game library:', error);
+            return [];
+        }
+    }
+
+    static async delete(id) {
+        try {
+            await this.transaction('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('Failed to delete game from library:', error);
+        }
+    }
+
+    /**
+     * Replaces the tags of a saved game
+     * @param {string} id - Id of the entry
+     * @param {Array<string>} tags - The new tags
+     */
+    static async setTags(id, tags) {
+        const entry = await this.get(id);
+        if (!entry) return;
+
+        entry.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        try {
+            await this.transaction('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.error('Failed to tag game in library:', error);
+        }
+    }
+
+    /**
+     * Filters entries by a search, every word has to match a player, the opening,
+     * the result, the date, the event or a tag. Results can be searched as win, loss
+     * or draw for the player the game was saved for, dates as 2026.10 or 2026-10,
+     * which is why dashes and dots are treated the same.
+     * @param {Array<Object>} entries - Entries to search
+     * @param {string} query - The search
+     * @returns {Array<Object>}
+     */
+    static search(entries, query = '') {
+        const words = query.toLowerCase().replace(/-/g, '.').split(/\s+/).filter(Boolean);
+        if (words.length === 0) return entries;
+
+        return entries.filter(entry => {
+            const text = [
+                entry.white,
+                entry.black,
+                entry.opening?.name,
+                entry.opening?.eco,
+                entry.result,
+                this.getResult(entry),
+                entry.date,
+                entry.event,
+                ...(entry.tags || [])
+            ].filter(Boolean).join(' ').toLowerCase().replace(/-/g, '.');
+
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Result of a saved game for the player it was saved for
+     * @returns {string} - 'win', 'loss' or 'draw', or '' for unfinished games
+     */
+    static getResult(entry) {
+        const isWhite = entry.username?.toLowerCase() !== entry.black?.toLowerCase();
+
+        if (entry.result === '1/2-1/2') return 'draw';
+        if (entry.result === '1-0') return isWhite ? 'win' : 'loss';
+        if (entry.result === '0-1') return isWhite ? 'loss' : 'win';
+        return '';
+    }
+
+    /**
+     * Turns an entry back into a game that opens with its saved analysis
+     * @param {Object} entry - Entry from the library
+     * @returns {Object} - The game, with libraryId and analysis set
+     */
+    static toGame(entry) {
+        const game = GameLoader.loadGameFromPGN(entry.pgn);
+
+        game.username = entry.username || game.username;
+        game.libraryId = entry.id;
+        game.analysis = entry.analysis ? this.parseAnalysis(entry.analysis) : null;
+
+        return game;
+    }
+
+    /**
+     * Whether an analysis covers exactly the main line of the tree, so it can be shown without analyzing again
+     * @param {Object} analysis - A game analysis
+     * @param {MoveTree} moveTree - The game's moves
+     * @returns {boolean}
+     */
+    static matchAnalysis(analysis, moveTree) {
+        if (!analysis?.moves) return false;
+
+        const mainline = moveTree.mainline.slice(1);
+        if (analysis.moves.length !== mainline.length || analysis.totalMoves !== undefined) return false;
+
+        return analysis.moves.every((move, i) => move.move === mainline[i].san);
+    }
+
+    /**
+     * Writes an analysis as JSON, its classifications by type since they hold cached images
+     * @param {Object} analysis - A game analysis
+     * @returns {string}
+     */
+    static serializeAnalysis(analysis) {
+        const classifications = Object.values(Classification);
+
+        return JSON.stringify(analysis, (_key, value) => {
+            return classifications.includes(value) ? { $classification: value.type } : value;
+        });
+    }
+
+    /**
+     * Reads an analysis written by serializeAnalysis, with the classifications the app uses
+     * @param {string} json - The stored analysis
+     * @returns {Object|null}
+     */
+    static parseAnalysis(json) {
+        try {
+            return JSON.parse(json, (_key, value) => {
+                if (!value?.$classification) return value;
+                return Object.values(Classification).find(classification => classification.type === value.$classification) || value;
+            });
+        } catch (error) {
+            console.error('Failed to read saved analysis:', error);
+            return null;
+        }
+    }
+}
@@ -1,7 +1,10 @@
+import { validateFen } from '../../../libs/chess.js';
+
 export const Platform = {
     CHESSCOM: 'chesscom',
     LICHESS: 'lichess',
-    PGN: 'pgn'
+    PGN: 'pgn',
+    LIBRARY: 'library'
 }
 
 export class GameLoader {
@@ -191,4 +194,24 @@ export class GameLoader {
             },
         }
     }
+
+    /**
+     * Makes a game without moves that starts from a position, for analyzing puzzles and positions from books
+     * @param {string} fen - The position
+     * @returns {Object|null} - The game, or null when the FEN isn't valid
+     */
+    static loadGameFromFEN(fen) {
+        const { ok, error } = validateFen(fen.trim());
+        if (!ok) {
+            console.error(`Invalid FEN: ${error}`);
+            return null;
+        }
+
+        const game = this.loadGameFromPGN(`[SetUp "1"]\n[FEN "${fen.trim()}"]\n\n*`);
+
+        // Face the board towards the side to move
+        if (fen.trim().split(/\s+/)[1] === 'b') game.username = game.black.name;
+
+        return game;
+    }
 }
\ No newline at end of file
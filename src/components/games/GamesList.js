@@ -1,4 +1,6 @@
-import { Platform } from "./GameLoader.js";
+import { GameLoader, Platform } from "./GameLoader.js";
+import { PgnParser } from "../moves/PgnParser.js";
+import { GameLibrary } from "./GameLibrary.js";
 
 export const TimeControl = {
     ALL: 'all',
@@ -48,7 +50,8 @@ export class GamesList {
         this.activeFilters = {
             result: Result.ALL,
             timeControl: TimeControl.ALL,
-            rated: Rating.ALL
+            rated: Rating.ALL,
+            round: 'all'
         };
         
         this.init();
@@ -78,6 +81,10 @@ export class GamesList {
             $searchBar.show();
             $pgnContainer.hide();
         }
+
+        this.$searchField.attr('placeholder', this.currentPlatform === Platform.LIBRARY
+            ? 'Search players, openings, results, dates or tags...'
+            : 'Search for username...');
     }
 
     createPGNInputElements() {
@@ -146,14 +153,21 @@ export class GamesList {
         reader.readAsText(file);
     }
 
+    /**
+     * Lists the games of a PGN, files exported from an event can hold hundreds of them
+     * @param {string} pgnText - PGN of one or more games
+     */
     loadPGNGame(pgnText) {
         try {
-            this.setCookie(this.cookieNames[Platform.PGN], pgnText);
-            const gameData = this.processPGNGame(pgnText);
-            this.allGames = [gameData];
+            this.saveLastPGN(pgnText);
+            const games = PgnParser.splitGames(pgnText);
+            if (!games.length) throw new Error('No games found in PGN');
+
+            this.allGames = games.map(pgn => this.processPGNGame(pgn));
             // For PGN games, use white player as the username since result is from white's perspective
-            this.currentUsername = gameData.white;
+            this.currentUsername = this.allGames[0].white;
             this.displayedGames = [];
+            this.updateRoundFilter();
             this.filterAndRenderGames(true);
         } catch (error) {
             console.error('Error loading PGN:', error);
@@ -189,6 +203,9 @@ export class GamesList {
         
         // Use current timestamp for end time
         const endTime = Math.floor(Date.now() / 1000);
+
+        // Unknown tags are written as ? in PGN
+        const known = value => value && !/^[?-]+$/.test(value) ? value : '';
         
         return {
             gameId,
@@ -204,6 +221,11 @@ export class GamesList {
             rated,
             endTime,
             platform: Platform.PGN,
+            event: known(pgnData.event),
+            round: known(pgnData.round),
+            date: known(pgnData.date?.replace(/\.\?\?/g, '')),
+            eco: known(pgnData.eco),
+            score: pgnData.result || '*',
             pgn: pgnText
         };
     }
@@ -236,9 +258,39 @@ export class GamesList {
         }
     }
 
+    /**
+     * Keeps the last PGN for the next visit. Files with many games are far too big for
+     * a cookie, which would be sent with every request, so it goes into localStorage.
+     * @param {string} pgnText - PGN of one or more games
+     */
+    saveLastPGN(pgnText) {
+        const name = this.cookieNames[Platform.PGN];
+
+        // Older versions kept it in a cookie
+        document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+
+        try {
+            // Removed first, so a PGN too big for the storage quota doesn't bring back an older one
+            localStorage.removeItem(name);
+            localStorage.setItem(name, pgnText);
+        } catch (error) {
+            console.error('Failed to save PGN:', error);
+        }
+    }
+
+    getLastPGN() {
+        try {
+            return localStorage.getItem(this.cookieNames[Platform.PGN]);
+        } catch {
+            return null;
+        }
+    }
+
     loadLastSearchedUser() {
-        if (this.currentPlatform === Platform.PGN) {
-            const lastPGN = this.getCookie(this.cookieNames[Platform.PGN]);
+        if (this.currentPlatform === Platform.LIBRARY) {
+            this.loadLibrary();
+        } else if (this.currentPlatform === Platform.PGN) {
+            const lastPGN = this.getLastPGN();
             if (lastPGN) {
                 // Load the last PGN game
                 const $pgnTextarea = $('#pgn-textarea');
@@ -268,6 +320,11 @@ export class GamesList {
             this.toggleFilterDropdown();
         });
 
+        // Games saved from the board show up straight away when the library is open
+        window.addEventListener('librarychange', () => {
+            if (this.currentPlatform === Platform.LIBRARY) this.loadLibrary(this.$searchField.val().trim());
+        });
+
         $(document).on('click', e => {
             const $dropdown = this.$filterButton.closest('.dropdown');
             if (!$dropdown.is(e.target) && !$dropdown.has(e.target).length) {
@@ -292,12 +349,15 @@ export class GamesList {
                     this.currentPlatform = Platform.LICHESS;
                 } else if (index === 2) {
                     this.currentPlatform = Platform.PGN;
+                } else if (index === 3) {
+                    this.currentPlatform = Platform.LIBRARY;
                 }
                 
                 // Clear current games and search field
                 this.allGames = [];
                 this.displayedGames = [];
                 this.lastFetchedTimestamp = null;
+                this.updateRoundFilter();
                 this.$container.empty();
                 this.$searchField.val('');
                 
@@ -314,6 +374,9 @@ export class GamesList {
         if (this.isLoading) return;
         
         const username = this.$searchField.val().trim();
+
+        // The library searches its games instead, an empty search lists all of them
+        if (this.currentPlatform === Platform.LIBRARY) return this.loadLibrary(username);
         if (!username) return;
 
         this.setCookie(this.cookieNames[this.currentPlatform], username);
@@ -342,6 +405,54 @@ export class GamesList {
         }
     }
 
+    /**
+     * Lists the games saved to the library that match a search
+     * @param {string} query - Words to search for, see GameLibrary.search
+     */
+    async loadLibrary(query = '') {
+        const entries = GameLibrary.search(await GameLibrary.getAll(), query);
+        if (this.currentPlatform !== Platform.LIBRARY) return;
+
+        this.allGames = entries.map(entry => this.processLibraryGame(entry));
+        this.currentUsername = '';
+        this.displayedGames = [];
+
+        if (!this.allGames.length) {
+            const message = query ? 'No saved games match your search' : 'No saved games yet, save one from the menu under the board';
+            return this.showStatus('error', message);
+        }
+
+        this.filterAndRenderGames(true);
+    }
+
+    processLibraryGame(entry) {
+        const isWhite = entry.username?.toLowerCase() !== entry.black.toLowerCase();
+        const accuracy = entry.accuracy ?? null;
+
+        return {
+            gameId: entry.id,
+            white: entry.white,
+            whiteRating: parseInt(entry.whiteElo) || 0,
+            black: entry.black,
+            blackRating: parseInt(entry.blackElo) || 0,
+            result: GameLibrary.getResult(entry) || 'draw',
+            time: 0,
+            timeControl: this.getTimeControlCategory({ timecontrol: entry.timeControl || undefined }),
+            accuracy: accuracy !== null ? (accuracy * 100).toFixed(1) : '-',
+            isWhite,
+            rated: true,
+            endTime: entry.savedAt / 1000,
+            platform: Platform.LIBRARY,
+            username: entry.username,
+            event: entry.event,
+            date: entry.date.replace(/\.\?\?/g, ''),
+            opening: entry.opening,
+            tags: entry.tags || [],
+            score: entry.result,
+            pgn: entry.pgn
+        };
+    }
+
     showStatus(type, message = '', icon = '') {
         const platformName = this.currentPlatform === Platform.LICHESS ? 'Lichess' : 'Chess.com';
         if (type === 'loading') {
@@ -464,7 +575,8 @@ export class GamesList {
             isWhite,
             rated: game.rated,
             endTime: game.end_time,
-            platform: Platform.CHESSCOM
+            platform: Platform.CHESSCOM,
+            pgn: game.pgn
         };
     }
 
@@ -492,7 +604,8 @@ export class GamesList {
             isWhite,
             rated: game.rated,
             endTime: new Date(game.lastMoveAt || game.createdAt).getTime() / 1000,
-            platform: Platform.LICHESS
+            platform: Platform.LICHESS,
+            pgn: game.pgn
         };
     }
 
@@ -559,13 +672,40 @@ export class GamesList {
         this.$filterButton.closest('.dropdown').toggleClass('active');
     }
 
+    /**
+     * Adds a round filter when the PGN games come from more than one round, removing it otherwise
+     */
+    updateRoundFilter() {
+        this.$dropdownContent.find('.round-filter').remove();
+        this.activeFilters.round = 'all';
+
+        const rounds = [...new Set(this.allGames.map(game => this.getRound(game)).filter(Boolean))];
+        if (rounds.length < 2) return;
+
+        const options = rounds.map(round => [this.escapeHTML(round), `Round ${this.escapeHTML(round)}`]);
+        this.$dropdownContent.find('.filter-actions').before(`
+            <div class="filter-section round-filter">
+                <h4>Round</h4>
+                ${this.createRadioGroup('round', [['all', 'All', true], ...options])}
+            </div>
+        `);
+    }
+
+    /**
+     * Round of a PGN game without its board number, 3.12 is board 12 of round 3
+     */
+    getRound(game) {
+        return game.round?.split('.')[0] || '';
+    }
+
     applyFilters() {
         const getCheckedValue = name => this.$dropdownContent.find(`input[name="${name}"]:checked`).val() || 'all';
         
         this.activeFilters = {
             result: getCheckedValue('result'),
             timeControl: getCheckedValue('timeControl'),
-            rated: getCheckedValue('rated')
+            rated: getCheckedValue('rated'),
+            round: getCheckedValue('round')
         };
 
         this.displayedGames = [];
@@ -574,7 +714,7 @@ export class GamesList {
 
     resetFilters() {
         this.$dropdownContent.find('input[value="all"]').prop('checked', true);
-        this.activeFilters = { result: 'all', timeControl: 'all', rated: 'all' };
+        this.activeFilters = { result: 'all', timeControl: 'all', rated: 'all', round: 'all' };
         this.displayedGames = [];
         this.filterAndRenderGames(true);
     }
@@ -620,6 +760,10 @@ export class GamesList {
             if ((this.activeFilters.rated === Rating.RATED) !== game.rated) return false;
         }
 
+        if (this.activeFilters.round !== 'all' && this.getRound(game) !== this.activeFilters.round) {
+            return false;
+        }
+
         return true;
     }
 
@@ -629,9 +773,11 @@ export class GamesList {
         }
         
         this.$container.html(games.map(game => this.createGameItem(game)).join(''));
+        this.addBatchButton();
         this.addLoadMoreButton(games.length, totalCount);
         this.loadProfilePictures();
         this.bindPGNGameEvents();
+        this.bindLibraryGameEvents();
     }
 
     appendGames(games, totalCount) {
@@ -645,13 +791,14 @@ export class GamesList {
         this.addLoadMoreButton(this.displayedGames.length, totalCount);
         this.loadProfilePictures();
         this.bindPGNGameEvents();
+        this.bindLibraryGameEvents();
     }
 
     addLoadMoreButton(currentCount, totalCount) {
         this.$container.find('.load-more-container').remove();
         
         let buttonHtml = '';
-        if (this.currentPlatform === Platform.CHESSCOM) {
+        if (this.currentPlatform !== Platform.LICHESS) {
             if (currentCount < totalCount) {
                 buttonHtml = `<li class="load-more-container">
                     <button class="load-more-button">Load More Games (${currentCount}/${totalCount})</button>
@@ -680,6 +827,45 @@ export class GamesList {
         }
     }
 
+    addBatchButton() {
+        this.$container.prepend(`<li class="batch-analysis-container">
+            <button class="batch-analysis-button">Analyze all games</button>
+        </li>`);
+
+        this.$container.find('.batch-analysis-button').on('click', () => this.analyzeFilteredGames());
+    }
+
+    /**
+     * Queues every game that matches the filters for the insights tab, not only the ones shown so far
+     */
+    analyzeFilteredGames() {
+        const games = this.allGames.filter(game => game.pgn && this.matchesFilters(game));
+        if (!games.length) return;
+
+        const username = this.currentPlatform === Platform.PGN ? this.getMainPlayer(games) : this.currentUsername;
+        const isOnline = this.currentPlatform === Platform.CHESSCOM || this.currentPlatform === Platform.LICHESS;
+
+        const batch = games.map(game => ({
+            ...GameLoader.loadGameFromPGN(game.pgn),
+            username: game.username || username,
+            timeControl: game.timeControl,
+            // Other games only have their date tags, the list gives them the time they were loaded or saved
+            date: isOnline ? game.endTime * 1000 : null
+        }));
+
+        window.dispatchEvent(new CustomEvent('analyzeGames', { detail: batch }));
+    }
+
+    /**
+     * Player in the most games of a PGN, the owner of the file when it's someone's own games
+     */
+    getMainPlayer(games) {
+        const counts = {};
+        games.forEach(game => [game.white, game.black].forEach(name => counts[name] = (counts[name] || 0) + 1));
+
+        return Object.keys(counts).reduce((best, name) => counts[name] > counts[best] ? name : best);
+    }
+
     createGameItem(game) {
         const resultIcons = {
             win: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512"><path d="M64 32C28.7 32 0 60.7 0 96L0 416c0 35.3 28.7 64 64 64l320 0c35.3 0 64-28.7 64-64l0-320c0-35.3-28.7-64-64-64L64 32zM200 344l0-64-64 0c-13.3 0-24-10.7-24-24s10.7-24 24-24l64 0 0-64c0-13.3 10.7-24 24-24s24 10.7 24 24l0 64 64 0c13.3 0 24 10.7 24 24s-10.7 24-24 24l-64 0 0 64c0 13.3-10.7 24-24 24s-24-10.7-24-24z" fill="currentColor"/></svg>',
@@ -704,22 +890,33 @@ export class GamesList {
             ? `<div class="profile-picture-placeholder"></div>`
             : `<img class="profile-picture" src="./assets/placeholders/white_400.png" data-username="${opponent.name}">`;
 
+        if (game.platform === Platform.LIBRARY) {
+            return `<li>${this.createLibraryItem(game, resultIcons, timeIcons)}</li>`;
+        }
+
         // Handle PGN games differently - they load directly without URL params
         const gameItemContent = game.platform === Platform.PGN ? `
             <div class="game-item pgn-game-item" data-pgn="${encodeURIComponent(game.pgn)}">
                 <div class="left-side">
-                    <div class="opponent">
-                        ${profilePicture}
-                        <h4 class="name">${opponent.name}</h4>
-                        <p class="rating">${opponent.rating}</p>
+                    <div class="pgn-game-info">
+                        <div class="pgn-game-players">
+                            <h4 class="name">${this.escapeHTML(game.white)}</h4>
+                            ${game.whiteRating ? `<p class="rating">${game.whiteRating}</p>` : ''}
+                            <span class="pgn-game-versus">vs</span>
+                            <h4 class="name">${this.escapeHTML(game.black)}</h4>
+                            ${game.blackRating ? `<p class="rating">${game.blackRating}</p>` : ''}
+                        </div>
+                        <div class="pgn-game-details">
+                            ${[game.event, game.round && `Round ${game.round}`, game.date, game.eco]
+                                .filter(Boolean)
+                                .map(detail => `<span>${this.escapeHTML(detail)}</span>`)
+                                .join('')}
+                        </div>
                     </div>
                 </div>
                 <div class="right-side">
-                    <div class="accuracy">${displayAccuracy}</div>
+                    <div class="accuracy">${this.escapeHTML(game.score.replace(/1\/2/g, '½'))}</div>
                     <div class="game-time">${timeIcons[game.timeControl] || timeIcons.other}</div>
-                    <div class="result ${game.result}">
-                        ${resultIcons[game.result]}
-                    </div>
                 </div>
             </div>
         ` : `
@@ -744,6 +941,50 @@ export class GamesList {
         return `<li>${gameItemContent}</li>`;
     }
 
+    /**
+     * Saved game with its opening and tags, which can be edited in place
+     */
+    createLibraryItem(game, resultIcons, timeIcons) {
+        const opening = game.opening ? `${game.opening.eco} ${game.opening.name}`.trim() : '';
+        const displayAccuracy = game.accuracy !== '-' ? `${game.accuracy}%` : this.escapeHTML(game.score.replace(/1\/2/g, '½'));
+
+        return `
+            <div class="game-item library-game-item" data-id="${this.escapeHTML(game.gameId)}">
+                <div class="left-side">
+                    <div class="pgn-game-info">
+                        <div class="pgn-game-players">
+                            <h4 class="name">${this.escapeHTML(game.white)}</h4>
+                            ${game.whiteRating ? `<p class="rating">${game.whiteRating}</p>` : ''}
+                            <span class="pgn-game-versus">vs</span>
+                            <h4 class="name">${this.escapeHTML(game.black)}</h4>
+                            ${game.blackRating ? `<p class="rating">${game.blackRating}</p>` : ''}
+                        </div>
+                        <div class="pgn-game-details">
+                            ${[opening, game.date, game.event]
+                                .filter(Boolean)
+                                .map(detail => `<span>${this.escapeHTML(detail)}</span>`)
+                                .join('')}
+                        </div>
+                        <input class="library-tags" type="text" placeholder="Add tags, separated by commas"
+                            value="${this.escapeHTML(game.tags.join(', '))}">
+                    </div>
+                </div>
+                <div class="right-side">
+                    <div class="accuracy">${displayAccuracy}</div>
+                    <div class="game-time">${timeIcons[game.timeControl] || timeIcons.other}</div>
+                    <div class="result ${game.result}">
+                        ${resultIcons[game.result]}
+                    </div>
+                    <button class="library-delete" title="Remove from library">&times;</button>
+                </div>
+            </div>
+        `;
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
     bindPGNGameEvents() {
         // Bind click events for PGN games
         this.$container.find('.pgn-game-item').off('click').on('click', function(e) {
@@ -760,6 +1001,25 @@ export class GamesList {
         });
     }
 
+    bindLibraryGameEvents() {
+        const getId = (e) => $(e.target).closest('.library-game-item').attr('data-id');
+
+        this.$container.find('.library-game-item').off('click').on('click', async (e) => {
+            const entry = await GameLibrary.get(getId(e));
+            if (entry) window.dispatchEvent(new CustomEvent('loadPGNGame', { detail: GameLibrary.toGame(entry) }));
+        });
+
+        this.$container.find('.library-tags').off('click change')
+            .on('click', e => e.stopPropagation())
+            .on('change', e => GameLibrary.setTags(getId(e), $(e.target).val().split(',')));
+
+        this.$container.find('.library-delete').off('click').on('click', async (e) => {
+            e.stopPropagation();
+            await GameLibrary.delete(getId(e));
+            this.loadLibrary(this.$searchField.val().trim());
+        });
+    }
+
     async loadProfilePictures() {
         if (this.currentPlatform === Platform.LICHESS || this.currentPlatform === Platform.PGN) return;
 
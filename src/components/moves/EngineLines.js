@@ -1,6 +1,7 @@
 import { Chess } from "../../../libs/chess.js";
 import { Classification } from "../../classification/MoveClassifier.js";
 import { MoveEvaluator } from "../../evaluation/MoveEvaluator.js";
+import { Tablebase, TablebaseResult } from "../../evaluation/Tablebase.js";
 import { EvaluationBar } from "../board/EvaluationBar.js";
 
 export const IgnoredSuggestionTypes = [
@@ -12,6 +13,12 @@ export const IgnoredSuggestionTypes = [
 ];
 
 export class EngineLines {
+    static threatMode = false;
+    static threatArrowColor = 'rgba(214, 64, 64, 0.7)';
+    static onThreatToggle = null;
+    static infiniteMode = false;
+    static onInfiniteToggle = null;
+
     static updateEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
         const $engineLines = $(".engine-lines").empty();
 
@@ -25,10 +32,10 @@ export class EngineLines {
             return;
         }
 
-        // Handle root node with pre-computed evaluation
-        if (node.id === 'root') {
+        // Handle root node with pre-computed evaluation, positions set up from a FEN are analyzed with the game
+        if (node.id === 'root' && (!node.fen || node.fen === MoveEvaluator.startPositionEvaluation.fen)) {
             node.evaluatedMove = MoveEvaluator.startPositionEvaluation;
-            node.fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+            node.fen = MoveEvaluator.startPositionEvaluation.fen;
         }
 
         // Handle game-over position
@@ -48,13 +55,12 @@ export class EngineLines {
         this.displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation);
     }
 
-    static displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
-        const lines = node.evaluatedMove.lines;
+    static displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation, lines = node.evaluatedMove.lines) {
         const $linesContainer = $("<div>").addClass("engine-lines-container");
         const sortedLines = [...lines].sort((a, b) => a.id - b.id);
 
-        // 3 lines only
-        for (let i = 0; i < Math.min(3, sortedLines.length); i++) {
+        // As many lines as the engine was asked for
+        for (let i = 0; i < sortedLines.length; i++) {
             const line = sortedLines[i];
             if (!line) continue;
 
@@ -65,6 +71,21 @@ export class EngineLines {
         $(".engine-lines").append($linesContainer);
     }
 
+    /**
+     * Replaces the lines with the ones from a search that's still running, keeping the threat line
+     * @param {Object} node - Node of the searched position
+     * @param {Array} lines - Engine lines so far
+     * @param {number} depth - Depth the search has reached
+     */
+    static showLiveLines(node, lines, depth, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
+        const $threatLines = $(".engine-lines .threat-lines").detach();
+        const $engineLines = $(".engine-lines").empty();
+
+        $engineLines.append(this.createEngineTitleElement(node, depth));
+        this.displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation, lines);
+        $engineLines.append($threatLines);
+    }
+
     static showGameOverMessage(chess) {
         const $resultContainer = $("<div>").addClass("engine-lines-container");
         const $resultLine = $("<div>").addClass("engine-line");
@@ -125,7 +146,10 @@ export class EngineLines {
     static createScoreBox(line) {
         let scoreText;
 
-        if (line.type === "mate") {
+        if (line.tablebase) {
+            // Tablebase lines show the distance to zeroing instead of a score
+            scoreText = line.tablebase.result === TablebaseResult.DRAW ? "0.00" : "TB" + line.tablebase.dtz;
+        } else if (line.type === "mate") {
             scoreText = (line.score > 0) ? "M" + line.score : "M" + Math.abs(line.score);
         } else {
             let evalValue = line.score / 100;
@@ -301,8 +325,67 @@ export class EngineLines {
         });
     }
 
-    static createEngineTitleElement(node) {
-        const hasEvaluation = (node?.evaluatedMove?.lines?.length > 0) || (node?.id === 'root');
+    /**
+     * Shows what the side that just moved would play if it could move again
+     * @param {Object} node - Node the threat was searched for
+     * @param {Object} threat - { fen, lines } from ThreatEvaluator
+     */
+    static showThreatLine(node, threat) {
+        const line = threat?.lines?.find(line => line.id === 1) || threat?.lines?.[0];
+        if (!line?.pv?.length) return this.showThreatMessage("No threat found");
+
+        // The moves are played from the null-move position, so they can't be added to the tree
+        const threatNode = { fen: threat.fen, moveNumber: parseInt(threat.fen.split(' ')[5]) || 1 };
+        const { movesList } = this.parsePrincipalVariation(threatNode, line);
+
+        const $line = $("<div>").addClass("engine-line threat-line")
+            .append(this.createScoreBox(line))
+            .append($("<div>").addClass("engine-moves")
+                .append($("<span>").addClass("threat-label").text("Threat"))
+                .append(" " + movesList.map(move => move.text).join(" ")));
+
+        this.getThreatContainer().empty().append($line);
+    }
+
+    static showThreatMessage(message) {
+        this.getThreatContainer().empty().append(
+            $("<div>").addClass("engine-line threat-line")
+                .append($("<div>").addClass("engine-moves")
+                    .append($("<span>").addClass("threat-label").text("Threat"))
+                    .append(" " + message))
+        );
+    }
+
+    static getThreatContainer() {
+        let $container = $(".engine-lines .threat-lines");
+        if (!$container.length) {
+            $container = $("<div>").addClass("engine-lines-container threat-lines");
+            $(".engine-lines").append($container);
+        }
+        return $container;
+    }
+
+    static setThreatMode(enabled) {
+        this.threatMode = enabled;
+        $(".threat-toggle").toggleClass("active", enabled);
+        if (!enabled) $(".engine-lines .threat-lines").remove();
+
+        this.onThreatToggle?.(enabled);
+    }
+
+    static setInfiniteMode(enabled) {
+        this.infiniteMode = enabled;
+        $(".infinite-toggle").toggleClass("active", enabled);
+
+        this.onInfiniteToggle?.(enabled);
+    }
+
+    /**
+     * @param {Object} node - Node of the position
+     * @param {number} liveDepth - Depth of the running infinite search, if its lines are shown
+     */
+    static createEngineTitleElement(node, liveDepth = null) {
+        const hasEvaluation = (node?.evaluatedMove?.lines?.length > 0) || (node?.id === 'root') || liveDepth !== null;
 
         const $title = $("<div>")
             .addClass("section-title engine-lines-title")
@@ -310,7 +393,18 @@ export class EngineLines {
             .append($("<span>").text("Computer"));
 
         // Add depth info if available
-        if (node?.evaluatedMove?.lines?.[0]) {
+        if (liveDepth !== null) {
+            $title.append(
+                $("<span>").addClass("engine-depth")
+                    .text("Depth " + liveDepth + " \u221e")
+            );
+        } else if (node?.evaluatedMove?.lines?.[0]?.tablebase) {
+            $title.append(
+                $("<span>").addClass("engine-depth")
+                    .attr("title", "Plies until the next capture or pawn move with best play")
+                    .text(Tablebase.describe(node.evaluatedMove.lines[0]))
+            );
+        } else if (node?.evaluatedMove?.lines?.[0]) {
             const depth = node.evaluatedMove.lines[0].depth || "?";
             const engine = node.evaluatedMove.engine || "";
             $title.append(
@@ -319,6 +413,20 @@ export class EngineLines {
             );
         }
 
+        const $threatToggle = $("<button>")
+            .addClass("threat-toggle")
+            .toggleClass("active", this.threatMode)
+            .attr("title", "Show what the opponent would play if it were their move")
+            .text("Threat")
+            .on("click", () => this.setThreatMode(!this.threatMode));
+        const $infiniteToggle = $("<button>")
+            .addClass("infinite-toggle")
+            .toggleClass("active", this.infiniteMode)
+            .attr("title", "Keep searching the current position")
+            .text("\u221e")
+            .on("click", () => this.setInfiniteMode(!this.infiniteMode));
+        $title.append($threatToggle, $infiniteToggle);
+
         return $title;
     }
 
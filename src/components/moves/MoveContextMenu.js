@@ -0,0 +1,53 @@
+/**
+ * Small popup menu opened by right clicking a move in the move tree
+ */
+export class MoveContextMenu {
+    static $menu = null;
+
+    /**
+     * Shows the menu at a point, replacing any menu already open
+     * @param {number} x - Page x coordinate
+     * @param {number} y - Page y coordinate
+     * @param {Array<Object>} items - { label, action, disabled }
+     */
+    static show(x, y, items) {
+        this.hide();
+
+        const $menu = $('<div class="move-context-menu"></div>');
+        items.forEach(item => {
+            const $item = $('<div class="quick-menu-item"></div>').append($('<span></span>').text(item.label));
+
+            if (item.disabled) {
+                $item.addClass('disabled');
+            } else {
+                $item.on('click', (e) => {
+                    e.stopPropagation();
+                    this.hide();
+                    item.action();
+                });
+            }
+
+            $menu.append($item);
+        });
+
+        $('body').append($menu);
+
+        // Keep the menu on screen near the edges of the window
+        const left = Math.min(x, window.scrollX + window.innerWidth - $menu.outerWidth() - 8);
+        const top = Math.min(y, window.scrollY + window.innerHeight - $menu.outerHeight() - 8);
+        $menu.css({ left: Math.max(0, left), top: Math.max(0, top) });
+
+        this.$menu = $menu;
+
+        // Any click or key press elsewhere closes the menu
+        setTimeout(() => {
+            $(document).one('click.moveContextMenu contextmenu.moveContextMenu keydown.moveContextMenu', () => this.hide());
+        });
+    }
+
+    static hide() {
+        $(document).off('.moveContextMenu');
+        this.$menu?.remove();
+        this.$menu = null;
+    }
+}
@@ -13,7 +13,8 @@ export class MoveInformation {
     constructor() {}
 
     /**
-     * Converts a UCI string to a SAN string.
+     * Converts a UCI string to a SAN string. Castling can be written with the king's
+     * destination or, like chess960 engines do, as the king taking its own rook.
      * @param {string} uci - The UCI string to convert.
      * @param {string} fen - The FEN string to use for the conversion.
      * @returns {string} The SAN string.
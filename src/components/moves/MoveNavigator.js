@@ -2,11 +2,23 @@ import { MoveInformation } from './MoveInformation.js';
 import { EvaluationBar } from '../board/EvaluationBar.js';
 import { EngineLines } from './EngineLines.js';
 import { GameGraph } from '../report/GameGraph.js';
+import { AnalysisControls } from '../report/AnalysisControls.js';
 import { Clock } from '../board/Clock.js';
+import { ThreatEvaluator } from '../../evaluation/ThreatEvaluator.js';
+import { InfiniteAnalysis } from '../../evaluation/InfiniteAnalysis.js';
+import { AnalysisMeta } from '../../evaluation/AnalysisMeta.js';
+import { PgnWriter } from './PgnWriter.js';
+import { MoveContextMenu } from './MoveContextMenu.js';
+import { MoveNotes } from './MoveNotes.js';
+import { PositionEditor } from '../board/PositionEditor.js';
+import { GameLoader } from '../games/GameLoader.js';
+import { GameLibrary } from '../games/GameLibrary.js';
+import { Chess } from '../../../libs/chess.js';
 
 export class MoveNavigator {
     constructor(chessUI) {
         this.chessUI = chessUI;
+        this.infiniteAnalysis = new InfiniteAnalysis();
     }
 
     /**
@@ -26,12 +38,24 @@ export class MoveNavigator {
         $("#copy-pgn").on("click", () => this.handleCopyPgn());
         $("#flip-board").on("click", () => this.handleFlipBoard());
         $("#download-pgn").on("click", () => this.handleDownloadPgn());
+        $("#setup-position").on("click", () => this.handleSetupPosition());
+        $("#save-library").on("click", () => this.handleSaveToLibrary());
 
         // Close quick menu when clicking outside
         $(document).on("click", (e) => this.handleDocumentClick(e));
 
         // Keyboard navigation
         $(document).on('keydown', (e) => {
+            // Leave keys alone while the user is typing, e.g. a comment, or setting up a position
+            if ($(e.target).is('input, textarea, [contenteditable]') || PositionEditor.isOpen) return;
+
+            // Ctrl+Z undoes the last edit of the move tree
+            if ((e.ctrlKey || e.metaKey) && e.keyCode === 90) {
+                e.preventDefault();
+                this.handleUndoTreeEdit();
+                return;
+            }
+
             switch (e.keyCode) {
                 case 39: $("#forward").trigger('click'); break; // Right arrow
                 case 37: $("#backward").trigger('click'); break; // Left arrow
@@ -56,6 +80,40 @@ export class MoveNavigator {
 
         // Set up new chessboard event listeners
         this.chessUI.board.on('usermove', (moveObj) => this.handleUserMove(moveObj));
+
+        // Drawings made on the board belong to the move they were drawn on. Clearing them
+        // with a left click only hides them, it happens on every click that grabs a piece.
+        this.chessUI.board.on('arrowcreate', (from, to, color, removed) => {
+            MoveNotes.saveArrow(this.chessUI.board, this.chessUI.moveTree.currentNode, from, to, color, removed);
+        });
+        this.chessUI.board.on('highlight', (square, color, removed) => {
+            MoveNotes.saveSquare(this.chessUI.board, this.chessUI.moveTree.currentNode, square, color, removed);
+        });
+
+        MoveNotes.onChange = (node) => {
+            this.chessUI.moveTree.render('move-tree', (node) => this.handleTreeNodeClick(node));
+            this.chessUI.moveTree.updateCurrentMove(node.id);
+        };
+
+        this.chessUI.moveTree.onContextMenu = (node, e) => this.handleMoveContextMenu(node, e);
+
+        EngineLines.onThreatToggle = () => this.updateThreat(this.chessUI.moveTree.currentNode);
+        EngineLines.onInfiniteToggle = (enabled) => {
+            const node = this.chessUI.moveTree.currentNode;
+            this.updateInfiniteAnalysis(node);
+
+            // The last live lines would stay up, show the position's own evaluation again
+            if (!enabled) {
+                EngineLines.updateEngineLines(
+                    node,
+                    this.chessUI.moveTree,
+                    (node) => this.handleTreeNodeClick(node),
+                    (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
+                );
+                EvaluationBar.updateEvaluationBar(node.evalScore !== undefined ? node : undefined);
+                this.updateThreat(node);
+            }
+        };
     }
 
     handleCopyFenToClipboard() {
@@ -72,6 +130,8 @@ export class MoveNavigator {
         }
 
         MoveInformation.updateMoveInfo(node, this.chessUI.moveTree.getPreviousMove());
+        MoveNotes.showDrawings(this.chessUI.board, node);
+        MoveNotes.render(node);
 
         EngineLines.updateEngineLines(
             node, 
@@ -79,6 +139,8 @@ export class MoveNavigator {
             (node) => this.handleTreeNodeClick(node), 
             (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
         );
+        this.updateThreat(node);
+        this.updateInfiniteAnalysis(node);
 
         GameGraph.updateCurrentMoveNumber(node.moveNumber);
         
@@ -86,6 +148,92 @@ export class MoveNavigator {
         Clock.updateFromMoveTree(this.chessUI.moveTree, this.chessUI.board.flipped, this.chessUI.game?.pgn);
     }
 
+    /**
+     * Searches the threat for a position while threat mode is on, drawing the
+     * opponent's best reply as an arrow and listing it under the engine lines
+     * @param {Object} node - Node of the position
+     */
+    async updateThreat(node) {
+        const board = this.chessUI.board;
+        board.removeArrows(EngineLines.threatArrowColor);
+
+        if (!EngineLines.threatMode || !node) return;
+
+        const fen = node.move?.after || node.fen;
+        if (!ThreatEvaluator.getNullMoveFen(fen)) {
+            EngineLines.showThreatMessage("None, the side to move is in check");
+            return;
+        }
+
+        EngineLines.showThreatMessage("Searching...");
+        const threat = await ThreatEvaluator.evaluate(fen, this.chessUI.settingsMenu.getEngineSettings());
+
+        // The user may have moved on or turned threats off while the engine was searching
+        if (this.chessUI.moveTree.currentNode !== node || !EngineLines.threatMode) return;
+
+        if (!threat) {
+            EngineLines.showThreatMessage("No threat found");
+            return;
+        }
+
+        EngineLines.showThreatLine(node, threat);
+
+        const bestMove = (threat.lines.find(line => line.id === 1) || threat.lines[0]).pv?.[0];
+        if (!bestMove) return;
+
+        const from = board.getSquare(board.algebraicToIndex(bestMove.substring(0, 2), board.flipped), board.flipped);
+        const to = board.getSquare(board.algebraicToIndex(bestMove.substring(2, 4), board.flipped), board.flipped);
+        board.removeArrows(EngineLines.threatArrowColor);
+        board.createArrow(from, to, EngineLines.threatArrowColor);
+    }
+
+    /**
+     * Keeps the engine searching the shown position while infinite analysis is on.
+     * Showing another position stops the search and starts one there.
+     * @param {Object} node - Node of the position
+     */
+    updateInfiniteAnalysis(node) {
+        const infinite = this.infiniteAnalysis;
+
+        if (!EngineLines.infiniteMode || !node) {
+            infinite.terminate();
+            return;
+        }
+
+        const fen = node.move?.after || node.fen;
+        if (!fen || new Chess(fen).isGameOver()) {
+            infinite.cancel();
+            return;
+        }
+
+        // The same position is re-rendered whenever an evaluation comes in, keep searching it
+        if (infinite.fen === fen) {
+            if (infinite.lines.length > 0) this.showLiveLines(node, infinite.lines, infinite.depth);
+            return;
+        }
+
+        infinite.start(fen, this.chessUI.settingsMenu.getEngineSettings(), (lines, depth) => {
+            if (this.chessUI.moveTree.currentNode !== node) return;
+            this.showLiveLines(node, lines, depth);
+        });
+    }
+
+    showLiveLines(node, lines, depth) {
+        EngineLines.showLiveLines(
+            node,
+            lines,
+            depth,
+            this.chessUI.moveTree,
+            (node) => this.handleTreeNodeClick(node),
+            (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
+        );
+
+        const topLine = lines.find(line => line.id === 1);
+        if (topLine) {
+            EvaluationBar.updateEvaluationBar({ evalScore: topLine.score, evalType: topLine.type, evalWdl: topLine.wdl, evalTablebase: topLine.tablebase });
+        }
+    }
+
     handleForwardMove() {
         const nextNode = this.chessUI.moveTree.getNextMove();
         if (!nextNode || !nextNode.move) return;
@@ -122,6 +270,7 @@ export class MoveNavigator {
 
         const currentNode = this.chessUI.moveTree.currentNode;
         this.chessUI.moveTree.updateNodeClassification(currentNode, this.chessUI.board);
+        MoveNotes.showDrawings(this.chessUI.board, currentNode);
         
         if (currentNode.evalScore !== undefined) {
             EvaluationBar.updateEvaluationBar(currentNode);
@@ -132,19 +281,24 @@ export class MoveNavigator {
     }
 
     handleRestart() {
-        this.chessUI.board.fen();
+        // Games set up from a position start from it instead of the standard start
+        this.chessUI.board.fen(this.chessUI.moveTree.mainline[0].fen || undefined);
 
         this.chessUI.moveTree.navigateTo('root');
         this.chessUI.moveTree.updateCurrentMove('root');
 
         GameGraph.updateCurrentMoveNumber(0);
         EvaluationBar.updateEvaluationBar();
+        MoveNotes.showDrawings(this.chessUI.board, this.chessUI.moveTree.currentNode);
+        MoveNotes.render(this.chessUI.moveTree.currentNode);
         EngineLines.updateEngineLines(
             this.chessUI.moveTree.currentNode, 
             this.chessUI.moveTree, 
             (node) => this.handleTreeNodeClick(node), 
             (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
         );
+        this.updateThreat(this.chessUI.moveTree.currentNode);
+        this.updateInfiniteAnalysis(this.chessUI.moveTree.currentNode);
         
         // Update clocks for starting position
         Clock.updateFromMoveTree(this.chessUI.moveTree, this.chessUI.board.flipped, this.chessUI.game?.pgn);
@@ -301,6 +455,8 @@ export class MoveNavigator {
             if (topLine) {
                 node.evalScore = topLine.score;
                 node.evalType = topLine.type || 'cp';
+                node.evalWdl = topLine.wdl;
+                node.evalTablebase = topLine.tablebase;
             }
 
             // Update UI if this is the current node
@@ -322,6 +478,63 @@ export class MoveNavigator {
         }, this.chessUI.moveTree);
     }
 
+    /**
+     * Opens the menu for editing the move tree at a move
+     * @param {Object} node - The move that was right clicked
+     * @param {Event} e - The contextmenu event
+     */
+    handleMoveContextMenu(node, e) {
+        const moveTree = this.chessUI.moveTree;
+        const hasContinuations = moveTree.getContinuations(node).length > 0;
+
+        MoveContextMenu.show(e.pageX, e.pageY, [
+            { label: 'Promote to main line', disabled: node.isMainline, action: () => this.editMoveTree(() => moveTree.promoteToMainline(node.id)) },
+            { label: 'Move variation up', disabled: !moveTree.canMoveVariation(node, -1), action: () => this.editMoveTree(() => moveTree.moveVariation(node.id, -1)) },
+            { label: 'Move variation down', disabled: !moveTree.canMoveVariation(node, 1), action: () => this.editMoveTree(() => moveTree.moveVariation(node.id, 1)) },
+            { label: 'Delete from here', action: () => this.editMoveTree(() => moveTree.deleteFrom(node.id)) },
+            { label: 'Delete moves after this', disabled: !hasContinuations, action: () => this.editMoveTree(() => moveTree.truncateAfter(node.id)) },
+            { label: 'Undo', disabled: !moveTree.canUndo, action: () => this.handleUndoTreeEdit() }
+        ]);
+    }
+
+    handleUndoTreeEdit() {
+        this.editMoveTree(() => this.chessUI.moveTree.undo() ? [] : null);
+    }
+
+    /**
+     * Applies an edit to the move tree, then drops the evaluations of removed moves
+     * and redraws the tree and board. The game is analyzed again when its main line changed.
+     * @param {Function} edit - Makes the edit, returns the removed nodes or null when nothing changed
+     */
+    editMoveTree(edit) {
+        const moveTree = this.chessUI.moveTree;
+        const previousNode = moveTree.currentNode;
+        const previousMainline = moveTree.mainline.map(node => node.san).join(' ');
+
+        const removed = edit();
+        if (!removed) return;
+
+        this.chessUI.evaluationQueue.forget(removed.map(node => node.id));
+        moveTree.render('move-tree', (node) => this.handleTreeNodeClick(node));
+
+        if (this.chessUI.game && moveTree.mainline.map(node => node.san).join(' ') !== previousMainline) {
+            this.chessUI.reanalyze().catch(error => {
+                console.error("Error analyzing the edited game:", error);
+                AnalysisControls.showError(`Couldn't analyze the edited game: ${error.message}`);
+            });
+        }
+
+        // Stay on the same position unless it was deleted
+        const currentNode = moveTree.currentNode;
+        if (currentNode === previousNode) {
+            moveTree.updateCurrentMove(currentNode.id);
+        } else if (currentNode.id === 'root') {
+            this.handleRestart();
+        } else {
+            this.navigateToTargetPosition(currentNode);
+        }
+    }
+
     handleQuickMenuToggle(e) {
         e.stopPropagation();
         const menu = $("#quick-menu");
@@ -365,8 +578,23 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
-    handleCopyPgn() {
+    /**
+     * PGN of the move tree with its variations and the analysis annotations,
+     * and the analysis settings in its headers once the analysis is done
+     * @returns {string}
+     */
+    getExportPgn() {
         const pgn = this.chessUI.game?.pgn || '';
+        if (!pgn) return '';
+
+        const annotated = PgnWriter.write(this.chessUI.moveTree, pgn);
+        const meta = this.chessUI.analysis?.analysisMeta;
+
+        return meta ? AnalysisMeta.embedInPgn(annotated, meta) : annotated;
+    }
+
+    handleCopyPgn() {
+        const pgn = this.getExportPgn();
         if (pgn) {
             navigator.clipboard.writeText(pgn).then(() => {
                 this.showNotification('PGN copied to clipboard!');
@@ -379,8 +607,31 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
+    /**
+     * Saves the game with its analysis and notes to the library, saving again updates the same entry
+     */
+    async handleSaveToLibrary() {
+        $("#quick-menu").removeClass('show');
+
+        const { game, moveTree, analysis } = this.chessUI;
+        if (!game || moveTree.mainline.length <= 1 && !game.pgn) {
+            this.showNotification('No game to save');
+            return;
+        }
+
+        const entry = await GameLibrary.save(game, moveTree, analysis);
+        if (!entry) {
+            this.showNotification('Failed to save game');
+            return;
+        }
+
+        game.libraryId = entry.id;
+        this.showNotification(entry.analysis ? 'Game saved to library!' : 'Game saved, the analysis will be saved once it finishes');
+        window.dispatchEvent(new CustomEvent('librarychange'));
+    }
+
     handleDownloadPgn() {
-        const pgn = this.chessUI.game?.pgn || '';
+        const pgn = this.getExportPgn();
         if (pgn) {
             const blob = new Blob([pgn], { type: 'text/plain' });
             const url = URL.createObjectURL(blob);
@@ -398,6 +649,18 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
+    /**
+     * Opens the board editor on the current position, the position it's left with is analyzed as a new game
+     */
+    handleSetupPosition() {
+        $("#quick-menu").removeClass('show');
+
+        PositionEditor.open(this.chessUI.moveTree.currentNode.fen, this.chessUI.board, (fen) => {
+            const game = GameLoader.loadGameFromFEN(fen);
+            if (game) window.dispatchEvent(new CustomEvent('loadPGNGame', { detail: game }));
+        });
+    }
+
     showNotification(message) {
         // Create a simple notification
         const notification = $(`
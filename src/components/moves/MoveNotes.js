@@ -0,0 +1,199 @@
+import { PgnParser } from "./PgnParser.js";
+
+/**
+ * The user's own notes on a move: a comment, NAG glyphs and arrows and squares
+ * drawn on the board. Drawings are kept in the node's [%cal] and [%csl] commands,
+ * the same place imported PGNs put them, so PgnWriter exports them as they are.
+ */
+export class MoveNotes {
+    // PGN drawing colors and the board's drawing colors they're shown in
+    static colors = {
+        G: 'green',
+        R: 'red',
+        B: 'blue',
+        Y: 'yellow'
+    };
+
+    // Squares highlighted without a drawing color show in the board's highlight color, which is red
+    static squareColor = 'R';
+
+    // Glyphs offered in the editor, a move gets at most one from each group
+    static nagGroups = [
+        [1, 2, 3, 4, 5, 6],
+        [10, 13, 14, 15, 16, 17, 18, 19]
+    ];
+
+    static onChange = null;
+    static node = null;
+
+    /**
+     * Reads the drawings of a node
+     * @param {Object} node - Move tree node
+     * @returns {Object} - { arrows: [from, to, color], squares: [square, color] } with PGN color letters
+     */
+    static getDrawings(node) {
+        const arrows = this.parseList(node?.commands?.cal)
+            .filter(item => /^[GRBY][a-h][1-8][a-h][1-8]$/.test(item))
+            .map(item => [item.slice(1, 3), item.slice(3, 5), item[0]]);
+
+        const squares = this.parseList(node?.commands?.csl)
+            .filter(item => /^[GRBY][a-h][1-8]$/.test(item))
+            .map(item => [item.slice(1, 3), item[0]]);
+
+        return { arrows, squares };
+    }
+
+    /**
+     * Stores drawings on a node, removing the commands when there's nothing drawn
+     * @param {Object} node - Move tree node
+     * @param {Object} drawings - In the format getDrawings returns
+     */
+    static setDrawings(node, { arrows, squares }) {
+        const commands = { ...node.commands };
+
+        commands.cal = arrows.map(([from, to, color]) => `${color}${from}${to}`).join(',');
+        commands.csl = squares.map(([square, color]) => `${color}${square}`).join(',');
+        if (!commands.cal) delete commands.cal;
+        if (!commands.csl) delete commands.csl;
+
+        node.commands = commands;
+    }
+
+    static parseList(value) {
+        return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Draws a node's arrows and squares on the board
+     * @param {Chessboard} board - The board
+     * @param {Object} node - Move tree node
+     */
+    static showDrawings(board, node) {
+        const { arrows, squares } = this.getDrawings(node);
+        const drawColors = board.settings.styling.drawColors;
+
+        board.setDrawings(
+            arrows.map(([from, to, code]) => [from, to, drawColors[this.colors[code]]]),
+            squares.map(([square, code]) => [square, drawColors[this.colors[code]]])
+        );
+    }
+
+    /**
+     * Saves an arrow drawn or taken off on the board to a node. Only the arrow changes,
+     * drawings cleared from the board with a left click stay saved.
+     * @param {Chessboard} board - The board
+     * @param {Object} node - Move tree node
+     * @param {string} from - Square the arrow starts on
+     * @param {string} to - Square the arrow points to
+     * @param {string} color - The arrow's color, ones that aren't PGN colors, like the threat arrow, aren't saved
+     * @param {boolean} removed - Whether the arrow was taken off
+     */
+    static saveArrow(board, node, from, to, color, removed) {
+        const code = this.getColorCode(board, color);
+        if (!code) return;
+
+        const { arrows, squares } = this.getDrawings(node);
+        const others = arrows.filter(([arrowFrom, arrowTo]) => arrowFrom !== from || arrowTo !== to);
+
+        this.setDrawings(node, { arrows: removed ? others : [...others, [from, to, code]], squares });
+    }
+
+    /**
+     * Saves a square marked or unmarked on the board to a node, like saveArrow
+     * @param {Chessboard} board - The board
+     * @param {Object} node - Move tree node
+     * @param {string} square - The square
+     * @param {string} color - The mark's color
+     * @param {boolean} removed - Whether the mark was taken off
+     */
+    static saveSquare(board, node, square, color, removed) {
+        const { arrows, squares } = this.getDrawings(node);
+        const others = squares.filter(([marked]) => marked !== square);
+        const code = this.getColorCode(board, color) || this.squareColor;
+
+        this.setDrawings(node, { arrows, squares: removed ? others : [...others, [square, code]] });
+    }
+
+    /**
+     * @returns {string|undefined} - PGN color letter of a board drawing color
+     */
+    static getColorCode(board, color) {
+        const drawColors = board.settings.styling.drawColors;
+        return Object.keys(this.colors).find(code => drawColors[this.colors[code]] === color);
+    }
+
+    /**
+     * Shows the comment and glyph editor for a node
+     * @param {Object} node - Move tree node
+     * @param {boolean} force - Render again even if the editor already shows the node
+     */
+    static render(node, force = false) {
+        // The analysis updates the current move while the user may be typing
+        if (node === this.node && !force) return;
+        this.node = node;
+
+        const $notes = $(".move-notes").empty();
+        if (!node) return;
+
+        const $comment = $("<textarea>")
+            .addClass("move-notes-comment")
+            .attr("placeholder", node.move ? `Comment on ${node.move.san}` : "Comment on the game")
+            .attr("rows", 2)
+            .val(node.comment || "")
+            .on("input", () => {
+                const text = $comment.val().trim();
+                if (text) {
+                    node.comment = text;
+                } else {
+                    delete node.comment;
+                }
+            })
+            .on("change", () => this.onChange?.(node));
+
+        $notes.append($comment);
+
+        // The starting position has no move to judge
+        if (!node.move) return;
+
+        const $glyphs = $("<div>").addClass("move-notes-glyphs");
+        this.nagGroups.forEach(group => {
+            const $group = $("<div>").addClass("move-notes-group");
+
+            group.forEach(nag => {
+                $("<button>")
+                    .addClass("move-notes-glyph")
+                    .toggleClass("selected", node.nags?.includes(nag) || false)
+                    .attr("title", `$${nag}`)
+                    .text(PgnParser.nagToSymbol(nag))
+                    .on("click", () => {
+                        this.toggleNag(node, nag, group);
+                        this.render(node, true);
+                        this.onChange?.(node);
+                    })
+                    .appendTo($group);
+            });
+
+            $glyphs.append($group);
+        });
+
+        $notes.append($glyphs);
+    }
+
+    /**
+     * Adds or removes a glyph, replacing any other glyph from its group
+     * @param {Object} node - Move tree node
+     * @param {number} nag - The glyph
+     * @param {Array<number>} group - Glyphs that can't be combined with it
+     */
+    static toggleNag(node, nag, group) {
+        const had = node.nags?.includes(nag);
+        const nags = (node.nags || []).filter(other => !group.includes(other));
+        if (!had) nags.push(nag);
+
+        if (nags.length > 0) {
+            node.nags = nags.sort((a, b) => a - b);
+        } else {
+            delete node.nags;
+        }
+    }
+}
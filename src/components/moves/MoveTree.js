@@ -1,5 +1,6 @@
 import { Chess } from "./../../../libs/chess.js";
 import { Classification } from "../../classification/MoveClassifier.js";
+import { PgnParser } from "./PgnParser.js";
 
 export class MoveTree {
     constructor() {
@@ -10,109 +11,48 @@ export class MoveTree {
         this.idCounter = 0;
         this.currentIndex = 0;
         this.clockData = new Map(); // Store clock data for each position
+        this.undoStack = [];
+        this.onContextMenu = null;
     }
 
+    static maxUndo = 50;
+
     /**
-     * Extracts clock annotations from PGN string
+     * Builds the tree from a PGN, including its variations, comments and NAGs
      * @param {string} pgn - The PGN string
-     * @returns {Array} Array of clock data objects
+     * @param {Chess} chess - Chess instance to play the mainline on
+     * @returns {Array} - The mainline moves, like chess.history({ verbose: true })
      */
-    extractClockAnnotations(pgn) {
-        const clockData = [];
-        
-        // Remove header from PGN to get only the moves
-        const headerRegex = /^\[[\s\S]*?\]\s*$/gm;
-        const moveText = pgn.replace(headerRegex, '').trim();
-        
-        // Find all clock annotations in the format {[%clk 0:03:00.9]}
-        const clockRegex = /\{[^}]*\[%clk\s+([^\]]+)\][^}]*\}/g;
-        const clockMatches = [...moveText.matchAll(clockRegex)];
-        
-        if (clockMatches.length === 0) {
-            return clockData;
-        }
-        
-        // Extract moves with their positions
-        const moveRegex = /\d+\.\s*([^\s{]+)(?:\s+\{[^}]*\})?\s*([^\s{]+)?(?:\s+\{[^}]*\})?/g;
-        let moveIndex = 0;
-        let clockIndex = 0;
-        let match;
-        
-        while ((match = moveRegex.exec(moveText)) !== null) {
-            const whiteMove = match[1];
-            const blackMove = match[2];
-            
-            if (whiteMove) {
-                // Check if there's a clock annotation after this white move
-                const whiteMovePos = match.index + match[0].indexOf(whiteMove);
-                const nextClockMatch = clockMatches[clockIndex];
-                
-                if (nextClockMatch && nextClockMatch.index > whiteMovePos) {
-                    // Find the next clock annotation that comes after this move
-                    let foundClock = false;
-                    for (let i = clockIndex; i < clockMatches.length; i++) {
-                        if (clockMatches[i].index > whiteMovePos) {
-                            clockData[moveIndex] = {
-                                moveIndex: moveIndex,
-                                color: 'white',
-                                clock: clockMatches[i][1].trim()
-                            };
-                            clockIndex = i + 1;
-                            foundClock = true;
-                            break;
-                        }
-                    }
-                }
-                moveIndex++;
-            }
-            
-            if (blackMove) {
-                // Check if there's a clock annotation after this black move
-                const blackMovePos = match.index + match[0].indexOf(blackMove);
-                const nextClockMatch = clockMatches[clockIndex];
-                
-                if (nextClockMatch && nextClockMatch.index > blackMovePos) {
-                    // Find the next clock annotation that comes after this move
-                    let foundClock = false;
-                    for (let i = clockIndex; i < clockMatches.length; i++) {
-                        if (clockMatches[i].index > blackMovePos) {
-                            clockData[moveIndex] = {
-                                moveIndex: moveIndex,
-                                color: 'black',
-                                clock: clockMatches[i][1].trim()
-                            };
-                            clockIndex = i + 1;
-                            foundClock = true;
-                            break;
-                        }
-                    }
-                }
-                moveIndex++;
-            }
-        }
-        
-        return clockData;
-    }
-
     buildFromPGN(pgn, chess) {
         // Use the provided chess instance or create a new one
         const chessInstance = chess || new Chess();
 
-        // Extract clock annotations before PGN parsing
-        const clockData = this.extractClockAnnotations(pgn);
-        
-        chessInstance.loadPgn(pgn);
-        const history = chessInstance.history({ verbose: true });
-        chessInstance.reset();
+        // Games set up from a position start from their FEN tag
+        chessInstance.load(PgnParser.getStartFen(pgn));
+
+        const parsed = PgnParser.parse(pgn);
 
         this.mainline = [{ id: 'root', moveNumber: null, san: null, fen: chessInstance.fen(), children: [], isMainline: true }];
         this.nodeMap = new Map().set('root', this.mainline[0]);
         this.currentNode = this.mainline[0];
         this.currentIndex = 0;
-        
-        let moveNumber = 1, isWhiteTurn = true;
-        
-        for (const [index, move] of history.entries()) {
+        this.idCounter = 0;
+        this.final = null;
+        this.undoStack = [];
+        this._applyComments(this.mainline[0], parsed.line.comments);
+
+        const history = [];
+        let moveNumber = chessInstance.moveNumber(), isWhiteTurn = chessInstance.turn() === 'w';
+        
+        for (const entry of parsed.line.moves) {
+            let move;
+            try {
+                move = chessInstance.move(entry.san);
+            } catch (error) {
+                console.error(`Invalid move in PGN: ${entry.san}`, error);
+                break;
+            }
+
             const nodeId = `move_${moveNumber}_${isWhiteTurn ? 'w' : 'b'}_${move.san.replace(/[+#]/g, m => m === '+' ? 'check' : 'mate')}`;
             
             const node = {
@@ -120,33 +60,95 @@ export class MoveTree {
                 moveNumber: isWhiteTurn ? moveNumber : moveNumber + 0.5,
                 san: move.san,
                 move: move,
-                fen: null,
+                fen: chessInstance.fen(),
                 children: [],
                 isMainline: true,
                 parentIndex: this.mainline.length - 1
             };
-            
-            // Add clock data if available
-            const clockInfo = clockData.find(c => c.moveIndex === index);
-            if (clockInfo) {
-                node.clock = clockInfo.clock;
-            }
-            
-            chessInstance.move(move.lan);
-            node.fen = chessInstance.fen();
+            this._applyAnnotations(node, entry);
             
             this.mainline.push(node);
             this.nodeMap.set(node.id, node);
+            history.push(move);
             
             if (!isWhiteTurn) moveNumber++;
             isWhiteTurn = !isWhiteTurn;
             this.final = node;
         }
-        
+
+        // Variations go in once the mainline is complete, so addMove doesn't extend the mainline with them
+        parsed.line.moves.slice(0, history.length).forEach((entry, i) => {
+            entry.variations.forEach(variation => this._addVariation(variation, this.mainline[i]));
+        });
+
         this.currentNode = this.mainline[0];
 
         return history;
     }
+
+    /**
+     * Adds a parsed variation and the variations inside it
+     * @param {Object} line - Line from PgnParser
+     * @param {Object} parent - Node of the position the variation starts from
+     * @private
+     */
+    _addVariation(line, parent) {
+        const chess = new Chess();
+
+        line.moves.forEach((entry, i) => {
+            if (!parent) return;
+
+            let move;
+            try {
+                chess.load(parent.fen);
+                move = chess.move(entry.san);
+            } catch (error) {
+                console.error(`Invalid move in PGN variation: ${entry.san}`, error);
+                parent = null;
+                return;
+            }
+
+            // A variation repeating a move that's already there shares its node
+            const isNew = !this.findExistingMove(parent, move);
+            const node = this.addMove(move, parent.id);
+
+            if (isNew) {
+                this._applyAnnotations(node, entry);
+                if (i === 0) this._applyComments(node, line.comments, 'preComment');
+            }
+
+            entry.variations.forEach(variation => this._addVariation(variation, parent));
+            parent = node;
+        });
+    }
+
+    /**
+     * Copies the NAGs and comments of a parsed move onto its node
+     * @private
+     */
+    _applyAnnotations(node, entry) {
+        if (entry.nags.length > 0) node.nags = [...entry.nags];
+        this._applyComments(node, entry.comments);
+    }
+
+    /**
+     * Stores comment text on the node, and the [%clk] and other commands in them
+     * @private
+     */
+    _applyComments(node, comments, key = 'comment') {
+        const texts = [];
+
+        comments.forEach(comment => {
+            const { text, commands } = PgnParser.parseComment(comment);
+            if (text) texts.push(text);
+
+            if (commands.clk) node.clock = commands.clk;
+            delete commands.clk;
+            if (Object.keys(commands).length > 0) node.commands = { ...node.commands, ...commands };
+        });
+
+        if (texts.length > 0) node[key] = texts.join(' ');
+    }
     
     updateClassification(nodeId, move) {
         const node = this.nodeMap.get(nodeId);
@@ -160,6 +162,8 @@ export class MoveTree {
             if (topLine) {
                 node.evalScore = topLine.score;
                 node.evalType = topLine.type || 'cp';
+                node.evalWdl = topLine.wdl;
+                node.evalTablebase = topLine.tablebase;
             }
         }
     }
@@ -169,20 +173,14 @@ export class MoveTree {
             const parentIndex = this.getNodeIndex(parentNode);
             if (parentIndex !== -1 && parentIndex + 1 < this.mainline.length) {
                 const nextMove = this.mainline[parentIndex + 1];
-                if (nextMove.move && 
-                    nextMove.move.from === move.from && 
-                    nextMove.move.to === move.to && 
-                    nextMove.move.promotion === move.promotion) {
+                // Compared by SAN, a chess960 king step and castling can share their squares
+                if (nextMove.move && nextMove.san === move.san) {
                     return nextMove;
                 }
             }
         }
         
-        return parentNode.children.find(child => 
-            child.move?.from === move.from && 
-            child.move?.to === move.to && 
-            child.move?.promotion === move.promotion
-        );
+        return parentNode.children.find(child => child.move && child.san === move.san);
     }
 
     getNodeIndex(node) {
@@ -223,7 +221,7 @@ export class MoveTree {
             parentId: parentId,
         };
         
-        chess.move(move);
+        chess.move(move.san);
         node.fen = chess.fen();
         
         if (isMainline) {
@@ -294,6 +292,217 @@ export class MoveTree {
         return this.final;
     }
 
+    /**
+     * @param {Object} node - Any node in the tree
+     * @returns {Object|null} - Node of the position before the move
+     */
+    getParent(node) {
+        const index = this.getNodeIndex(node);
+        if (index > 0) return this.mainline[index - 1];
+        if (index === 0) return null;
+
+        return node.parentId ? this.nodeMap.get(node.parentId) : null;
+    }
+
+    /**
+     * Moves that can be played from a node, the one continuing its line first
+     * @param {Object} node - Any node in the tree
+     * @returns {Array}
+     */
+    getContinuations(node) {
+        const index = this.getNodeIndex(node);
+        if (index !== -1 && index + 1 < this.mainline.length) {
+            return [this.mainline[index + 1], ...node.children];
+        }
+
+        return [...node.children];
+    }
+
+    /**
+     * Whether a node starts a variation that can be moved among the other variations
+     * @param {Object} node - Any node in the tree
+     * @param {number} direction - -1 to move it up, 1 to move it down
+     * @returns {boolean}
+     */
+    canMoveVariation(node, direction) {
+        const parent = this.getParent(node);
+        if (!parent) return false;
+
+        // The first continuation is the line itself, promoting is how a variation gets there
+        const siblings = this.getContinuations(parent);
+        const index = siblings.indexOf(node);
+        return index > 0 && index + direction > 0 && index + direction < siblings.length;
+    }
+
+    /**
+     * Removes a move and everything after it
+     * @param {string} nodeId - Node to delete
+     * @returns {Array|null} - The removed nodes, or null when nothing changed
+     */
+    deleteFrom(nodeId) {
+        const node = this.nodeMap.get(nodeId);
+        const parent = node && this.getParent(node);
+        if (!parent) return null;
+
+        return this._edit(parent, (continuations) => {
+            continuations.set(parent, continuations.get(parent).filter(child => child !== node));
+        });
+    }
+
+    /**
+     * Removes every move after a node, variations included
+     * @param {string} nodeId - Last node to keep
+     * @returns {Array|null} - The removed nodes, or null when nothing changed
+     */
+    truncateAfter(nodeId) {
+        const node = this.nodeMap.get(nodeId);
+        if (!node || this.getContinuations(node).length === 0) return null;
+
+        return this._edit(node, (continuations) => {
+            continuations.set(node, []);
+        });
+    }
+
+    /**
+     * Makes the line leading to a node the mainline, the old mainline becomes a variation
+     * @param {string} nodeId - Node in a variation
+     * @returns {Array|null} - The removed nodes (none), or null when nothing changed
+     */
+    promoteToMainline(nodeId) {
+        const node = this.nodeMap.get(nodeId);
+        if (!node || node.isMainline) return null;
+
+        return this._edit(node, (continuations) => {
+            // Every move on the way to the node becomes the first continuation of its parent
+            for (let current = node, parent = this.getParent(node); parent; current = parent, parent = this.getParent(parent)) {
+                const siblings = continuations.get(parent).filter(child => child !== current);
+                continuations.set(parent, [current, ...siblings]);
+            }
+        });
+    }
+
+    /**
+     * Moves a variation up or down among the variations starting from the same position
+     * @param {string} nodeId - First node of the variation
+     * @param {number} direction - -1 to move it up, 1 to move it down
+     * @returns {Array|null} - The removed nodes (none), or null when nothing changed
+     */
+    moveVariation(nodeId, direction) {
+        const node = this.nodeMap.get(nodeId);
+        if (!node || !this.canMoveVariation(node, direction)) return null;
+
+        const parent = this.getParent(node);
+        return this._edit(node, (continuations) => {
+            const siblings = continuations.get(parent);
+            const index = siblings.indexOf(node);
+            [siblings[index], siblings[index + direction]] = [siblings[index + direction], siblings[index]];
+        });
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Reverts the last edit
+     * @returns {boolean} - Whether there was anything to undo
+     */
+    undo() {
+        const snapshot = this.undoStack.pop();
+        if (!snapshot) return false;
+
+        this.mainline = snapshot.mainline;
+        this.nodeMap = snapshot.nodeMap;
+        this.final = snapshot.final;
+        snapshot.nodes.forEach((structure, node) => Object.assign(node, structure));
+
+        if (!this.nodeMap.has(this.currentNode.id)) this.currentNode = this.mainline[0];
+        this.currentIndex = Math.max(0, this.getNodeIndex(this.currentNode));
+
+        return true;
+    }
+
+    /**
+     * Applies an edit to the continuations of every node and rebuilds the tree from them
+     * @param {Object} fallback - Node to move to if the current node is removed
+     * @param {Function} change - Changes the map of node to continuations in place
+     * @returns {Array} - The removed nodes
+     * @private
+     */
+    _edit(fallback, change) {
+        this._pushUndo();
+
+        const continuations = new Map();
+        this.nodeMap.forEach(node => continuations.set(node, this.getContinuations(node)));
+        change(continuations);
+
+        const removed = this._rebuild(continuations);
+        if (removed.includes(this.currentNode)) this.currentNode = fallback;
+        this.currentIndex = Math.max(0, this.getNodeIndex(this.currentNode));
+
+        return removed;
+    }
+
+    /**
+     * Rebuilds the mainline, children and parent links from the continuations of every node
+     * @private
+     */
+    _rebuild(continuations) {
+        const root = this.mainline[0];
+        const mainline = [root];
+        for (let node = root; continuations.get(node)?.length > 0;) {
+            node = continuations.get(node)[0];
+            mainline.push(node);
+        }
+
+        const nodeMap = new Map();
+        const visit = (node, parent, isMainline) => {
+            nodeMap.set(node.id, node);
+            const next = continuations.get(node) || [];
+
+            if (parent) {
+                node.parentId = parent.id;
+                node.isMainline = isMainline;
+            }
+
+            if (isMainline) {
+                if (parent) node.parentIndex = mainline.indexOf(node) - 1;
+                node.children = next.slice(1);
+                next.forEach((child, i) => visit(child, node, i === 0));
+            } else {
+                delete node.parentIndex;
+                node.children = next;
+                next.forEach(child => visit(child, node, false));
+            }
+        };
+        visit(root, null, true);
+
+        const removed = [...this.nodeMap.values()].filter(node => !nodeMap.has(node.id));
+
+        this.mainline = mainline;
+        this.nodeMap = nodeMap;
+        this.final = mainline.length > 1 ? mainline[mainline.length - 1] : null;
+
+        return removed;
+    }
+
+    /**
+     * Remembers the structure of the tree so the next edit can be undone
+     * @private
+     */
+    _pushUndo() {
+        const nodes = new Map();
+        this.nodeMap.forEach(node => nodes.set(node, {
+            children: [...node.children],
+            isMainline: node.isMainline,
+            parentId: node.parentId,
+            parentIndex: node.parentIndex
+        }));
+
+        this.undoStack.push({ mainline: [...this.mainline], nodeMap: new Map(this.nodeMap), final: this.final, nodes });
+        if (this.undoStack.length > MoveTree.maxUndo) this.undoStack.shift();
+    }
+
     /**
      * Gets an array of moves (with san notation) from root to the specified node
      * @param {string} nodeId - The target node ID
@@ -315,6 +524,11 @@ export class MoveTree {
         
         let currentTurnContainer = null;
         const rootHasVariations = this.mainline[0].children.length > 0;
+
+        // Comment on the whole game, before the first move
+        if (this.mainline[0].comment) {
+            $mainLine.append(this._createCommentElement(this.mainline[0].comment));
+        }
         
         for (let i = 1; i < this.mainline.length; i++) {
             const node = this.mainline[i];
@@ -323,8 +537,17 @@ export class MoveTree {
                 currentTurnContainer = $('<div>').addClass('turn').appendTo($mainLine);
             }
             
-            const moveElement = this._createMoveElement(node, clickHandler);
+            // Games set up with black to move start with black's move number
+            const moveElement = i === 1 && node.move?.color === 'b'
+                ? $('<div>').addClass('move-entry')
+                    .append($('<span>').addClass('move-number').text(Math.floor(node.moveNumber) + '... '))
+                    .append(this._createMoveContainer(node, clickHandler))
+                : this._createMoveElement(node, clickHandler);
             currentTurnContainer.append(moveElement);
+
+            if (node.comment) {
+                $mainLine.append(this._createCommentElement(node.comment));
+            }
             
             if ((i === 1 && rootHasVariations) || node.children.length > 0) {
                 const $variationsContainer = $('<div>').addClass('variations').appendTo($mainLine);
@@ -340,6 +563,10 @@ export class MoveTree {
     _renderVariation(node, container, clickHandler) {
         const movesInVariation = this._buildVariationMovesList(node);
         let currentTurnContainer = null;
+
+        if (node.preComment) {
+            $(container).append(this._createCommentElement(node.preComment));
+        }
         
         for (let i = 0; i < movesInVariation.length; i++) {
             const currentNode = movesInVariation[i];
@@ -361,6 +588,10 @@ export class MoveTree {
             else {
                 currentTurnContainer.append(this._createMoveElement(currentNode, clickHandler));
             }
+
+            if (currentNode.comment) {
+                $(container).append(this._createCommentElement(currentNode.comment));
+            }
             
             if (currentNode.children.length > 1) {
                 const $variationsContainer = $('<div>').addClass('variations').appendTo(container);
@@ -433,14 +664,30 @@ export class MoveTree {
         }
         
         $moveContainer.append($moveText);
+
+        if (node.nags?.length > 0) {
+            $moveContainer.append($('<span>').addClass('move-nag')
+                .text(node.nags.map(nag => PgnParser.nagToSymbol(nag)).join('')));
+        }
         
         if (clickHandler) {
             $moveContainer.on('click', () => clickHandler(node));
         }
+
+        $moveContainer.on('contextmenu', (e) => {
+            if (!this.onContextMenu) return;
+
+            e.preventDefault();
+            this.onContextMenu(node, e);
+        });
         
         return $moveContainer;
     }
     
+    _createCommentElement(comment) {
+        return $('<div>').addClass('move-comment').text(comment);
+    }
+    
     updateCurrentMove(nodeId) {
         $('.current-move').removeClass('current-move');
         $('.current-container').removeClass('current-container');
@@ -0,0 +1,215 @@
+import { DEFAULT_POSITION, validateFen } from "../../../libs/chess.js";
+
+/**
+ * Reads PGN movetext into a tree of lines, keeping the variations, comments and NAGs
+ * that chess.js throws away. Moves are kept as SAN, MoveTree plays them out.
+ *
+ * A line is { comments, moves } where comments come before its first move, and each
+ * move is { san, nags, comments, variations }. Variations of a move are lines that
+ * replace it, so they start from the position before the move.
+ */
+export class PgnParser {
+    static resultTokens = ['1-0', '0-1', '1/2-1/2', '*'];
+
+    // Move suffixes, written as NAGs 1 to 6
+    static suffixNags = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+    static nagSymbols = {
+        1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!', 7: '□',
+        10: '=', 13: '∞', 14: '⩲', 15: '⩱', 16: '±', 17: '∓',
+        18: '+−', 19: '−+', 22: '⨀', 23: '⨀', 32: '⟳', 33: '⟳',
+        36: '→', 37: '→', 40: '↑', 41: '↑', 132: '⇆', 133: '⇆',
+        138: '⊕', 139: '⊕', 140: '∆', 146: 'N'
+    };
+
+    /**
+     * @param {string} pgn - PGN of a single game
+     * @returns {Object} - { headers, line, result }
+     */
+    static parse(pgn = '') {
+        const { headers, movetext } = this.splitHeaders(pgn);
+
+        const root = this.createLine();
+        const stack = [];
+        let line = root;
+        let result = null;
+
+        for (const token of this.tokenize(movetext)) {
+            const lastMove = line.moves[line.moves.length - 1];
+
+            switch (token.type) {
+                case 'comment':
+                    (lastMove ? lastMove.comments : line.comments).push(token.value);
+                    break;
+                case 'nag':
+                    lastMove?.nags.push(token.value);
+                    break;
+                case 'open': {
+                    // A variation needs a move to replace, skip its contents otherwise
+                    const variation = this.createLine();
+                    lastMove?.variations.push(variation);
+                    stack.push(line);
+                    line = variation;
+                    break;
+                }
+                case 'close':
+                    if (stack.length > 0) line = stack.pop();
+                    break;
+                case 'result':
+                    if (stack.length === 0) result = token.value;
+                    break;
+                case 'move':
+                    line.moves.push({ san: token.value, nags: token.nags, comments: [], variations: [] });
+                    break;
+            }
+        }
+
+        return { headers, line: root, result };
+    }
+
+    static createLine() {
+        return { comments: [], moves: [] };
+    }
+
+    /**
+     * Splits text holding several games, like a tournament export, into the PGN of each game.
+     * A game starts at the tag pairs that follow the movetext of the game before it.
+     * @param {string} text - PGN of one or more games
+     * @returns {Array<string>} - PGN of each game
+     */
+    static splitGames(text = '') {
+        const games = [];
+        let lines = [];
+        let inMovetext = false;
+
+        const addGame = () => {
+            const pgn = lines.join('\n').trim();
+            if (pgn) games.push(pgn);
+            lines = [];
+            inMovetext = false;
+        };
+
+        for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const isTag = /^\s*\[\s*\w+\s+"/.test(line);
+            if (isTag && inMovetext) addGame();
+            if (!isTag && line.trim()) inMovetext = true;
+
+            lines.push(line);
+        }
+        addGame();
+
+        return games;
+    }
+
+    /**
+     * Separates the tag pairs from the movetext
+     * @param {string} pgn - PGN text
+     * @returns {Object} - { headers, movetext }
+     */
+    static splitHeaders(pgn) {
+        const headers = {};
+        const tagRegex = /^\s*\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+
+        const lines = pgn.trim().split(/\r?\n/);
+        let i = 0;
+        for (; i < lines.length; i++) {
+            const match = lines[i].match(tagRegex);
+            if (!match) break;
+            headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+        }
+
+        return { headers, movetext: lines.slice(i).join('\n') };
+    }
+
+    /**
+     * Position a game starts from, the FEN tag of games set up from a position
+     * @param {string} pgn - PGN text
+     * @returns {string} - FEN of the starting position
+     */
+    static getStartFen(pgn = '') {
+        const { headers } = this.splitHeaders(pgn);
+
+        // Like chess.js, take the tag in any case and without a SetUp tag
+        const tag = Object.keys(headers).find(name => name.toLowerCase() === 'fen');
+        const fen = tag && headers[tag].trim();
+
+        if (!fen) return DEFAULT_POSITION;
+        if (!validateFen(fen).ok) {
+            console.error(`Invalid FEN in PGN: ${fen}`);
+            return DEFAULT_POSITION;
+        }
+
+        return fen;
+    }
+
+    /**
+     * Whether a game is played under chess960 rules, where castling depends on the starting position
+     * @param {string} pgn - PGN text
+     * @returns {boolean}
+     */
+    static isChess960(pgn = '') {
+        const { headers } = this.splitHeaders(pgn);
+        return /960|fischer\s*random|freestyle/i.test(headers.Variant || '');
+    }
+
+    /**
+     * Splits movetext into comments, NAGs, variation brackets, moves and results
+     * @param {string} movetext - PGN without the tag pairs
+     * @returns {Array<Object>} - { type, value }
+     */
+    static tokenize(movetext) {
+        const tokens = [];
+        const tokenRegex = /\{([^}]*)\}|;([^\n]*)|^%[^\n]*|(\()|(\))|\$(\d+)|(\d+\.+)|(1-0|0-1|1\/2-1\/2|\*)|([^\s{}();$]+)/gm;
+
+        let match;
+        while ((match = tokenRegex.exec(movetext)) !== null) {
+            const [, braceComment, lineComment, open, close, nag, moveNumber, result, word] = match;
+
+            if (braceComment !== undefined) {
+                tokens.push({ type: 'comment', value: braceComment.replace(/\s+/g, ' ').trim() });
+            } else if (lineComment !== undefined) {
+                tokens.push({ type: 'comment', value: lineComment.trim() });
+            } else if (open) {
+                tokens.push({ type: 'open' });
+            } else if (close) {
+                tokens.push({ type: 'close' });
+            } else if (nag) {
+                tokens.push({ type: 'nag', value: parseInt(nag) });
+            } else if (result) {
+                tokens.push({ type: 'result', value: result });
+            } else if (word && !moveNumber) {
+                // Move numbers stuck to the move, like 12.Nf3
+                const san = word.replace(/^\d+\.+/, '');
+                const suffix = san.match(/[!?]+$/)?.[0];
+                const nags = suffix && this.suffixNags[suffix] ? [this.suffixNags[suffix]] : [];
+
+                if (san) tokens.push({ type: 'move', value: san.replace(/[!?]+$/, ''), nags });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Pulls the [%command value] tags out of a comment
+     * @param {string} comment - Comment text
+     * @returns {Object} - { text, commands } where commands maps the command name to its value
+     */
+    static parseComment(comment = '') {
+        const commands = {};
+        const text = comment.replace(/\[%(\w+)\s+([^\]]*)\]/g, (_match, name, value) => {
+            commands[name] = value.trim();
+            return '';
+        }).replace(/\s+/g, ' ').trim();
+
+        return { text, commands };
+    }
+
+    /**
+     * @param {number} nag - Numeric annotation glyph
+     * @returns {string} - The symbol, or $n for glyphs without one
+     */
+    static nagToSymbol(nag) {
+        return this.nagSymbols[nag] || `$${nag}`;
+    }
+}
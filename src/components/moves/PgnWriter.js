@@ -0,0 +1,254 @@
+import { Chess } from "../../../libs/chess.js";
+import { MoveAnnotator } from "../../classification/MoveAnnotator.js";
+import { Engine } from "../../evaluation/Engine.js";
+import { MoveEvaluator } from "../../evaluation/MoveEvaluator.js";
+import { PgnParser } from "./PgnParser.js";
+
+/**
+ * Writes a MoveTree back out as PGN, with the variations, comments and NAGs it was
+ * imported with and whatever the analysis added: classification NAGs, the annotator's
+ * comments, [%eval] and [%clk] tags and the engine's line after mistakes.
+ * The output reads back in through PgnParser.
+ */
+export class PgnWriter {
+    static classificationNags = {
+        brilliant: 3,
+        great: 1,
+        inaccuracy: 6,
+        mistake: 2,
+        blunder: 4,
+        miss: 2
+    };
+
+    // Classifications that get the engine's best line as a variation
+    static bestLineClassifications = ['mistake', 'blunder', 'miss'];
+    static bestLineLength = 6;
+    static lineWidth = 80;
+
+    /**
+     * @param {MoveTree} moveTree - The tree to write
+     * @param {string} pgn - The original PGN, for its tag pairs
+     * @param {boolean} analysis - Whether to add what the analysis found, or only the game and the user's notes
+     * @returns {string}
+     */
+    static write(moveTree, pgn = '', analysis = true) {
+        const { headers } = PgnParser.splitHeaders(pgn);
+        const result = headers.Result || '*';
+        if (analysis && !headers.Annotator) headers.Annotator = 'Centichess';
+
+        const root = moveTree.mainline[0];
+        const tokens = [];
+
+        // Comments and drawings for the starting position
+        const rootComment = this.getComment(root, analysis);
+        if (rootComment) tokens.push(this.formatComment(rootComment));
+
+        for (let i = 1; i < moveTree.mainline.length; i++) {
+            const node = moveTree.mainline[i];
+            const parent = moveTree.mainline[i - 1];
+
+            // Comments and variations break up the move pairs, so black needs its number again
+            const needsNumber = i === 1 || this.endsWithBreak(tokens);
+            tokens.push(...this.writeMove(node, needsNumber, analysis));
+            tokens.push(...this.writeVariations(parent, node, parent.children, analysis));
+        }
+
+        tokens.push(result);
+
+        const tags = Object.entries(headers)
+            .map(([name, value]) => `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+            .join('\n');
+
+        return `${tags}\n\n${this.wrap(tokens)}\n`;
+    }
+
+    /**
+     * Writes the variations that replace a move, and the engine's line when the move was a mistake
+     * @param {Object} parent - Node of the position before the move
+     * @param {Object} node - The move the variations replace, null for variations without one
+     * @param {Array} alternatives - First nodes of the variations
+     * @param {boolean} analysis - Whether to add the engine's line
+     * @private
+     */
+    static writeVariations(parent, node, alternatives, analysis = true) {
+        const tokens = [];
+
+        alternatives.forEach(alternative => {
+            tokens.push('(', ...this.writeLine(alternative, analysis), ')');
+        });
+
+        const bestLine = node && analysis ? this.getBestLine(parent, node, alternatives) : [];
+        if (bestLine.length > 0) tokens.push('(', ...bestLine, ')');
+
+        return tokens;
+    }
+
+    /**
+     * Writes a variation from its first node, following the first child of each node
+     * @private
+     */
+    static writeLine(start, analysis = true) {
+        const tokens = [];
+        if (start.preComment) tokens.push(this.formatComment(start.preComment));
+
+        tokens.push(...this.writeMove(start, true, analysis));
+
+        let previous = start;
+        while (previous.children?.length > 0) {
+            const node = previous.children[0];
+            tokens.push(...this.writeMove(node, this.endsWithBreak(tokens), analysis));
+            tokens.push(...this.writeVariations(previous, node, previous.children.slice(1), analysis));
+            previous = node;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Move number, SAN, NAGs and comment of a node
+     * @private
+     */
+    static writeMove(node, needsNumber, analysis = true) {
+        const tokens = [];
+        const moveNumber = Math.floor(node.moveNumber);
+        const isWhite = node.move?.color === 'w';
+
+        if (isWhite) {
+            tokens.push(`${moveNumber}.`);
+        } else if (needsNumber) {
+            tokens.push(`${moveNumber}...`);
+        }
+
+        tokens.push(node.san);
+        this.getNags(node, analysis).forEach(nag => tokens.push(`$${nag}`));
+
+        const comment = this.getComment(node, analysis);
+        if (comment) tokens.push(this.formatComment(comment));
+
+        return tokens;
+    }
+
+    /**
+     * The node's own NAGs, plus the classification's when the node doesn't judge the move already
+     * @private
+     */
+    static getNags(node, analysis = true) {
+        const nags = [...(node.nags || [])];
+        const classificationNag = analysis && this.classificationNags[node.classification];
+
+        // NAGs 1 to 6 say how good the move was, a move only gets one of those
+        if (classificationNag && !nags.some(nag => nag >= 1 && nag <= 6)) {
+            nags.unshift(classificationNag);
+        }
+
+        return nags;
+    }
+
+    /**
+     * Comment text and [%command] tags for a node
+     * @private
+     */
+    static getComment(node, analysis = true) {
+        const parts = [];
+        if (node.comment) parts.push(node.comment);
+
+        const annotation = analysis && node.evaluatedMove?.comment;
+        if (annotation && annotation !== MoveAnnotator.defaultComment && !node.comment?.includes(annotation)) {
+            parts.push(annotation);
+        }
+
+        const commands = { ...node.commands };
+        const evaluation = analysis && this.formatEval(node);
+        if (evaluation) commands.eval = evaluation;
+        if (node.clock) commands.clk = node.clock;
+
+        Object.entries(commands).forEach(([name, value]) => parts.push(`[%${name} ${value}]`));
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Evaluation in [%eval] format, pawns or #mate from white's point of view
+     * @private
+     */
+    static formatEval(node) {
+        if (node.evalScore === undefined || node.evalScore === null) return null;
+        if (node.evalType === 'mate') return `#${node.evalScore}`;
+
+        return (node.evalScore / 100).toFixed(2);
+    }
+
+    /**
+     * The engine's best line from the position before a mistake, as SAN tokens
+     * @private
+     */
+    static getBestLine(parent, node, alternatives) {
+        if (!this.bestLineClassifications.includes(node.classification)) return [];
+
+        const lines = parent.evaluatedMove?.lines
+            || (parent.id === 'root' && parent.fen === MoveEvaluator.startPositionEvaluation.fen ? MoveEvaluator.startPositionEvaluation.lines : null);
+        const bestLine = lines?.find(line => line.id === 1);
+        if (!bestLine?.pv?.length) return [];
+
+        // Nothing to add when the best move was played or is already a variation
+        const toUci = (move) => move.from + Engine.uciDestination(move) + (move.promotion || '');
+        if (bestLine.pv[0] === toUci(node.move)) return [];
+        if (alternatives.some(alternative => alternative.move && toUci(alternative.move) === bestLine.pv[0])) return [];
+
+        const tokens = [];
+        try {
+            const chess = new Chess(parent.fen);
+            bestLine.pv.slice(0, this.bestLineLength).forEach((uci, i) => {
+                const isWhite = chess.turn() === 'w';
+                const moveNumber = chess.moveNumber();
+                const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+
+                if (isWhite) tokens.push(`${moveNumber}.`);
+                else if (i === 0) tokens.push(`${moveNumber}...`);
+                tokens.push(move.san);
+            });
+        } catch (error) {
+            // An illegal move ends the line where it is
+        }
+
+        return tokens;
+    }
+
+    static formatComment(text) {
+        // Comments can't contain a closing brace
+        return `{${text.replace(/}/g, ')')}}`;
+    }
+
+    /**
+     * Whether the last token was a comment or variation, after which black's move needs its number
+     * @private
+     */
+    static endsWithBreak(tokens) {
+        const last = tokens[tokens.length - 1];
+        return last === ')' || last?.startsWith('{');
+    }
+
+    /**
+     * Joins the tokens into lines no longer than lineWidth
+     * @private
+     */
+    static wrap(tokens) {
+        const lines = [];
+        let line = '';
+
+        tokens.forEach(token => {
+            // No space inside the brackets of a variation
+            const separator = !line || line.endsWith('(') || token === ')' ? '' : ' ';
+
+            if (line && (line + separator + token).length > this.lineWidth) {
+                lines.push(line);
+                line = token;
+            } else {
+                line += separator + token;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines.join('\n');
+    }
+}
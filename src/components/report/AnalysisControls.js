@@ -0,0 +1,106 @@
+import { AnalysisStatus } from '../../evaluation/AnalysisJob.js';
+
+/**
+ * Progress bar with pause, resume and cancel buttons for the running game analysis
+ */
+export class AnalysisControls {
+    static job = null;
+    static container = '.analysis-controls';
+    static listeners = {};
+
+    /**
+     * Shows the controls for a job, replacing the previous one
+     * @param {AnalysisJob} job - The analysis job to control
+     */
+    static attach(job) {
+        this.detach();
+        this.job = job;
+
+        this.listeners = {
+            progress: (progress) => this.updateProgress(progress),
+            statuschange: (status) => this.updateStatus(status)
+        };
+        Object.entries(this.listeners).forEach(([event, listener]) => job.on(event, listener));
+
+        this.render();
+        this.updateProgress(0);
+        this.updateStatus(job.status);
+    }
+
+    /**
+     * Stops listening to the current job and hides the controls
+     */
+    static detach() {
+        if (this.job) {
+            Object.entries(this.listeners).forEach(([event, listener]) => this.job.off(event, listener));
+        }
+
+        this.job = null;
+        this.listeners = {};
+        $(this.container).removeClass('active').empty();
+    }
+
+    /**
+     * Shows why an analysis couldn't run in place of its progress
+     * @param {string} message - What went wrong
+     */
+    static showError(message) {
+        this.detach();
+        $(this.container).addClass('active').append($('<span class="analysis-controls-text"></span>').text(message));
+    }
+
+    static render() {
+        const $container = $(this.container).empty().addClass('active');
+
+        const $progress = $(`<div class="analysis-controls-progress">
+            <div class="analysis-controls-bar"><div class="analysis-controls-fill"></div></div>
+            <span class="analysis-controls-text"></span>
+        </div>`);
+
+        const $buttons = $('<div class="analysis-controls-buttons"></div>');
+        const $pause = $('<button class="analysis-controls-button pause-button">Pause</button>');
+        const $cancel = $('<button class="analysis-controls-button cancel-button">Cancel</button>');
+
+        $pause.on('click', () => {
+            if (!this.job) return;
+            this.job.isPaused ? this.job.resume() : this.job.pause();
+        });
+        $cancel.on('click', () => this.job?.cancel());
+
+        $buttons.append($pause, $cancel);
+        $container.append($progress, $buttons);
+    }
+
+    /**
+     * @param {number} progress - Percentage of positions evaluated
+     */
+    static updateProgress(progress) {
+        const percentage = Math.round(progress || 0);
+        $(this.container).find('.analysis-controls-fill').css('width', `${percentage}%`);
+
+        if (!this.job?.isPaused) {
+            $(this.container).find('.analysis-controls-text').text(`Analyzing... ${percentage}%`);
+        }
+    }
+
+    /**
+     * @param {string} status - One of AnalysisStatus
+     */
+    static updateStatus(status) {
+        const $container = $(this.container);
+
+        switch (status) {
+            case AnalysisStatus.PAUSED:
+                $container.find('.pause-button').text('Resume');
+                $container.find('.analysis-controls-text').text('Paused');
+                break;
+            case AnalysisStatus.RUNNING:
+                $container.find('.pause-button').text('Pause');
+                break;
+            case AnalysisStatus.DONE:
+            case AnalysisStatus.CANCELLED:
+                this.detach();
+                break;
+        }
+    }
+}
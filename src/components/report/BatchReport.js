@@ -0,0 +1,242 @@
+import { AnalysisStatus } from '../../evaluation/AnalysisJob.js';
+import { BatchAnalysis } from '../../evaluation/BatchAnalysis.js';
+
+/**
+ * Dashboard of a player's games analyzed in batches: accuracy by month, how often they
+ * blunder in each phase, the openings they play most and their results by time control.
+ * Also shows the progress of the running batch, with pause, resume and cancel buttons.
+ */
+export class BatchReport {
+    static batch = null;
+    static username = null;
+    static container = '.batch-report';
+    static controls = '.batch-controls';
+    static listeners = {};
+    static completed = 0;
+    static total = 0;
+    static topOpenings = 5;
+
+    /**
+     * Shows the progress of a batch and updates the dashboard as its games come in
+     * @param {BatchAnalysis} batch - The running batch
+     * @param {string} username - Player the games were loaded for
+     */
+    static attach(batch, username) {
+        this.detach();
+        this.batch = batch;
+        this.username = username;
+
+        this.listeners = {
+            progress: (progress, completed, total) => this.updateProgress(progress, completed, total),
+            statuschange: (status) => this.updateStatus(status),
+            game: () => this.render()
+        };
+        Object.entries(this.listeners).forEach(([event, listener]) => batch.on(event, listener));
+
+        this.renderControls();
+        this.updateProgress(0, 0, batch.games.length);
+        this.updateStatus(batch.status);
+        this.render();
+    }
+
+    static detach() {
+        if (this.batch) {
+            Object.entries(this.listeners).forEach(([event, listener]) => this.batch.off(event, listener));
+        }
+
+        this.batch = null;
+        this.listeners = {};
+        $(this.controls).removeClass('active').empty();
+    }
+
+    static renderControls() {
+        const $controls = $(this.controls).empty().addClass('active');
+
+        const $progress = $(`<div class="analysis-controls-progress">
+            <div class="analysis-controls-bar"><div class="analysis-controls-fill"></div></div>
+            <span class="analysis-controls-text"></span>
+        </div>`);
+
+        const $buttons = $('<div class="analysis-controls-buttons"></div>');
+        const $pause = $('<button class="analysis-controls-button pause-button">Pause</button>');
+        const $cancel = $('<button class="analysis-controls-button cancel-button">Cancel</button>');
+
+        $pause.on('click', () => {
+            if (!this.batch) return;
+            this.batch.isPaused ? this.batch.resume() : this.batch.pause();
+        });
+        $cancel.on('click', () => this.batch?.cancel());
+
+        $buttons.append($pause, $cancel);
+        $controls.append($progress, $buttons);
+    }
+
+    /**
+     * @param {number} progress - Percentage of the whole batch analyzed
+     * @param {number} completed - Games done so far
+     * @param {number} total - Games in the batch
+     */
+    static updateProgress(progress, completed = this.completed, total = this.total) {
+        this.completed = completed;
+        this.total = total;
+
+        const percentage = Math.round(progress || 0);
+        $(this.controls).find('.analysis-controls-fill').css('width', `${percentage}%`);
+
+        if (!this.batch?.isPaused) {
+            $(this.controls).find('.analysis-controls-text').text(`Analyzing games... ${this.completed}/${this.total}`);
+        }
+    }
+
+    /**
+     * @param {string} status - One of AnalysisStatus
+     */
+    static updateStatus(status) {
+        const $controls = $(this.controls);
+
+        switch (status) {
+            case AnalysisStatus.PAUSED:
+                $controls.find('.pause-button').text('Resume');
+                $controls.find('.analysis-controls-text').text(`Paused at ${this.completed}/${this.total}`);
+                break;
+            case AnalysisStatus.RUNNING:
+                $controls.find('.pause-button').text('Pause');
+                break;
+            case AnalysisStatus.DONE:
+            case AnalysisStatus.CANCELLED:
+                this.detach();
+                break;
+        }
+    }
+
+    /**
+     * Shows why a batch couldn't run in place of its progress
+     * @param {string} message - What went wrong
+     */
+    static showError(message) {
+        this.detach();
+        $(this.controls).addClass('active').append($('<span class="batch-error"></span>').text(message));
+    }
+
+    /**
+     * Renders the dashboard from the stored records of a player
+     * @param {string} username - The player, the one of the last batch by default
+     */
+    static render(username = this.username) {
+        const $container = $(this.container).empty();
+
+        const usernames = [...new Set(BatchAnalysis.loadAll().map(record => record.username))]
+            .sort((a, b) => a.localeCompare(b));
+        if (!username || !usernames.some(name => name.toLowerCase() === username.toLowerCase())) {
+            username = usernames[0];
+        }
+        this.username = username;
+
+        if (!username) {
+            $container.append($('<div class="batch-empty"></div>')
+                .text('Analyze a set of games from the Games tab to see how you are doing over time.'));
+            return;
+        }
+
+        const summary = BatchAnalysis.aggregate(BatchAnalysis.loadAll(username));
+
+        const $select = $('<select class="batch-player"></select>').on('change', () => this.render($select.val()));
+        usernames.forEach(name => $select.append($('<option></option>').val(name).text(name)));
+        $select.val(username);
+
+        $container.append(
+            $('<div class="batch-header"></div>').append(
+                $select,
+                $('<span class="batch-summary"></span>')
+                    .text(`${summary.games} game${summary.games === 1 ? '' : 's'}, ${this.formatPercent(summary.accuracy)} accuracy`)
+            ),
+            this.createSection('Accuracy by month', summary.months.map(month => this.createBarRow(
+                this.formatMonth(month.month),
+                month.accuracy,
+                `${this.formatPercent(month.accuracy)} (${month.games})`
+            ))),
+            this.createSection('Blunders by phase', this.getPhaseRows(summary.phases)),
+            this.createSection('Most played openings', summary.openings.slice(0, this.topOpenings).map(opening => this.createResultRow(
+                `${opening.eco} ${opening.name}`, opening
+            ))),
+            this.createSection('Results by time control', summary.timeControls.map(group => this.createResultRow(
+                group.timeControl.charAt(0).toUpperCase() + group.timeControl.slice(1), group
+            )))
+        );
+    }
+
+    static getPhaseRows(phases) {
+        // Blunder rates are small, so the bars are scaled to the worst phase
+        const maxRate = Math.max(...phases.map(phase => phase.rate));
+
+        return phases
+            .filter(phase => phase.moves > 0)
+            .map(phase => this.createBarRow(
+                phase.phase.charAt(0).toUpperCase() + phase.phase.slice(1),
+                maxRate ? phase.rate / maxRate : 0,
+                `${this.formatPercent(phase.rate)} of ${phase.moves} moves`,
+                'blunder'
+            ));
+    }
+
+    static createSection(title, rows) {
+        const $section = $('<div class="batch-section"></div>')
+            .append($('<div class="section-title"></div>').append($('<span></span>').text(title)));
+
+        if (rows.length === 0) {
+            $section.append($('<div class="batch-empty"></div>').text('Not enough games yet'));
+        }
+
+        return $section.append(rows);
+    }
+
+    /**
+     * @param {string} label - What the row is for
+     * @param {number} fraction - Bar length, from 0 to 1
+     * @param {string} value - Text shown after the bar
+     * @param {string} type - Extra class for the bar's color
+     */
+    static createBarRow(label, fraction, value, type = '') {
+        const $fill = $('<div class="batch-bar-fill"></div>')
+            .addClass(type)
+            .css('width', `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`);
+
+        return $('<div class="batch-row"></div>').append(
+            $('<span class="batch-label"></span>').text(label),
+            $('<div class="batch-bar"></div>').append($fill),
+            $('<span class="batch-value"></span>').text(value)
+        );
+    }
+
+    /**
+     * Row with the games, wins, draws and losses of a group of games
+     * @param {string} label - What the games have in common
+     * @param {Object} group - { games, wins, draws, losses } from BatchAnalysis.aggregate
+     */
+    static createResultRow(label, group) {
+        const score = group.games ? (group.wins + group.draws / 2) / group.games : 0;
+
+        return $('<div class="batch-row batch-result-row"></div>').append(
+            $('<span class="batch-label"></span>').text(label).attr('title', label),
+            $('<span class="batch-results"></span>').append(
+                $('<span class="win"></span>').text(`+${group.wins}`),
+                $('<span class="draw"></span>').text(`=${group.draws}`),
+                $('<span class="loss"></span>').text(`-${group.losses}`)
+            ),
+            $('<span class="batch-value"></span>').text(`${this.formatPercent(score)} of ${group.games}`)
+        );
+    }
+
+    static formatPercent(fraction) {
+        return `${(fraction * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * @param {string} month - Month as YYYY-MM
+     * @returns {string} - Like Oct 2026
+     */
+    static formatMonth(month) {
+        const [year, index] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, index - 1, 1)).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+}
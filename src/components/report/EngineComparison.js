@@ -0,0 +1,62 @@
+/**
+ * Lists the moves two engines classified differently, when the game was analyzed with a second engine
+ */
+export class EngineComparison {
+    /**
+     * @param {jQuery|string} container - The container element or selector
+     * @param {Object} comparison - { name, primaryName, disagreements, warning } or null to clear the list
+     * @param {Function} onMoveClick - Called with the index of the clicked move in the analysis
+     */
+    static render(container = '.engine-comparison', comparison = null, onMoveClick = null) {
+        const $container = $(container).empty();
+        if (!comparison) {
+            $container.removeClass('active');
+            return;
+        }
+
+        $container.addClass('active');
+
+        const disagreements = comparison.disagreements || [];
+        const $title = $('<div class="section-title"></div>')
+            .append($('<span></span>').text(`${comparison.primaryName} vs ${comparison.name}`));
+
+        const $summary = $('<div class="comparison-summary"></div>').text(disagreements.length === 0
+            ? 'Both engines classified every move the same'
+            : `${disagreements.length} move${disagreements.length === 1 ? '' : 's'} classified differently`);
+
+        const $header = $(`<div class="comparison-row comparison-header">
+            <span class="comparison-move">Move</span>
+            <span class="comparison-classification"></span>
+            <span class="comparison-classification"></span>
+        </div>`);
+        $header.find('.comparison-classification').eq(0).text(comparison.primaryName);
+        $header.find('.comparison-classification').eq(1).text(comparison.name);
+
+        const $list = $('<div class="comparison-list"></div>');
+        disagreements.forEach(disagreement => {
+            const moveText = `${disagreement.moveNumber}${disagreement.isWhite ? '.' : '...'} ${disagreement.move}`;
+
+            const $row = $('<div class="comparison-row"></div>')
+                .append($('<span class="comparison-move"></span>').text(moveText))
+                .append(this.createClassificationCell(disagreement.classification))
+                .append(this.createClassificationCell(disagreement.otherClassification))
+                .on('click', () => onMoveClick?.(disagreement.index));
+
+            $list.append($row);
+        });
+
+        $container.append($title, $summary);
+        if (comparison.warning) {
+            $container.append($('<div class="comparison-warning"></div>').text(comparison.warning));
+        }
+        if (disagreements.length > 0) $container.append($header, $list);
+    }
+
+    static createClassificationCell(classification) {
+        const name = classification.type.charAt(0).toUpperCase() + classification.type.slice(1);
+
+        return $('<span class="comparison-classification"></span>')
+            .append($(`<img src="${classification.src}" alt="${name}" class="comparison-icon">`))
+            .append($('<span></span>').text(name));
+    }
+}
@@ -13,6 +13,8 @@ export class GameGraph {
     static scaleFactor = 2;
     static initialized = false;
     static clickCallback = null;
+    static comparison = null;
+    static comparisonColor = '#38a5ff';
 
     static get canvasElement() {
         if (!this.canvas) {
@@ -50,9 +52,25 @@ export class GameGraph {
         this.render();
     }
 
+    /**
+     * Overlays the evaluation curve of a second engine on the graph
+     * @param {Object} comparison - { name, analysis } or null to remove it
+     */
+    static setComparison(comparison) {
+        this.comparison = comparison;
+        this.render();
+    }
+
     static setClickCallback(callback) {
         this.clickCallback = callback;
     }
+
+    /**
+     * Number of moves the graph is laid out for, a partial analysis only fills part of it
+     */
+    static get totalMoves() {
+        return Math.max(this.analysis?.totalMoves || 0, this.analysis?.moves?.length || 0);
+    }
     
     static handleMouseMove(event) {
         if (!this.analysis?.moves?.length) return;
@@ -66,10 +84,9 @@ export class GameGraph {
         
         const width = this.canvasElement.width;
         const moves = this.analysis.moves;
-        const total = moves.length;
-        const increment = width / total;
+        const increment = width / this.totalMoves;
         
-        const moveIndex = Math.min(Math.max(0, Math.floor(x / increment)), total - 1);
+        const moveIndex = Math.min(Math.max(0, Math.floor(x / increment)), moves.length - 1);
         
         if (this.hoverIndex !== moveIndex) {
             this.hoverIndex = moveIndex;
@@ -85,10 +102,9 @@ export class GameGraph {
         
         const width = this.canvasElement.width;
         const moves = this.analysis.moves;
-        const total = moves.length;
-        const increment = width / total;
+        const increment = width / this.totalMoves;
         
-        const moveIndex = Math.min(Math.max(0, Math.floor(x / increment)), total - 1);
+        const moveIndex = Math.min(Math.max(0, Math.floor(x / increment)), moves.length - 1);
         const clickedMove = moves[moveIndex];
         
         if (clickedMove) {
@@ -96,6 +112,17 @@ export class GameGraph {
         }
     }
 
+    /**
+     * Move number of an analyzed move in the move tree's format, 1.5 for black's first move.
+     * Games set up from a position don't start at 1. white.
+     * @param {Object} move - Analyzed move, with the FEN after it
+     * @returns {number}
+     */
+    static getMoveNumber(move) {
+        const [, turn, , , , fullmove] = move.fen.split(' ');
+        return turn === 'w' ? parseInt(fullmove) - 0.5 : parseInt(fullmove);
+    }
+
     static updateCurrentMoveNumber(moveNumber) {
         this.currentMove = moveNumber;
         this.render();
@@ -131,7 +158,11 @@ export class GameGraph {
         const total = moves.length;
         
         if (total > 0) {
-            const increment = width / total;
+            const increment = width / this.totalMoves;
+            const isPartial = total < this.totalMoves;
+
+            // A finished graph runs off the right edge, a partial one stops at the last analyzed move
+            const end = isPartial ? increment * (total - 1) + 3 : increment * (total - 1) + 50;
 
             ctx.beginPath();
             ctx.moveTo(-3, height);
@@ -146,25 +177,35 @@ export class GameGraph {
                 ctx.lineTo(x, y);
 
                 if (i === total-1) {
-                    ctx.lineTo(increment * (total-1) + 50, y);
+                    ctx.lineTo(end, y);
                 }
             }
             
-            ctx.lineTo(increment * (total-1) + 50, height);
+            ctx.lineTo(end, height);
             
             // Fill with white/gray
             ctx.fillStyle = '#dddddd';
             ctx.fill();
-            
+
+            // Moves that haven't been analyzed yet look like the loading graph
+            if (isPartial) {
+                ctx.fillStyle = '#dddddd';
+                ctx.fillRect(end, height / 2, width - end, height / 2);
+            }
+
+            this.drawDrawBand(moves, increment, height);
+            this.drawComparisonLine(increment, height);
+
             // Draw the center line
             ctx.fillStyle = '#80808075';
             ctx.fillRect(0, height / 2 - 1, width, 2 * this.scaleFactor);
 
             if (this.currentMove) {
-                const move = moves[2 * this.currentMove - 2];
+                const index = Math.round(2 * (this.currentMove - this.getMoveNumber(moves[0])));
+                const move = moves[index];
                 if (!move) return;
 
-                const offset = increment * this.currentMove * 2 - increment * 2;
+                const offset = increment * index;
                 ctx.fillStyle = '#99999975';
                 ctx.fillRect(offset - this.scaleFactor, 0, 2 * this.scaleFactor, height);
             
@@ -202,6 +243,59 @@ export class GameGraph {
         }
     }
     
+    /**
+     * Draws a band around the evaluation line as wide as the engine's draw chance,
+     * so drawish positions stand out even when the evaluation isn't 0.00
+     * @param {Array} moves - Analyzed moves
+     * @param {number} increment - Horizontal distance between moves
+     * @param {number} height - Canvas height
+     */
+    static drawDrawBand(moves, increment, height) {
+        if (!moves.some(move => move.draw)) return;
+
+        const ctx = this.ctx;
+        const toY = (percentage) => height / 100 * Math.max(0, Math.min(100, percentage));
+
+        ctx.beginPath();
+        moves.forEach((move, i) => {
+            const y = toY(move.graph - (move.draw || 0) / 2);
+            i === 0 ? ctx.moveTo(3, y) : ctx.lineTo(increment * i + 3, y);
+        });
+        for (let i = moves.length - 1; i >= 0; i--) {
+            const move = moves[i];
+            ctx.lineTo(increment * i + 3, toY(move.graph + (move.draw || 0) / 2));
+        }
+        ctx.closePath();
+
+        ctx.fillStyle = 'rgba(128, 128, 128, 0.35)';
+        ctx.fill();
+    }
+
+    /**
+     * Draws the second engine's evaluation as a line over the graph, with its name in the corner
+     * @param {number} increment - Horizontal distance between moves
+     * @param {number} height - Canvas height
+     */
+    static drawComparisonLine(increment, height) {
+        const moves = this.comparison?.analysis?.moves;
+        if (!moves?.length) return;
+
+        const ctx = this.ctx;
+
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        moves.forEach((move, i) => ctx.lineTo(increment * i + 3, height / 100 * move.graph));
+
+        ctx.strokeStyle = this.comparisonColor;
+        ctx.lineWidth = 1.5 * this.scaleFactor;
+        ctx.stroke();
+
+        ctx.fillStyle = this.comparisonColor;
+        ctx.font = `${10 * this.scaleFactor}px Arial`;
+        ctx.textAlign = 'left';
+        ctx.fillText(this.comparison.name, 6 * this.scaleFactor, 14 * this.scaleFactor);
+    }
+
     static drawEvaluationPopup(move, x, y) {
         const ctx = this.ctx;
         const popupWidth = 40 * this.scaleFactor;
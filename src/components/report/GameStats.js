@@ -10,8 +10,9 @@ export class GameStats {
      * @param {Object} analysis - The game analysis data
      * @param {string} whiteName - White player name
      * @param {string} blackName - Black player name
+     * @param {Object} comparison - { name, primaryName, analysis } when a second engine analyzed the game
      */
-    static render(container = '.game-stats', analysis, whiteName = 'White', blackName = 'Black') {
+    static render(container = '.game-stats', analysis, whiteName = 'White', blackName = 'Black', comparison = null) {
         if (!analysis) {
             // Empty analysis
             analysis = {
@@ -51,10 +52,20 @@ export class GameStats {
         statsContainer
             .append(this.createPlayersHeader(whiteName, blackName))
             .append('<hr class="stats-divider">')
-            .append(this.createStatsRow('Accuracy', 
+            .append(this.createStatsRow(comparison ? comparison.primaryName : 'Accuracy', 
                 (analysis.white.accuracy * 100).toFixed(1), 
                 (analysis.black.accuracy * 100).toFixed(1), 
-                true))
+                true));
+
+        // Accuracy from the second engine, to see how much of it depends on the engine
+        if (comparison?.analysis) {
+            statsContainer.append(this.createStatsRow(comparison.name,
+                (comparison.analysis.white.accuracy * 100).toFixed(1),
+                (comparison.analysis.black.accuracy * 100).toFixed(1),
+                true));
+        }
+
+        statsContainer
             .append('<hr class="stats-divider">')
             .append(this.createMovesSection(analysis))
             .append('<hr class="stats-divider">')
@@ -1,7 +1,15 @@
+import { EvaluationCache } from '../../evaluation/EvaluationCache.js';
+import { EngineProbe } from '../../evaluation/EngineProbe.js';
+import { engines } from '../../evaluation/Engine.js';
+import { CustomEngines } from '../../evaluation/CustomEngines.js';
+
 export class SettingsMenu {
     constructor(containerSelector) {
         this.container = document.querySelector(containerSelector);
         this.eventListeners = [];
+
+        // Custom engines have to be in the engines map before the engine list is built
+        CustomEngines.load();
         this.settingsConfig = this._getDefaultSettingsConfig();
         this.cookiePrefix = 'centichess_setting_';
         this.cookieExpireDays = 365;
@@ -334,22 +342,37 @@ export class SettingsMenu {
                                 type: 'dropdown',
                                 label: 'Engine Type',
                                 defaultValue: 'stockfish-17-lite',
+                                options: this._getEngineTypeOptions(),
+                            },
+                            {
+                                key: 'compareEngineType',
+                                type: 'dropdown',
+                                label: 'Compare With',
+                                description: 'Analyze each game again with a second engine and show where they disagree',
+                                defaultValue: 'none',
+                                options: [{ value: 'none', label: 'Off' }, ...this._getEngineTypeOptions()],
+                            },
+                            {
+                                key: 'searchMode',
+                                type: 'dropdown',
+                                label: 'Search Limit',
+                                defaultValue: 'depth',
                                 options: [
                                     {
-                                        value: 'stockfish-17-lite',
-                                        label: 'Stockfish 17 Lite'
+                                        value: 'depth',
+                                        label: 'Fixed Depth'
                                     },
                                     {
-                                        value: 'stockfish-16-nnue',
-                                        label: 'Stockfish 16 NNUE '
+                                        value: 'movetime',
+                                        label: 'Time per Move'
                                     },
                                     {
-                                        value: 'stockfish-16-lite',
-                                        label: 'Stockfish 16 Lite'
+                                        value: 'nodes',
+                                        label: 'Nodes per Move'
                                     },
                                     {
-                                        value: 'stockfish-11',
-                                        label: 'Stockfish 11'
+                                        value: 'budget',
+                                        label: 'Time per Game'
                                     }
                                 ],
                             },
@@ -368,6 +391,246 @@ export class SettingsMenu {
                                 defaultValue: 14,
                                 min: 2,
                                 max: 24,
+                            },
+                            {
+                                key: 'moveTime',
+                                type: 'slider',
+                                label: 'Time per Move',
+                                defaultValue: 1,
+                                min: 0.5,
+                                max: 10,
+                                step: 0.5,
+                                format: (value) => `${value}s`
+                            },
+                            {
+                                key: 'searchNodes',
+                                type: 'slider',
+                                label: 'Nodes per Move',
+                                defaultValue: 1000,
+                                min: 100,
+                                max: 5000,
+                                step: 100,
+                                format: (value) => `${value}k`
+                            },
+                            {
+                                key: 'gameTimeBudget',
+                                type: 'slider',
+                                label: 'Time per Game',
+                                defaultValue: 90,
+                                min: 10,
+                                max: 600,
+                                step: 10,
+                                format: (value) => `${value}s`
+                            },
+                            {
+                                key: 'deepPassEnabled',
+                                type: 'toggle',
+                                label: 'Deepen Critical Moves',
+                                description: 'Re-check mistakes, blunders and brilliant moves with a deeper search',
+                                defaultValue: true
+                            },
+                            {
+                                key: 'deepPassDepth',
+                                type: 'slider',
+                                label: 'Critical Move Depth',
+                                defaultValue: 20,
+                                min: 8,
+                                max: 30,
+                            },
+                            {
+                                key: 'clearEvaluationCache',
+                                type: 'button',
+                                label: 'Saved Evaluations',
+                                buttonText: 'Clear Cache',
+                                action: 'clearEvaluationCache'
+                            },
+                            {
+                                key: 'engineProbeResults',
+                                type: 'info',
+                                label: 'Engine Test',
+                                description: 'What this browser supports and how fast each engine runs',
+                                text: 'Not tested yet'
+                            },
+                            {
+                                key: 'runEngineProbe',
+                                type: 'button',
+                                label: 'Test Engines Again',
+                                buttonText: 'Run Test',
+                                action: 'runEngineProbe'
+                            }
+                        ]
+                    },
+                    'evaluationSources': {
+                        type: 'group',
+                        label: 'Evaluation Sources',
+                        description: 'Where evaluations come from, lower priorities are tried first',
+                        settings: [
+                            {
+                                key: 'evalServerEnabled',
+                                type: 'toggle',
+                                label: 'Use Eval Server',
+                                defaultValue: false
+                            },
+                            {
+                                key: 'evalServerUrl',
+                                type: 'text',
+                                label: 'Eval Server URL',
+                                placeholder: 'http://192.168.1.20:8080/api/cloud-eval',
+                                defaultValue: ''
+                            },
+                            {
+                                key: 'evalServerTimeout',
+                                type: 'slider',
+                                label: 'Eval Server Timeout',
+                                defaultValue: 2500,
+                                min: 500,
+                                max: 10000,
+                                step: 500,
+                                format: (value) => `${value / 1000}s`
+                            },
+                            {
+                                key: 'tablebaseEnabled',
+                                type: 'toggle',
+                                label: 'Use Tablebase',
+                                description: 'Exact results for endgames, always asked before anything else. Endgames with three pieces are solved without a server',
+                                defaultValue: false
+                            },
+                            {
+                                key: 'tablebaseUrl',
+                                type: 'text',
+                                label: 'Tablebase URL',
+                                placeholder: 'http://localhost:9000/standard',
+                                defaultValue: ''
+                            },
+                            {
+                                key: 'tablebaseTimeout',
+                                type: 'slider',
+                                label: 'Tablebase Timeout',
+                                defaultValue: 2500,
+                                min: 500,
+                                max: 10000,
+                                step: 500,
+                                format: (value) => `${value / 1000}s`
+                            },
+                            {
+                                key: 'tablebasePieces',
+                                type: 'slider',
+                                label: 'Tablebase Pieces',
+                                description: 'Largest endgames to look up, kings included',
+                                defaultValue: 7,
+                                min: 3,
+                                max: 7,
+                            },
+                            {
+                                key: 'cachePriority',
+                                type: 'slider',
+                                label: 'Cache Priority',
+                                defaultValue: 1,
+                                min: 1,
+                                max: 3,
+                            },
+                            {
+                                key: 'evalServerPriority',
+                                type: 'slider',
+                                label: 'Eval Server Priority',
+                                defaultValue: 2,
+                                min: 1,
+                                max: 3,
+                            },
+                            {
+                                key: 'localEnginePriority',
+                                type: 'slider',
+                                label: 'Local Engine Priority',
+                                defaultValue: 3,
+                                min: 1,
+                                max: 3,
+                            }
+                        ]
+                    },
+                    'engineOptions': {
+                        type: 'group',
+                        label: 'Engine Options',
+                        description: 'Options passed straight to the engine',
+                        settings: [
+                            {
+                                key: 'engineThreads',
+                                type: 'slider',
+                                label: 'Threads',
+                                description: 'Only used by browsers that allow multithreaded engines',
+                                defaultValue: 1,
+                                min: 1,
+                                max: navigator.hardwareConcurrency || 8,
+                            },
+                            {
+                                key: 'maxWorkers',
+                                type: 'slider',
+                                label: 'Max Engines',
+                                description: 'Engines searching at once, auto picks a number that fits this device',
+                                defaultValue: 0,
+                                min: 0,
+                                max: navigator.hardwareConcurrency || 8,
+                                format: (value) => value == 0 ? 'Auto' : value
+                            },
+                            {
+                                key: 'engineHash',
+                                type: 'slider',
+                                label: 'Hash',
+                                defaultValue: 16,
+                                min: 16,
+                                max: 512,
+                                step: 16,
+                                format: (value) => `${value} MB`
+                            },
+                            {
+                                key: 'explorationLines',
+                                type: 'slider',
+                                label: 'Exploration Lines',
+                                description: 'Lines shown while exploring, game analysis always uses 2',
+                                defaultValue: 3,
+                                min: 2,
+                                max: 5,
+                            },
+                            {
+                                key: 'skillLevel',
+                                type: 'slider',
+                                label: 'Skill Level',
+                                defaultValue: 20,
+                                min: 0,
+                                max: 20,
+                            }
+                        ]
+                    },
+                    'customEngines': {
+                        type: 'group',
+                        label: 'Custom Engines',
+                        description: 'Engines added here show up in the engine list. To compare networks, add a Stockfish build with the network compiled in',
+                        settings: [
+                            {
+                                key: 'customEngineName',
+                                type: 'text',
+                                label: 'Name',
+                                placeholder: 'Optional',
+                                defaultValue: ''
+                            },
+                            {
+                                key: 'customEngineUrl',
+                                type: 'text',
+                                label: 'Worker Script URL',
+                                placeholder: 'https://example.com/engine.js',
+                                defaultValue: ''
+                            },
+                            {
+                                key: 'addCustomEngine',
+                                type: 'button',
+                                label: 'Script Engine',
+                                buttonText: 'Add Engine',
+                                action: 'addCustomEngine'
+                            },
+                            {
+                                key: 'customEngineList',
+                                type: 'info',
+                                label: 'Added Engines',
+                                text: this._getCustomEngineListHtml()
                             }
                         ]
                     },
@@ -496,7 +759,9 @@ export class SettingsMenu {
             'dropdown': () => this._createDropdownInput(settingKey, config),
             'visual-list': () => this._createVisualListInput(settingKey, config),
             'toggle': () => this._createToggleInput(settingKey, config),
-            'button': () => this._createButtonInput(settingKey, config)
+            'text': () => this._createTextInput(settingKey, config),
+            'button': () => this._createButtonInput(settingKey, config),
+            'info': () => this._createInfoDisplay(settingKey, config)
         };
 
         const creator = inputCreators[config.type];
@@ -637,6 +902,22 @@ export class SettingsMenu {
         return select;
     }
 
+    /**
+     * Create text input
+     */
+    _createTextInput(settingKey, config) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'text-input';
+        input.placeholder = config.placeholder || '';
+        input.spellcheck = false;
+        input.value = this.getSettingValue(settingKey) || config.defaultValue || '';
+        input.setAttribute('data-path', config.path);
+        input.setAttribute('data-setting-key', settingKey);
+        
+        return input;
+    }
+
     /**
      * Create visual list input - completely data-driven preview generation
      */
@@ -750,6 +1031,18 @@ export class SettingsMenu {
         return button;
     }
 
+    /**
+     * Create read-only info display
+     */
+    _createInfoDisplay(settingKey, config) {
+        const info = document.createElement('div');
+        info.className = 'setting-info';
+        info.setAttribute('data-info-key', settingKey);
+        info.innerHTML = config.text || '';
+        
+        return info;
+    }
+
     /**
      * Bind event listeners - optimized approach using event delegation
      */
@@ -810,6 +1103,7 @@ export class SettingsMenu {
                element.classList.contains('slider-input') ||
                element.classList.contains('dropdown-input') ||
                element.classList.contains('toggle-input') ||
+               element.classList.contains('text-input') ||
                element.classList.contains('visual-list-option') ||
                element.classList.contains('setting-button') ||
                element.closest('.visual-list-option');
@@ -856,7 +1150,7 @@ export class SettingsMenu {
         
         // Handle button actions
         if (element.classList.contains('setting-button') && action) {
-            this._executeAction(action);
+            this._executeAction(action, element);
             return;
         }
 
@@ -965,7 +1259,7 @@ export class SettingsMenu {
             if (config) {
                 this._updateSliderProgress(element, value, config.min, config.max);
             }
-        } else if (element.tagName === 'SELECT') {
+        } else if (element.tagName === 'SELECT' || element.type === 'text') {
             element.value = value;
         }
     }
@@ -1123,9 +1417,13 @@ export class SettingsMenu {
     /**
      * Execute predefined actions
      */
-    _executeAction(actionName) {
+    _executeAction(actionName, element = null) {
         const actions = {
-            'clearAllSettings': () => this.clearAllSettings()
+            'clearAllSettings': () => this.clearAllSettings(),
+            'clearEvaluationCache': () => this.clearEvaluationCache(),
+            'runEngineProbe': () => this.runEngineProbe(true),
+            'addCustomEngine': () => this.addCustomEngine(),
+            'removeCustomEngine': () => this.removeCustomEngine(element?.getAttribute('data-engine-key'))
         };
         
         const action = actions[actionName];
@@ -1242,6 +1540,163 @@ export class SettingsMenu {
         }
     }
 
+    /**
+     * Clear all saved engine evaluations
+     */
+    async clearEvaluationCache() {
+        const count = await EvaluationCache.count();
+        if (!confirm(`This will delete ${count} saved evaluations, so games will be re-analyzed from scratch. Continue?`)) return;
+
+        await EvaluationCache.clear();
+
+        const button = this.container.querySelector('[data-action="clearEvaluationCache"]');
+        if (button) button.textContent = 'Cache Cleared';
+    }
+
+    /**
+     * Tests the engines (or loads the last results) and picks the engine and depth defaults from them
+     * @param {boolean} force - Test again even if results are stored
+     * @returns {Promise<Object>} - The probe results
+     */
+    async runEngineProbe(force = false) {
+        const config = this._findSettingConfig('engineProbeResults');
+        if (config) config.text = 'Testing engines...';
+        this._updateInfoDisplay('engineProbeResults', 'Testing engines...');
+
+        try {
+            const results = await EngineProbe.run(force);
+            this.applyEngineProbe(results);
+            return results;
+        } catch (error) {
+            console.error('Error testing engines:', error);
+            this._updateInfoDisplay('engineProbeResults', 'Engine test failed');
+            return null;
+        }
+    }
+
+    /**
+     * Uses the fastest working setup as the default, choices the user made are kept
+     * unless their engine doesn't work in this browser
+     * @param {Object} results - EngineProbe results
+     */
+    applyEngineProbe(results) {
+        let switchedFrom = null;
+        if (results.bestEngine) {
+            const engineConfig = this._findSettingConfig('engineType');
+            const depthConfig = this._findSettingConfig('engineDepth');
+            const savedEngine = this._getCookie('engineType');
+            if (engineConfig && savedEngine === null) engineConfig.defaultValue = results.bestEngine;
+            if (depthConfig && this._getCookie('engineDepth') === null) depthConfig.defaultValue = results.recommendedDepth;
+
+            if (savedEngine !== null && results.engines[savedEngine]?.ok === false) {
+                switchedFrom = savedEngine;
+                this.saveSettingToCookie('engineType', results.bestEngine);
+            }
+
+            this._updateSettingUI('engineType', this.getSettingValue('engineType'));
+            this._updateSettingUI('engineDepth', this.getSettingValue('engineDepth'));
+        }
+
+        const { wasm, sharedMemory, threads, cores } = results.capabilities;
+        const support = (supported) => supported ? 'yes' : 'no';
+        const engineRows = Object.entries(results.engines).map(([key, result]) => {
+            const name = engines[key]?.name || key;
+            const status = result.ok ? `${Math.round(result.nps / 1000)}k nodes/s` : result.error;
+            return `<div class="setting-info-row"><span>${name}</span><span>${status}</span></div>`;
+        });
+
+        const text = `
+            <div class="setting-info-row"><span>WebAssembly</span><span>${support(wasm)}</span></div>
+            <div class="setting-info-row"><span>Shared memory</span><span>${support(sharedMemory)}</span></div>
+            <div class="setting-info-row"><span>Threads</span><span>${threads ? cores : 1}</span></div>
+            ${engineRows.join('')}
+            <div class="setting-info-row"><span>Recommended</span><span>${results.bestEngine ? `${engines[results.bestEngine]?.name}, depth ${results.recommendedDepth}` : 'No working engine'}</span></div>
+            ${switchedFrom ? `<div class="setting-info-row"><span>Switched engine</span><span>${engines[switchedFrom]?.name || switchedFrom} doesn't work in this browser</span></div>` : ''}
+        `;
+
+        const config = this._findSettingConfig('engineProbeResults');
+        if (config) config.text = text;
+        this._updateInfoDisplay('engineProbeResults', text);
+    }
+
+    /**
+     * Adds an engine from the worker script URL typed in the settings
+     */
+    addCustomEngine() {
+        const name = this.container.querySelector('[data-setting-key="customEngineName"]')?.value.trim();
+        const url = this.container.querySelector('[data-setting-key="customEngineUrl"]')?.value.trim();
+
+        if (!url) {
+            alert('Enter the URL of the engine\'s worker script first.');
+            return;
+        }
+
+        CustomEngines.addWorker(name, url);
+        this._deleteCookie('customEngineName');
+        this._deleteCookie('customEngineUrl');
+        this._refreshEngineList();
+    }
+
+    removeCustomEngine(key) {
+        if (!key || !confirm(`Remove ${engines[key]?.name || 'this engine'}?`)) return;
+
+        CustomEngines.remove(key);
+
+        // Don't leave a removed engine selected
+        if (this.getSettingValue('engineType') === key) {
+            this._deleteCookie('engineType');
+            const engineConfig = this._findSettingConfig('engineType');
+            if (engineConfig) engineConfig.defaultValue = EngineProbe.results?.bestEngine || 'stockfish-17-lite';
+        }
+        if (this.getSettingValue('compareEngineType') === key) {
+            this._deleteCookie('compareEngineType');
+            const compareConfig = this._findSettingConfig('compareEngineType');
+            if (compareConfig) compareConfig.defaultValue = 'none';
+        }
+
+        this._refreshEngineList();
+    }
+
+    /**
+     * Rebuilds the menu after engines were added or removed
+     * @private
+     */
+    _refreshEngineList() {
+        const engineConfig = this._findSettingConfig('engineType');
+        if (engineConfig) engineConfig.options = this._getEngineTypeOptions();
+
+        const compareConfig = this._findSettingConfig('compareEngineType');
+        if (compareConfig) compareConfig.options = [{ value: 'none', label: 'Off' }, ...this._getEngineTypeOptions()];
+
+        const listConfig = this._findSettingConfig('customEngineList');
+        if (listConfig) listConfig.text = this._getCustomEngineListHtml();
+
+        this.render();
+    }
+
+    _getEngineTypeOptions() {
+        return Object.entries(engines).map(([value, engine]) => ({ value, label: engine.name }));
+    }
+
+    _getCustomEngineListHtml() {
+        if (CustomEngines.definitions.length === 0) return 'None yet';
+
+        // Names and URLs are typed by the user, don't let them turn into markup
+        const escape = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        return CustomEngines.definitions.map(definition => {
+            return `<div class="setting-info-row">
+                <span title="${escape(definition.url)}">${escape(definition.name)}</span>
+                <button type="button" class="setting-button" data-action="removeCustomEngine" data-engine-key="${definition.key}">Remove</button>
+            </div>`;
+        }).join('');
+    }
+
+    _updateInfoDisplay(settingKey, html) {
+        const info = this.container?.querySelector(`[data-info-key="${settingKey}"]`);
+        if (info) info.innerHTML = html;
+    }
+
     /**
      * Traverse all settings in the config
      */
@@ -1272,6 +1727,41 @@ export class SettingsMenu {
         return config?.defaultValue || null;
     }
 
+    /**
+     * Get every setting that affects how positions are searched
+     */
+    getEngineSettings() {
+        return {
+            engineType: this.getSettingValue('engineType'),
+            compareEngineType: this.getSettingValue('compareEngineType'),
+            engineDepth: this.getSettingValue('engineDepth'),
+            variationEngineDepth: this.getSettingValue('variationEngineDepth'),
+            searchMode: this.getSettingValue('searchMode'),
+            moveTime: this.getSettingValue('moveTime'),
+            searchNodes: this.getSettingValue('searchNodes'),
+            gameTimeBudget: this.getSettingValue('gameTimeBudget'),
+            deepPassEnabled: this.getSettingValue('deepPassEnabled'),
+            deepPassDepth: this.getSettingValue('deepPassDepth'),
+            evalServerEnabled: this.getSettingValue('evalServerEnabled'),
+            evalServerUrl: this.getSettingValue('evalServerUrl'),
+            evalServerTimeout: this.getSettingValue('evalServerTimeout'),
+            cachePriority: this.getSettingValue('cachePriority'),
+            evalServerPriority: this.getSettingValue('evalServerPriority'),
+            tablebaseEnabled: this.getSettingValue('tablebaseEnabled'),
+            tablebaseUrl: this.getSettingValue('tablebaseUrl'),
+            tablebaseTimeout: this.getSettingValue('tablebaseTimeout'),
+            tablebasePieces: this.getSettingValue('tablebasePieces'),
+            localEnginePriority: this.getSettingValue('localEnginePriority'),
+            explorationLines: this.getSettingValue('explorationLines'),
+            maxWorkers: this.getSettingValue('maxWorkers'),
+            engineOptions: {
+                Threads: this.getSettingValue('engineThreads'),
+                Hash: this.getSettingValue('engineHash'),
+                'Skill Level': this.getSettingValue('skillLevel')
+            }
+        };
+    }
+
     /**
      * Cookie management methods
      */
@@ -0,0 +1,177 @@
+import { MoveEvaluator } from './MoveEvaluator.js';
+
+export const AnalysisStatus = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    DONE: 'done'
+}
+
+/**
+ * A single run of the game analysis that can be paused, resumed and cancelled.
+ *
+ * Events:
+ * - 'progress' (percent)
+ * - 'ply' (move, completed, total) whenever a position has been evaluated, in any order
+ * - 'partial' (analysis) whenever more moves have been classified, always a prefix of the game
+ * - 'statuschange' (status)
+ * - 'done' (analysis)
+ * - 'cancel'
+ */
+export class AnalysisJob {
+    /**
+     * @param {Object} game - Game to analyze
+     * @param {Object} settings - Engine settings, see MoveEvaluator.getSearchLimit
+     */
+    constructor(game, settings = {}) {
+        this.game = game;
+        this.settings = settings;
+        this.status = AnalysisStatus.IDLE;
+        this.events = {};
+        this.workers = new Set();
+        this.promise = null;
+        this.resumeResolvers = [];
+    }
+
+    get isCancelled() {
+        return this.status === AnalysisStatus.CANCELLED;
+    }
+
+    get isPaused() {
+        return this.status === AnalysisStatus.PAUSED;
+    }
+
+    /**
+     * Starts the analysis, calling it again returns the same promise
+     * @returns {Promise<Object|null>} - The analysis, or null when the job was cancelled
+     */
+    start() {
+        if (this.promise) return this.promise;
+
+        this.setStatus(AnalysisStatus.RUNNING);
+        this.promise = MoveEvaluator.analyzeGame(this.game, (progress) => this.emit('progress', progress), this.settings, this)
+            .then((analysis) => {
+                if (this.isCancelled) return null;
+
+                this.setStatus(AnalysisStatus.DONE);
+                this.emit('done', analysis);
+                return analysis;
+            });
+
+        return this.promise;
+    }
+
+    /**
+     * Stops starting new searches, searches that already started still finish
+     */
+    pause() {
+        if (this.status === AnalysisStatus.RUNNING) this.setStatus(AnalysisStatus.PAUSED);
+    }
+
+    resume() {
+        if (this.status === AnalysisStatus.PAUSED) this.setStatus(AnalysisStatus.RUNNING);
+    }
+
+    /**
+     * Resolves straight away unless the job is paused, then once it's resumed or cancelled
+     * @returns {Promise<void>}
+     */
+    waitUntilRunning() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.resumeResolvers.push(resolve));
+    }
+
+    /**
+     * Stops the analysis and terminates every engine it started.
+     * Also works once the analysis is done, to stop the second pass over critical moves.
+     */
+    cancel() {
+        if (this.status === AnalysisStatus.CANCELLED) return;
+
+        this.setStatus(AnalysisStatus.CANCELLED);
+        this.workers.forEach(worker => worker.terminate());
+        this.workers.clear();
+        this.emit('cancel');
+    }
+
+    /**
+     * Re-evaluates the critical moves of the finished analysis at a higher depth
+     * @param {Object} analysis - Result of start
+     * @param {Function} onUpdate - Called with the analysis every time a move gets re-classified
+     * @returns {Promise<Object>} - The refined analysis
+     */
+    refine(analysis, onUpdate = null) {
+        return MoveEvaluator.refineCriticalMoves(this.game, analysis, this.settings, onUpdate, this);
+    }
+
+    /**
+     * Keeps track of engines so they can be terminated on cancel
+     * @param {Array<Engine>} workers - Engines searching for this job
+     */
+    addWorkers(workers) {
+        if (this.isCancelled) {
+            workers.forEach(worker => worker.terminate());
+            return;
+        }
+        workers.forEach(worker => this.workers.add(worker));
+    }
+
+    removeWorkers(workers) {
+        workers.forEach(worker => this.workers.delete(worker));
+    }
+
+    setStatus(status) {
+        this.status = status;
+
+        if (!this.isPaused) {
+            this.resumeResolvers.forEach(resolve => resolve());
+            this.resumeResolvers = [];
+        }
+
+        this.emit('statuschange', status);
+    }
+
+    /**
+     * Add an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function to remove, all of them when omitted
+     */
+    off(event, callback) {
+        if (!this.events[event]) return this;
+        if (callback) {
+            this.events[event] = this.events[event].filter(cb => cb !== callback);
+        } else {
+            delete this.events[event];
+        }
+        return this;
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {...any} args - Arguments to pass to callbacks
+     */
+    emit(event, ...args) {
+        if (!this.events[event]) return this;
+        this.events[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in analysis job handler for '${event}':`, error);
+            }
+        });
+        return this;
+    }
+}
@@ -0,0 +1,266 @@
+import { engines } from './Engine.js';
+import { MoveEvaluator } from './MoveEvaluator.js';
+import { Tablebase } from './Tablebase.js';
+import { LocalTablebase } from './LocalTablebase.js';
+import { RecentStorage } from './RecentStorage.js';
+
+const STORAGE_KEY = 'centichess_analysis_meta';
+const TAG_PREFIX = 'Analysis';
+
+/**
+ * Records how an analysis was made (engine, search limit, MultiPV, workers, cloud use),
+ * so a result can be reproduced later and analyses made with different settings
+ * aren't compared as if they were the same.
+ *
+ * The block is attached to the analysis as analysisMeta, written into exported PGNs
+ * as Analysis* header tags and kept in localStorage per game.
+ */
+export class AnalysisMeta {
+    // Bumped whenever the fields below change meaning
+    static format = 1;
+    static maxStored = 200;
+
+    // Fields that change the result when they differ, in the order they're reported
+    static fields = [
+        { key: 'engine', label: 'Engine', tag: 'Engine' },
+        { key: 'search', label: 'Search', tag: 'Search' },
+        { key: 'multiPV', label: 'MultiPV', tag: 'MultiPV' },
+        { key: 'options', label: 'Engine options', tag: 'Options' },
+        { key: 'deepPass', label: 'Second pass', tag: 'DeepPass' },
+        { key: 'workers', label: 'Workers', tag: 'Workers' },
+        { key: 'cloud', label: 'Eval server', tag: 'Cloud' },
+        { key: 'tablebase', label: 'Tablebase', tag: 'Tablebase' }
+    ];
+
+    /**
+     * Builds the metadata for an analysis
+     * @param {Object} settings - Engine settings the analysis ran with
+     * @param {Array} moves - The evaluated moves, for where their lines came from
+     * @param {number} workers - Number of engines the pool could run at once
+     * @returns {Object}
+     */
+    static create(settings = {}, moves = [], workers = 1) {
+        const engineType = settings.engineType || 'stockfish-17-lite';
+        const deepSearch = MoveEvaluator.getDeepSearchLimit(settings);
+
+        // Budget searches are split over the positions, so the budget is what reproduces them
+        const search = settings.searchMode === 'budget'
+            ? { mode: 'budget', value: (settings.gameTimeBudget || 90) * 1000 }
+            : MoveEvaluator.getSearchLimit(settings);
+
+        const options = {};
+        Object.entries(settings.engineOptions || {}).forEach(([name, value]) => {
+            if (value !== null && value !== undefined && value !== '') options[name] = value;
+        });
+
+        return {
+            format: this.format,
+            date: new Date().toISOString(),
+            engine: engines[engineType]?.name || engineType,
+            engineType,
+            search: this.formatSearch(search),
+            multiPV: MoveEvaluator.analysisLines,
+            options: Object.entries(options).map(([name, value]) => `${name}=${value}`).join(';'),
+            deepPass: deepSearch ? this.formatSearch(deepSearch) : 'off',
+            refined: 0,
+            workers,
+            cloud: settings.evalServerEnabled && settings.evalServerUrl ? 'on' : 'off',
+            tablebase: settings.tablebaseEnabled ? `${settings.tablebaseUrl ? settings.tablebasePieces || Tablebase.maxPieces : LocalTablebase.maxPieces} pieces` : 'off',
+            ...this.countSources(moves)
+        };
+    }
+
+    /**
+     * Counts which engine or server each move's lines came from
+     * @param {Array} moves - The evaluated moves
+     * @returns {Object} - { sources, cloudUsed }
+     */
+    static countSources(moves = []) {
+        const counts = {};
+        moves.forEach(move => {
+            const source = move.engine || 'Unknown';
+            counts[source] = (counts[source] || 0) + 1;
+        });
+
+        return {
+            sources: Object.entries(counts).map(([source, count]) => `${source}:${count}`).join(';'),
+            cloudUsed: counts['Eval Server'] || 0
+        };
+    }
+
+    /**
+     * Updates the metadata once the second pass has searched the critical positions again
+     * @param {Object} meta - Metadata from create
+     * @param {Array} moves - The evaluated moves
+     * @param {number} refined - Number of positions searched again
+     */
+    static recordRefinement(meta, moves, refined) {
+        if (!meta) return;
+
+        meta.refined = refined;
+        Object.assign(meta, this.countSources(moves));
+    }
+
+    static formatSearch(search) {
+        return `${search.mode} ${search.value}`;
+    }
+
+    /**
+     * Fields that differ between two analyses, leaving out the ones that don't affect the result
+     * @param {Object} a - Metadata of the first analysis
+     * @param {Object} b - Metadata of the second analysis
+     * @param {Array<string>} ignore - Keys of fields to leave out
+     * @returns {Array<Object>} - { key, label, a, b }
+     */
+    static differences(a, b, ignore = []) {
+        if (!a || !b) return [];
+
+        // Each position gets its own engine, so the worker count only matters when it splits a time budget
+        const budget = [a.search, b.search].some(search => String(search).startsWith('budget'));
+
+        return this.fields
+            .filter(field => !ignore.includes(field.key))
+            .filter(field => field.key !== 'workers' || budget)
+            // Fields added in later versions can't be compared with analyses that don't have them
+            .filter(field => a[field.key] !== undefined && b[field.key] !== undefined)
+            .filter(field => String(a[field.key]) !== String(b[field.key]))
+            .map(field => ({ key: field.key, label: field.label, a: a[field.key], b: b[field.key] }));
+    }
+
+    /**
+     * Describes differences for a warning
+     * @param {Array<Object>} differences - From differences
+     * @returns {string}
+     */
+    static describe(differences) {
+        return differences.map(difference => `${difference.label}: ${difference.a} vs ${difference.b}`).join(', ');
+    }
+
+    /**
+     * PGN header tags for the metadata
+     * @param {Object} meta - Metadata from create
+     * @returns {Array<Array<string>>} - [name, value] pairs
+     */
+    static toTags(meta) {
+        if (!meta) return [];
+
+        const tags = [
+            ['Format', meta.format],
+            ['Date', meta.date],
+            ...this.fields.map(field => [field.tag, meta[field.key]]),
+            ['Refined', meta.refined],
+            ['CloudUsed', meta.cloudUsed],
+            ['Sources', meta.sources]
+        ];
+
+        return tags
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => [`${TAG_PREFIX}${name}`, String(value)]);
+    }
+
+    /**
+     * Reads the metadata back out of a PGN's header tags
+     * @param {string} pgn - PGN text
+     * @returns {Object|null} - The metadata, or null when the PGN has none
+     */
+    static fromPgn(pgn = '') {
+        const tags = {};
+        const tagRegex = new RegExp(`^\\[${TAG_PREFIX}(\\w+)\\s+"((?:[^"\\\\]|\\\\.)*)"\\]`, 'gm');
+
+        let match;
+        while ((match = tagRegex.exec(pgn)) !== null) {
+            tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+        }
+
+        if (!tags.Format) return null;
+
+        const meta = {
+            format: parseInt(tags.Format),
+            date: tags.Date,
+            refined: parseInt(tags.Refined) || 0,
+            cloudUsed: parseInt(tags.CloudUsed) || 0,
+            sources: tags.Sources || ''
+        };
+        this.fields.forEach(field => {
+            if (tags[field.tag] !== undefined) meta[field.key] = tags[field.tag];
+        });
+        if (meta.multiPV !== undefined) meta.multiPV = parseInt(meta.multiPV);
+        if (meta.workers !== undefined) meta.workers = parseInt(meta.workers);
+
+        return meta;
+    }
+
+    /**
+     * Replaces the Analysis* tags of a PGN with the ones for the metadata
+     * @param {string} pgn - PGN text
+     * @param {Object} meta - Metadata from create
+     * @returns {string}
+     */
+    static embedInPgn(pgn, meta) {
+        const stripped = this.stripFromPgn(pgn);
+        const tags = this.toTags(meta)
+            .map(([name, value]) => `[${name} "${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+            .join('\n');
+        if (!tags) return stripped;
+
+        // New tags go after the existing ones, or start the header when there are none
+        const headerEnd = stripped.match(/^(?:\s*\[[^\]]*\]\s*?\n)+/);
+        if (!headerEnd) return `${tags}\n\n${stripped}`;
+
+        const header = headerEnd[0].replace(/\s+$/, '');
+        return `${header}\n${tags}\n${stripped.slice(headerEnd[0].length)}`;
+    }
+
+    static stripFromPgn(pgn = '') {
+        return pgn.replace(new RegExp(`^\\[${TAG_PREFIX}\\w+\\s+"(?:[^"\\\\]|\\\\.)*"\\]\\s*?\\n`, 'gm'), '');
+    }
+
+    /**
+     * Key a game's metadata is stored under, the same for a PGN with or without Analysis* tags
+     * @private
+     */
+    static getGameKey(pgn = '') {
+        const text = this.stripFromPgn(pgn).trim();
+
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash) + text.charCodeAt(i);
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return Math.abs(hash).toString(36);
+    }
+
+    /**
+     * Remembers the metadata of the latest analysis of a game
+     * @param {string} pgn - PGN of the game
+     * @param {Object} meta - Metadata from create
+     */
+    static save(pgn, meta) {
+        if (!pgn || !meta) return;
+
+        try {
+            RecentStorage.save(STORAGE_KEY, this.getGameKey(pgn), meta, this.maxStored);
+        } catch (error) {
+            console.error('Failed to save analysis metadata:', error);
+        }
+    }
+
+    /**
+     * Metadata of the previous analysis of a game, from its PGN tags or from storage
+     * @param {string} pgn - PGN of the game
+     * @returns {Object|null}
+     */
+    static load(pgn) {
+        if (!pgn) return null;
+
+        const embedded = this.fromPgn(pgn);
+        if (embedded) return embedded;
+
+        try {
+            return RecentStorage.get(STORAGE_KEY, this.getGameKey(pgn));
+        } catch (error) {
+            console.error('Failed to load analysis metadata:', error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,401 @@
+import { AnalysisJob, AnalysisStatus } from './AnalysisJob.js';
+import { AnalysisMeta } from './AnalysisMeta.js';
+import { RecentStorage } from './RecentStorage.js';
+import { GamePhase } from '../classification/GamePhase.js';
+import { MoveClassifier } from '../classification/MoveClassifier.js';
+import { PgnParser } from '../components/moves/PgnParser.js';
+import { DEFAULT_POSITION } from '../../libs/chess.js';
+
+const STORAGE_KEY = 'centichess_batch_results';
+
+/**
+ * Analyzes a set of games one after another in the background, and keeps a short
+ * record of each one so the results can be added up over time. Games analyzed
+ * before are read back from storage instead of being analyzed again.
+ *
+ * Events:
+ * - 'progress' (percent, completed, total) over the whole set of games
+ * - 'game' (record) whenever a game has been analyzed and stored
+ * - 'statuschange' (status)
+ * - 'done' (records)
+ * - 'cancel'
+ */
+export class BatchAnalysis {
+    static maxStored = 1000;
+    static phases = ['opening', 'middlegame', 'endgame'];
+    static timeControls = ['bullet', 'blitz', 'rapid', 'other'];
+
+    /**
+     * @param {Array<Object>} games - Games to analyze, as GameLoader makes them, with the
+     * timeControl and date (ms) of the games list when it knows them
+     * @param {Object} settings - Engine settings, see MoveEvaluator.getSearchLimit
+     */
+    constructor(games, settings = {}) {
+        this.games = games;
+        this.settings = settings;
+        this.status = AnalysisStatus.IDLE;
+        this.events = {};
+        this.job = null;
+        this.promise = null;
+        this.resumeResolvers = [];
+    }
+
+    get isCancelled() {
+        return this.status === AnalysisStatus.CANCELLED;
+    }
+
+    get isPaused() {
+        return this.status === AnalysisStatus.PAUSED;
+    }
+
+    /**
+     * Starts analyzing the games, calling it again returns the same promise
+     * @returns {Promise<Array<Object>|null>} - The record of each game, or null when the batch was cancelled
+     */
+    start() {
+        if (this.promise) return this.promise;
+
+        this.setStatus(AnalysisStatus.RUNNING);
+        this.promise = this.run().then((records) => {
+            if (this.isCancelled) return null;
+
+            this.setStatus(AnalysisStatus.DONE);
+            this.emit('done', records);
+            return records;
+        });
+
+        return this.promise;
+    }
+
+    async run() {
+        const records = [];
+        const total = this.games.length;
+        const stored = BatchAnalysis.readStorage();
+
+        for (let i = 0; i < total && !this.isCancelled; i++) {
+            const game = this.games[i];
+
+            const previous = stored[AnalysisMeta.getGameKey(game.pgn)];
+            if (previous) {
+                records.push(previous);
+                this.emit('progress', (i + 1) / total * 100, i + 1, total);
+                continue;
+            }
+
+            // Pausing between games doesn't start the next one until the batch is resumed
+            await this.waitUntilRunning();
+            if (this.isCancelled) break;
+
+            const analysis = await this.analyze(game, (progress) => this.emit('progress', (i + progress / 100) / total * 100, i, total));
+            if (!analysis) continue;
+
+            const record = BatchAnalysis.summarize(game, analysis);
+            BatchAnalysis.save(record);
+            AnalysisMeta.save(game.pgn, analysis.analysisMeta);
+
+            records.push(record);
+            this.emit('progress', (i + 1) / total * 100, i + 1, total);
+            this.emit('game', record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Runs the analysis of one game as the current job
+     * @returns {Promise<Object|null>} - The analysis, or null when it was cancelled or failed
+     */
+    async analyze(game, onProgress) {
+        const job = new AnalysisJob(game, this.settings);
+        this.job = job;
+        job.on('progress', onProgress);
+
+        try {
+            return await job.start();
+        } catch (error) {
+            // A game that can't be analyzed, like one with an illegal move, doesn't stop the others
+            console.error('Error analyzing game in batch:', error);
+            return null;
+        } finally {
+            this.job = null;
+        }
+    }
+
+    /**
+     * Stops starting new searches, the game being analyzed stops with it
+     */
+    pause() {
+        if (this.status !== AnalysisStatus.RUNNING) return;
+
+        this.setStatus(AnalysisStatus.PAUSED);
+        this.job?.pause();
+    }
+
+    resume() {
+        if (this.status !== AnalysisStatus.PAUSED) return;
+
+        this.setStatus(AnalysisStatus.RUNNING);
+        this.job?.resume();
+    }
+
+    /**
+     * Resolves straight away unless the batch is paused, then once it's resumed or cancelled
+     * @returns {Promise<void>}
+     */
+    waitUntilRunning() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.resumeResolvers.push(resolve));
+    }
+
+    /**
+     * Stops the batch, games that were already analyzed stay stored
+     */
+    cancel() {
+        if (this.status === AnalysisStatus.CANCELLED) return;
+
+        this.setStatus(AnalysisStatus.CANCELLED);
+        this.job?.cancel();
+        this.emit('cancel');
+    }
+
+    setStatus(status) {
+        this.status = status;
+
+        if (!this.isPaused) {
+            this.resumeResolvers.forEach(resolve => resolve());
+            this.resumeResolvers = [];
+        }
+
+        this.emit('statuschange', status);
+    }
+
+    /**
+     * Builds the record of an analyzed game, from the point of view of the player it was loaded for
+     * @param {Object} game - The analyzed game
+     * @param {Object} analysis - Result of MoveEvaluator.analyzeGame
+     * @returns {Object}
+     */
+    static summarize(game, analysis) {
+        const { headers } = PgnParser.splitHeaders(game.pgn);
+        const isWhite = game.username?.toLowerCase() !== game.black.name.toLowerCase();
+        const color = isWhite ? 'white' : 'black';
+
+        const moves = analysis.moves || [];
+        const startFen = PgnParser.getStartFen(game.pgn);
+        const sans = moves.map(move => move.move);
+        const phaseOf = this.getMovePhases(sans, startFen);
+
+        const phases = {};
+        this.phases.forEach(phase => phases[phase] = { moves: 0, blunders: 0 });
+
+        moves.forEach((move, i) => {
+            // The side to move after a move is the other side
+            const movedWhite = move.fen.split(' ')[1] === 'b';
+            if (movedWhite !== isWhite) return;
+
+            phases[phaseOf[i]].moves++;
+            if (move.classification?.type === 'blunder') phases[phaseOf[i]].blunders++;
+        });
+
+        const isStandardStart = startFen === DEFAULT_POSITION && !PgnParser.isChess960(game.pgn);
+
+        return {
+            key: AnalysisMeta.getGameKey(game.pgn),
+            username: isWhite ? game.white.name : game.black.name,
+            white: game.white.name,
+            black: game.black.name,
+            isWhite,
+            result: this.getResult(game.result, isWhite),
+            date: this.getDate(game, headers),
+            timeControl: game.timeControl || 'other',
+            accuracy: analysis[color].accuracy || 0,
+            phases,
+            opening: isStandardStart ? MoveClassifier.getOpening(sans) : null,
+            analyzedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * The phase each move of a game is played in
+     * @param {Array<string>} moves - Moves in SAN
+     * @param {string} startFen - Position the game starts from
+     * @returns {Array<string>} - Phase of each move
+     */
+    static getMovePhases(moves, startFen) {
+        const changes = GamePhase.getPhases(moves, startFen);
+
+        let phase = 'opening';
+        return moves.map((_move, i) => {
+            // Like the report, a change applies from the move after the one that caused it
+            changes.filter(change => change.startMove === i).forEach(change => phase = change.phase);
+            return phase;
+        });
+    }
+
+    /**
+     * @param {string} result - PGN result
+     * @param {boolean} isWhite - Whether the player had the white pieces
+     * @returns {string} - 'win', 'loss', 'draw' or 'unknown' for unfinished games
+     */
+    static getResult(result, isWhite) {
+        if (result === '1/2-1/2') return 'draw';
+        if (result === '1-0') return isWhite ? 'win' : 'loss';
+        if (result === '0-1') return isWhite ? 'loss' : 'win';
+        return 'unknown';
+    }
+
+    /**
+     * When a game was played, from the games list or else the date tags of the PGN
+     * @returns {string|null} - ISO date, or null when the game isn't dated
+     */
+    static getDate(game, headers) {
+        if (game.date) return new Date(game.date).toISOString();
+
+        const match = (headers.UTCDate || headers.Date || '').match(/^(\d{4})\.(\d{2})\.(\d{2})$/);
+        if (!match) return null;
+
+        return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))).toISOString();
+    }
+
+    /**
+     * Adds up the records of a player's games for the dashboard
+     * @param {Array<Object>} records - Records from summarize
+     * @returns {Object} - { games, accuracy, months, phases, openings, timeControls }
+     */
+    static aggregate(records) {
+        const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        const countResults = (group) => ({
+            games: group.length,
+            wins: group.filter(record => record.result === 'win').length,
+            draws: group.filter(record => record.result === 'draw').length,
+            losses: group.filter(record => record.result === 'loss').length,
+            accuracy: average(group.map(record => record.accuracy))
+        });
+
+        const groupBy = (getKey) => {
+            const groups = new Map();
+            records.forEach(record => {
+                const key = getKey(record);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(record);
+            });
+            return groups;
+        };
+
+        const months = [...groupBy(record => record.date?.slice(0, 7)).entries()]
+            .map(([month, group]) => ({ month, ...countResults(group) }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+
+        const phases = this.phases.map(phase => {
+            const moves = records.reduce((sum, record) => sum + (record.phases[phase]?.moves || 0), 0);
+            const blunders = records.reduce((sum, record) => sum + (record.phases[phase]?.blunders || 0), 0);
+            return { phase, moves, blunders, rate: moves ? blunders / moves : 0 };
+        });
+
+        const openings = [...groupBy(record => record.opening?.name).entries()]
+            .map(([name, group]) => ({ name, eco: group[0].opening.eco, ...countResults(group) }))
+            .sort((a, b) => b.games - a.games);
+
+        const timeControls = [...groupBy(record => record.timeControl).entries()]
+            .map(([timeControl, group]) => ({ timeControl, ...countResults(group) }))
+            .sort((a, b) => this.timeControls.indexOf(a.timeControl) - this.timeControls.indexOf(b.timeControl));
+
+        return {
+            games: records.length,
+            accuracy: average(records.map(record => record.accuracy)),
+            months,
+            phases,
+            openings,
+            timeControls
+        };
+    }
+
+    /**
+     * @returns {Object} - Stored records by game key
+     */
+    static readStorage() {
+        try {
+            return Object.fromEntries(RecentStorage.read(STORAGE_KEY));
+        } catch (error) {
+            console.error('Failed to load batch analysis results:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Stores the record of a game, replacing an earlier one
+     * @param {Object} record - Record from summarize
+     */
+    static save(record) {
+        try {
+            RecentStorage.save(STORAGE_KEY, record.key, record, this.maxStored);
+        } catch (error) {
+            console.error('Failed to save batch analysis result:', error);
+        }
+    }
+
+    /**
+     * Record of a game analyzed in an earlier batch
+     * @param {string} pgn - PGN of the game
+     * @returns {Object|null}
+     */
+    static load(pgn) {
+        return this.readStorage()[AnalysisMeta.getGameKey(pgn)] || null;
+    }
+
+    /**
+     * Every stored record, optionally only the games of one player
+     * @param {string} username - Player to keep the games of
+     * @returns {Array<Object>}
+     */
+    static loadAll(username = null) {
+        const records = Object.values(this.readStorage());
+        if (!username) return records;
+
+        return records.filter(record => record.username?.toLowerCase() === username.toLowerCase());
+    }
+
+    /**
+     * Add an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.events[event]) this.events[event] = [];
+        this.events[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function to remove, all of them when omitted
+     */
+    off(event, callback) {
+        if (!this.events[event]) return this;
+        if (callback) {
+            this.events[event] = this.events[event].filter(cb => cb !== callback);
+        } else {
+            delete this.events[event];
+        }
+        return this;
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {...any} args - Arguments to pass to callbacks
+     */
+    emit(event, ...args) {
+        if (!this.events[event]) return this;
+        this.events[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in batch analysis handler for '${event}':`, error);
+            }
+        });
+        return this;
+    }
+}
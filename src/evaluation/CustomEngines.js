@@ -0,0 +1,100 @@
+import { engines } from './Engine.js';
+
+const STORAGE_KEY = 'centichess_custom_engines';
+
+/**
+ * Engines added by the user on top of the bundled ones, worker scripts at any URL.
+ * A build with an older network compiled in is how a different net gets compared.
+ *
+ * The engine list is kept in localStorage. Registered engines are added to the
+ * engines map, so everything that takes an engineType works with them.
+ *
+ * Uploading a .nnue file for a bundled build isn't supported: those builds are
+ * compiled without a file system, so EvalFile would have nothing to read from.
+ */
+export class CustomEngines {
+    static definitions = [];
+
+    /**
+     * Registers the saved engines, call before anything reads the engines map
+     */
+    static load() {
+        try {
+            this.definitions = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Failed to load custom engines:', error);
+            this.definitions = [];
+        }
+
+        this.definitions.forEach(definition => this.register(definition));
+    }
+
+    static save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.definitions));
+        } catch (error) {
+            console.error('Failed to save custom engines:', error);
+        }
+    }
+
+    /**
+     * Adds an engine to the engines map
+     * @private
+     */
+    static register(definition) {
+        engines[definition.key] = {
+            name: definition.name,
+            path: this.getWorkerPath(definition.url),
+            custom: true
+        };
+    }
+
+    /**
+     * Adds an engine that runs a worker script from a URL
+     * @param {string} name - Name to show in the engine list
+     * @param {string} url - URL of a worker script that speaks UCI
+     * @returns {string} - Key of the new engine
+     */
+    static addWorker(name, url) {
+        const definition = {
+            key: `custom-${Date.now()}`,
+            name: name || url.split('/').pop(),
+            url
+        };
+
+        this.definitions.push(definition);
+        this.register(definition);
+        this.save();
+
+        return definition.key;
+    }
+
+    /**
+     * @param {string} key - Engine key
+     */
+    static remove(key) {
+        const definition = this.definitions.find(definition => definition.key === key);
+        if (!definition) return;
+
+        this.definitions = this.definitions.filter(other => other !== definition);
+        delete engines[key];
+        this.save();
+    }
+
+    /**
+     * Workers can only be started from scripts on the same origin,
+     * anything else gets loaded through a small same-origin wrapper
+     * @param {string} url - Worker script URL
+     * @returns {string}
+     */
+    static getWorkerPath(url) {
+        try {
+            if (new URL(url, location.href).origin === location.origin) return url;
+        } catch (error) {
+            return url;
+        }
+
+        const wrapper = new Blob([`importScripts(${JSON.stringify(url)});`], { type: 'application/javascript' });
+        return URL.createObjectURL(wrapper);
+    }
+}
@@ -1,11 +1,16 @@
-const engines = {
+import { Chess } from "../../libs/chess.js";
+
+// Strongest first, requires lists what the browser needs to run the engine
+export const engines = {
     'stockfish-17-lite': {
         name: "Stockfish 17 Lite",
         path: "./src/engines/stockfish/stockfish-17-lite.js",
+        requires: { wasm: true, sharedMemory: true }
     },
     'stockfish-16-nnue': {
         name: "Stockfish 16 NNUE",
         path: "./src/engines/stockfish/stockfish-nnue-16.js",
+        requires: { wasm: true, sharedMemory: true }
     },
     'stockfish-16-lite': {
         name: "Stockfish 16 Lite",
@@ -17,26 +22,53 @@ const engines = {
     }
 }
 
+export const SearchMode = {
+    DEPTH: 'depth',
+    MOVETIME: 'movetime',
+    NODES: 'nodes'
+}
+
+/**
+ * UCI options that can be passed to an engine, anything else is dropped.
+ * Engines that don't know an option just ignore it.
+ */
+export const EngineOptions = {
+    'Threads': { type: 'spin', min: 1, max: 32, defaultValue: 1 },
+    'Hash': { type: 'spin', min: 1, max: 1024, defaultValue: 16 },
+    'MultiPV': { type: 'spin', min: 1, max: 10, defaultValue: 3 },
+    'Skill Level': { type: 'spin', min: 0, max: 20, defaultValue: 20 },
+    'Contempt': { type: 'spin', min: -100, max: 100, defaultValue: 0 },
+    'UCI_ShowWDL': { type: 'check', defaultValue: false },
+    'UCI_Chess960': { type: 'check', defaultValue: false }
+}
 
 export class Engine {
+    // Engines to try when one fails, replaced by the working engines once EngineProbe has run
+    static fallbackOrder = ['stockfish-16-lite', 'stockfish-11'];
+
+    // How often an infinite search reports lines that didn't reach a new depth, in milliseconds
+    static liveUpdateInterval = 250;
+    // Engine output kept during an infinite search, older messages can't hold the latest lines
+    static liveMessageLimit = 1000;
+
     currentDepth = 0;
     multiPV = 3;
     busy = false;
     currentResolve = null;
     currentReject = null;
 
-    constructor({ engineType = 'stockfish-17-lite' } = {}) {
-        this.engine = engines[engineType];
-        this.worker = new Worker(this.engine.path);
-        
-        this.worker.postMessage("uci");
-        this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
-        
-        // Setup global message handler for reuse
-        this.worker.addEventListener("error", this.handleError.bind(this));
-        
-        // Add onerror handler directly (catches more errors than the event listener)
-        this.worker.onerror = this.handleError.bind(this);
+    /**
+     * @param {Object} config
+     * @param {string} config.engineType - Key of the engine to load
+     * @param {Object} config.options - UCI options by name, see EngineOptions
+     */
+    constructor({ engineType = 'stockfish-17-lite', options = {} } = {}) {
+        this.engineType = engineType;
+        // Custom engines can be removed while their key is still saved in the settings
+        this.engine = engines[engineType] || engines['stockfish-17-lite'];
+        this.options = Engine.validateOptions({ MultiPV: this.multiPV, UCI_ShowWDL: true, ...options });
+        this.multiPV = this.options.MultiPV;
+        this.startWorker();
         
         // Add global error handling through window for worker errors
         window.addEventListener('unhandledrejection', (event) => {
@@ -47,10 +79,134 @@ export class Engine {
             }
         });
     }
+
+    /**
+     * Drops unknown options and clamps the rest to their allowed range
+     * @param {Object} options - UCI options by name
+     * @returns {Object} - Options that are safe to send
+     */
+    static validateOptions(options = {}) {
+        const validated = {};
+
+        for (const [name, value] of Object.entries(options)) {
+            const spec = EngineOptions[name];
+            if (!spec || value === null || value === undefined) continue;
+
+            if (spec.type === 'check') {
+                validated[name] = value === true || value === 'true';
+                continue;
+            }
+
+            const number = parseInt(value);
+            if (isNaN(number)) continue;
+            validated[name] = Math.min(spec.max, Math.max(spec.min, number));
+        }
+
+        // Multiple threads need SharedArrayBuffer, which only exists on cross-origin isolated pages
+        if (validated.Threads > 1 && (typeof SharedArrayBuffer === 'undefined' || !self.crossOriginIsolated)) {
+            validated.Threads = 1;
+        }
+
+        return validated;
+    }
+
+    /**
+     * Changes options between searches, only sending the ones that changed
+     * @param {Object} options - UCI options by name, see EngineOptions
+     */
+    setOptions(options = {}) {
+        for (const [name, value] of Object.entries(Engine.validateOptions(options))) {
+            if (this.options[name] === value) continue;
+
+            this.options[name] = value;
+            this.worker?.postMessage(`setoption name ${name} value ${value}`);
+        }
+        this.multiPV = this.options.MultiPV;
+    }
+
+    /**
+     * Whether castling in a position needs chess960 rules, with the king or a rook it can
+     * castle with away from its standard square. The engine has to be told with UCI_Chess960.
+     * @param {string} fen - FEN of the position
+     * @returns {boolean}
+     */
+    static isChess960(fen) {
+        const [placement = '', , castling = '-'] = fen.split(' ');
+        if (castling === '-') return false;
+
+        // Shredder-FEN names the rooks by file, X-FEN only needs to when the outermost rook can't castle
+        if (/[^KQkq]/.test(castling)) return true;
+
+        const ranks = placement.split('/').map(rank => rank.replace(/\d/g, (empty) => '.'.repeat(empty)));
+        return [...castling].some(right => {
+            const isWhite = right === right.toUpperCase();
+            const backRank = isWhite ? ranks[7] : ranks[0];
+            const [king, rook] = isWhite ? ['K', 'R'] : ['k', 'r'];
+            const corner = right.toLowerCase() === 'k' ? 7 : 0;
+
+            return backRank?.[4] !== king || backRank?.[corner] !== rook;
+        });
+    }
+
+    /**
+     * Rewrites castling in a line from the king taking its own rook, how chess960 UCI writes it,
+     * to the king's destination that chess.js and the board use, see uciDestination
+     * @param {string} fen - FEN of the position the line starts from
+     * @param {Array<string>} pv - Moves in UCI
+     * @returns {Array<string>} - The same line, anything after a move that can't be played is kept as is
+     */
+    static normalizeCastling(fen, pv) {
+        const chess = new Chess(fen);
+        const line = [];
+
+        for (const uci of pv) {
+            try {
+                const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+                line.push(move.from + Engine.uciDestination(move) + (move.promotion || ''));
+            } catch (error) {
+                return line.concat(pv.slice(line.length));
+            }
+        }
+
+        return line;
+    }
+
+    /**
+     * The square a move goes to in analysis lines. Castling goes to the king's destination,
+     * unless the king could also just step there in chess960, then it stays the king taking
+     * its rook so the two moves can be told apart.
+     * @param {Move} move - A chess.js move
+     * @returns {string}
+     */
+    static uciDestination(move) {
+        if (!move.rookFrom) return move.to;
+
+        const kingMoves = new Chess(move.before).moves({ square: move.from, verbose: true });
+        return kingMoves.some(other => other.to === move.to && !other.rookFrom) ? move.rookFrom : move.to;
+    }
+
+    /**
+     * Creates the worker for the current engine and sends it the engine options
+     * @private
+     */
+    startWorker() {
+        this.worker = new Worker(this.engine.path);
+        
+        this.worker.postMessage("uci");
+        for (const [name, value] of Object.entries(this.options)) {
+            this.worker.postMessage(`setoption name ${name} value ${value}`);
+        }
+        
+        // Setup global message handler for reuse
+        this.worker.addEventListener("error", this.handleError.bind(this));
+        
+        // Add onerror handler directly (catches more errors than the event listener)
+        this.worker.onerror = this.handleError.bind(this);
+    }
     
     // Method to abort current evaluation
     abort() {
-        this.worker.postMessage('stop');
+        this.worker?.postMessage('stop');
         if (this.currentResolve) {
             this.currentResolve([]);
             this.currentResolve = null;
@@ -59,6 +215,13 @@ export class Engine {
         this.busy = false;
     }
     
+    /**
+     * Stops an infinite search, which then resolves with its last lines
+     */
+    stop() {
+        this.worker?.postMessage('stop');
+    }
+    
     // Properly terminate worker
     terminate() {
         this.abort();
@@ -93,28 +256,22 @@ export class Engine {
             }
         }
         
+        // Skip the engine that just failed
+        const fallbacks = Engine.fallbackOrder.map(key => engines[key]).filter(engine => engine && engine !== this.engine);
+
         try {
             console.log("Falling back to alternative engine");
-            this.engine = engines['stockfish-16-lite'];
-            this.worker = new Worker(this.engine.path);
-
-            this.worker.postMessage("uci");
-            this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
-            this.worker.addEventListener("error", this.handleError.bind(this));
-            this.worker.onerror = this.handleError.bind(this);
+            this.engine = fallbacks[0] || engines['stockfish-16-lite'];
+            this.startWorker();
         } catch (err) {
             console.log("Error creating fallback worker:", err);
             
             // Try with a different engine if the fallback fails
             if (fallen < 1) {
                 console.log("Trying with most basic engine");
-                this.engine = engines['stockfish-11'];
+                this.engine = fallbacks[fallbacks.length - 1] || engines['stockfish-11'];
                 try {
-                    this.worker = new Worker(this.engine.path);
-                    this.worker.postMessage("uci");
-                    this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
-                    this.worker.addEventListener("error", this.handleError.bind(this));
-                    this.worker.onerror = this.handleError.bind(this);
+                    this.startWorker();
                 } catch (e) {
                     console.log("All engine attempts failed");
                     this.worker = null;
@@ -125,7 +282,14 @@ export class Engine {
         }
     }
 
-    interpret(uciOutputLines, fen, targetDepth) {
+    /**
+     * Parses engine output into lines, keeping the deepest completed line for each MultiPV id.
+     * Searches cut short by a time or node limit stop mid-iteration, so we can't ask for an exact depth.
+     * @param {Array<string>} uciOutputLines - Engine output, newest message first
+     * @param {string} fen - FEN of the searched position
+     * @returns {Array} - Lines sorted by MultiPV id
+     */
+    interpret(uciOutputLines, fen) {
         const lines = [];
         const outputs = uciOutputLines.filter(uciOutput => uciOutput.startsWith("info depth"));
         for (const output of outputs) {
@@ -134,21 +298,67 @@ export class Engine {
             const depth = parseInt(output.match(/(?:depth )(\d+)/)?.[1]);
             const uciMove = output.match(/(?: pv )(.+?)(?= |$)/)?.[1];
             
-            if (!id || !depth || !uciMove || depth != targetDepth || lines.some(line => line.id == id)) continue;
+            // Bound scores come from a failed aspiration window, they aren't a finished line
+            if (output.includes("lowerbound") || output.includes("upperbound")) continue;
+            if (!id || !depth || !uciMove || lines.some(line => line.id == id)) continue;
 
             // Invert score for black since stockfish is negamax instead of minimax
             const negamaxScore = parseInt(output.match(/(?:(?:cp )|(?:mate ))([\d-]+)/)?.[1] || "0");
             const score = fen.includes(" b ") ? -negamaxScore : negamaxScore;
             const type = output.includes(" cp ") ? "cp" : "mate";
-            const pv = output.match(/.*pv\s+(.*)$/)?.[1].split(" ")
+            let pv = output.match(/.*pv\s+(.*)$/)?.[1].split(" ")
+            if (this.options.UCI_Chess960) pv = Engine.normalizeCastling(fen, pv);
+
+            // WDL is per mille from the side to move, flip it to white's point of view like the score
+            const wdlMatch = output.match(/ wdl (\d+) (\d+) (\d+)/);
+            let wdl;
+            if (wdlMatch) {
+                const [w, d, l] = wdlMatch.slice(1).map(Number);
+                wdl = fen.includes(" b ") ? { w: l, d, l: w } : { w, d, l };
+            }
 
-            lines.push({ id, uciMove, depth, score, type, pv });
+            lines.push({ id, uciMove: pv[0], depth, score, type, pv, ...(wdl && { wdl }) });
         }
 
-        return lines;
+        return lines.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Normalizes a search limit, a plain number is treated as a depth
+     * @param {number|Object} limit - Depth, or { mode, value } using SearchMode
+     * @returns {Object} - { mode, value }
+     */
+    static toSearchLimit(limit) {
+        if (typeof limit === 'number') return { mode: SearchMode.DEPTH, value: limit };
+        return { mode: limit?.mode || SearchMode.DEPTH, value: limit?.value || 16 };
     }
 
-    async evaluate(fen, targetDepth, verbose = false, progressCallback = null, fallen = 0) {
+    /**
+     * How long to wait before assuming the engine got stuck
+     * @param {Object} search - Normalized search limit
+     * @returns {number} - Timeout in milliseconds
+     */
+    static getSafetyTimeout(search) {
+        switch (search.mode) {
+            case SearchMode.MOVETIME: return search.value * 2 + 10000;
+            case SearchMode.NODES: return 60000 + search.value / 10;
+            default: return 30000 * search.value; // timeout depends on depth
+        }
+    }
+
+    /**
+     * Searches a position until the given limit is reached
+     * @param {string} fen - FEN of the position to search
+     * @param {number|Object} limit - Depth, or { mode, value } where mode is a SearchMode
+     *                                (value is in plies, milliseconds or nodes respectively)
+     * @param {boolean} verbose - Log every engine message
+     * @param {Function} progressCallback - Called with { depth, targetDepth, percent }
+     * @returns {Promise<Array>} - Engine lines
+     */
+    async evaluate(fen, limit, verbose = false, progressCallback = null, fallen = 0) {
+        const search = Engine.toSearchLimit(limit);
+        const targetDepth = search.mode === SearchMode.DEPTH ? search.value : null;
+
         this.busy = true;
         
         // Reset current depth
@@ -156,28 +366,26 @@ export class Engine {
         
         if (!this.worker) {
             try {
-                this.worker = new Worker(engines[0].path);
-                this.worker.postMessage("uci");
-                this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
-                this.worker.addEventListener("error", this.handleError.bind(this));
-                this.worker.onerror = this.handleError.bind(this);
+                this.startWorker();
             } catch (err) {
                 console.log("Error creating worker:", err);
                 this.fallbackToAlternativeEngine(fallen);
-                return this.evaluate(fen, targetDepth, verbose, progressCallback, fallen + 1);
+                return this.evaluate(fen, search, verbose, progressCallback, fallen + 1);
             }
         }
         
         try {
+            this.setOptions({ UCI_Chess960: Engine.isChess960(fen) });
             this.worker.postMessage(`position fen ${fen}`);
-            this.worker.postMessage(`go depth ${targetDepth}`);
+            this.worker.postMessage(`go ${search.mode} ${search.value}`);
         } catch (err) {
             console.log("Error sending commands to worker:", err);
             this.fallbackToAlternativeEngine(fallen);
-            return this.evaluate(fen, targetDepth, verbose, progressCallback, fallen + 1);
+            return this.evaluate(fen, search, verbose, progressCallback, fallen + 1);
         }
 
         const messages = [];
+        const startTime = Date.now();
 
         return new Promise((resolve, reject) => {
             this.currentResolve = resolve;
@@ -194,25 +402,33 @@ export class Engine {
                     if (latestDepth > 0) {
                         this.currentDepth = Math.max(latestDepth, this.currentDepth);
                         
-                        // Report progress based on current depth compared to target depth
+                        // Report progress based on how much of the limit has been used up
                         if (progressCallback && typeof progressCallback === 'function') {
-                            const progressPercent = Math.round((this.currentDepth / targetDepth) * 100);
+                            let fraction;
+                            if (search.mode === SearchMode.MOVETIME) {
+                                fraction = (Date.now() - startTime) / search.value;
+                            } else if (search.mode === SearchMode.NODES) {
+                                fraction = parseInt(message.match(/(?: nodes )(\d+)/)?.[1] || "0") / search.value;
+                            } else {
+                                fraction = this.currentDepth / search.value;
+                            }
+
                             progressCallback({
                                 depth: this.currentDepth,
                                 targetDepth: targetDepth,
-                                percent: progressPercent
+                                percent: Math.min(99, Math.round(fraction * 100))
                             });
                         }
                     }
 
                     // Best move or checkmate log indicates end of search
                     if (message.startsWith("bestmove") || message.includes("depth 0")) {            
-                        const lines = this.interpret(messages, fen, targetDepth);
+                        const lines = this.interpret(messages, fen);
                         
                         // Report 100% completion
                         if (progressCallback && typeof progressCallback === 'function') {
                             progressCallback({
-                                depth: targetDepth,
+                                depth: this.currentDepth,
                                 targetDepth: targetDepth,
                                 percent: 100
                             });
@@ -242,7 +458,7 @@ export class Engine {
                     if (fallen < 2) {
                         // Try with fallback engine
                         this.fallbackToAlternativeEngine(fallen);
-                        this.evaluate(fen, targetDepth, verbose, progressCallback, fallen + 1)
+                        this.evaluate(fen, search, verbose, progressCallback, fallen + 1)
                             .then(resolve)
                             .catch(reject);
                     } else {
@@ -255,7 +471,82 @@ export class Engine {
                         console.log("Gave up")
                     }
                 }
-            }, 30000 * targetDepth); // timeout depends on depth
+            }, Engine.getSafetyTimeout(search));
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Searches a position until stop is called, reporting the lines as the search goes deeper
+     * @param {string} fen - FEN of the position to search
+     * @param {Function} onUpdate - Called with the lines and the current depth
+     * @returns {Promise<Array>} - The final lines, once the engine has stopped
+     */
+    analyze(fen, onUpdate) {
+        this.busy = true;
+        this.currentDepth = 0;
+
+        if (!this.worker) {
+            try {
+                this.startWorker();
+            } catch (err) {
+                console.log("Error creating worker:", err);
+                this.busy = false;
+                return Promise.resolve([]);
+            }
+        }
+
+        const messages = [];
+        let reportedDepth = 0;
+        let lastUpdate = 0;
+
+        return new Promise((resolve, reject) => {
+            this.currentResolve = resolve;
+            this.currentReject = reject;
+
+            const messageHandler = (event) => {
+                try {
+                    const message = event.data;
+
+                    // Aborted, wait for the engine to acknowledge before letting go
+                    if (this.currentResolve !== resolve) {
+                        if (message.startsWith("bestmove")) this.worker?.removeEventListener("message", messageHandler);
+                        return;
+                    }
+
+                    messages.unshift(message);
+                    if (messages.length > Engine.liveMessageLimit) messages.length = Engine.liveMessageLimit;
+
+                    if (message.startsWith("bestmove")) {
+                        this.worker.removeEventListener("message", messageHandler);
+                        this.busy = false;
+                        this.currentResolve = null;
+                        this.currentReject = null;
+                        resolve(this.interpret(messages, fen));
+                        return;
+                    }
+
+                    if (!message.startsWith("info depth") || !message.includes(" pv ")) return;
+
+                    const depth = parseInt(message.match(/(?:depth )(\d+)/)?.[1] || "0");
+                    this.currentDepth = Math.max(depth, this.currentDepth);
+
+                    // Report every new depth right away, and changes within a depth every so often
+                    if (depth > reportedDepth || Date.now() - lastUpdate >= Engine.liveUpdateInterval) {
+                        reportedDepth = Math.max(depth, reportedDepth);
+                        lastUpdate = Date.now();
+                        onUpdate(this.interpret(messages, fen), this.currentDepth);
+                    }
+                } catch (err) {
+                    console.log("Error handling message:", err);
+                    this.worker?.removeEventListener("message", messageHandler);
+                    this.handleError(err);
+                }
+            };
+
+            this.worker.addEventListener("message", messageHandler);
+            this.setOptions({ UCI_Chess960: Engine.isChess960(fen) });
+            this.worker.postMessage(`position fen ${fen}`);
+            this.worker.postMessage("go infinite");
+        });
+    }
+}
@@ -0,0 +1,211 @@
+import { Engine } from './Engine.js';
+
+// Lower numbers are served first, so the position the user is looking at doesn't wait for a whole game
+export const PoolPriority = {
+    VARIATION: 0,
+    ANALYSIS: 1
+}
+
+/**
+ * Keeps a limited number of engines alive and hands them out to whoever needs one,
+ * so game analysis and variation evaluation share the same workers across games.
+ *
+ * Engines are created on demand up to maxWorkers, and terminated after sitting idle
+ * for a while. Waiting requests are served by priority (lowest number first), then in order.
+ * Requests can ask for an engine other than the configured one, e.g. to compare two engines,
+ * idle engines of another type make room for them.
+ */
+export class EnginePool {
+    static instance = null;
+
+    // Rough memory use of a worker before its hash table, in megabytes
+    static workerMemory = 64;
+    static idleTimeout = 60000;
+
+    /**
+     * @param {Object} config
+     * @param {string} config.engineType - Key of the engine the workers run
+     * @param {number} config.maxWorkers - Maximum number of workers, 0 picks a default for the device
+     * @param {number} config.hash - Hash size in megabytes, used for the default worker count
+     */
+    constructor({ engineType = 'stockfish-17-lite', maxWorkers = 0, hash = 16 } = {}) {
+        this.engines = new Set();
+        this.idle = [];
+        this.waiting = [];
+        this.idleTimers = new Map();
+        this.configure({ engineType, maxWorkers, hash });
+    }
+
+    /**
+     * The pool shared by the whole page, reconfigured with the latest settings
+     * @param {Object} settings - Engine settings with engineType, maxWorkers and engineOptions
+     * @returns {EnginePool}
+     */
+    static get(settings = {}) {
+        const config = {
+            engineType: settings.engineType || 'stockfish-17-lite',
+            maxWorkers: parseInt(settings.maxWorkers) || 0,
+            hash: parseInt(settings.engineOptions?.Hash) || 16
+        };
+
+        if (!this.instance) {
+            this.instance = new EnginePool(config);
+        } else {
+            this.instance.configure(config);
+        }
+
+        return this.instance;
+    }
+
+    /**
+     * Number of workers that's safe for this device, leaving a core for the page
+     * and staying within a quarter of the memory the browser reports
+     * @param {number} hash - Hash size in megabytes
+     * @returns {number}
+     */
+    static getDefaultMaxWorkers(hash = 16) {
+        const cores = navigator.hardwareConcurrency || 4;
+        let workers = Math.max(1, cores - 1);
+
+        // deviceMemory is in gigabytes and only exists in some browsers
+        if (navigator.deviceMemory) {
+            const budget = navigator.deviceMemory * 1024 / 4;
+            workers = Math.min(workers, Math.floor(budget / (EnginePool.workerMemory + hash)));
+        }
+
+        return Math.max(1, Math.min(workers, 8));
+    }
+
+    /**
+     * Changes the default engine or size of the pool. Idle workers running another engine
+     * stay until they time out or something else needs the room.
+     */
+    configure({ engineType, maxWorkers = 0, hash = 16 }) {
+        this.engineType = engineType;
+        this.maxWorkers = maxWorkers > 0 ? maxWorkers : EnginePool.getDefaultMaxWorkers(hash);
+
+        // Shrink by dropping idle workers, busy ones go when they're released
+        while (this.engines.size > this.maxWorkers && this.idle.length > 0) {
+            this.discard(this.idle[0]);
+        }
+
+        this.dispatch();
+    }
+
+    get size() {
+        return this.engines.size;
+    }
+
+    /**
+     * Waits for an engine to be free
+     * @param {number} priority - Lower numbers are served first
+     * @param {string} engineType - Key of the engine, defaults to the configured one
+     * @returns {Promise<Engine>}
+     */
+    acquire(priority = PoolPriority.ANALYSIS, engineType = this.engineType) {
+        return new Promise((resolve) => {
+            const request = { priority, engineType, resolve };
+
+            // Keep the queue sorted, new requests go after others with the same priority
+            const index = this.waiting.findIndex(other => other.priority > priority);
+            index === -1 ? this.waiting.push(request) : this.waiting.splice(index, 0, request);
+
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Gives an engine back to the pool. Terminated engines and engines over the limit are dropped.
+     * @param {Engine} engine - Engine from acquire
+     */
+    release(engine) {
+        if (!this.engines.has(engine)) return;
+
+        engine.busy = false;
+
+        if (!engine.worker || this.engines.size > this.maxWorkers) {
+            this.discard(engine);
+        } else {
+            this.idle.push(engine);
+            this.startIdleTimer(engine);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Acquires an engine, runs the task with it and releases it again
+     * @param {Function} task - Async function taking the engine
+     * @param {number} priority - Lower numbers are served first
+     * @param {string} engineType - Key of the engine, defaults to the configured one
+     * @returns {Promise<*>} - Whatever the task returns
+     */
+    async run(task, priority = PoolPriority.ANALYSIS, engineType = this.engineType) {
+        const engine = await this.acquire(priority, engineType);
+        try {
+            return await task(engine);
+        } finally {
+            this.release(engine);
+        }
+    }
+
+    /**
+     * Hands free engines to waiting requests, starting new workers while there's room
+     * @private
+     */
+    dispatch() {
+        while (this.waiting.length > 0) {
+            const request = this.waiting[0];
+            let engine = this.idle.find(idle => idle.engineType === request.engineType);
+
+            if (engine) {
+                this.idle = this.idle.filter(other => other !== engine);
+            } else {
+                // Make room by dropping an idle engine of another type
+                if (this.engines.size >= this.maxWorkers && this.idle.length > 0) {
+                    this.discard(this.idle[0]);
+                }
+                if (this.engines.size >= this.maxWorkers) return;
+
+                engine = new Engine({ engineType: request.engineType });
+                this.engines.add(engine);
+            }
+
+            this.clearIdleTimer(engine);
+            engine.busy = true;
+            this.waiting.shift();
+            request.resolve(engine);
+        }
+    }
+
+    /**
+     * Terminates an engine and forgets about it
+     * @private
+     */
+    discard(engine) {
+        this.clearIdleTimer(engine);
+        this.engines.delete(engine);
+        this.idle = this.idle.filter(other => other !== engine);
+        engine.terminate();
+    }
+
+    startIdleTimer(engine) {
+        this.clearIdleTimer(engine);
+        this.idleTimers.set(engine, setTimeout(() => {
+            if (this.idle.includes(engine)) this.discard(engine);
+        }, EnginePool.idleTimeout));
+    }
+
+    clearIdleTimer(engine) {
+        clearTimeout(this.idleTimers.get(engine));
+        this.idleTimers.delete(engine);
+    }
+
+    /**
+     * Terminates every worker, busy ones resolve their search with no lines
+     */
+    terminateAll() {
+        [...this.engines].forEach(engine => this.discard(engine));
+        this.dispatch();
+    }
+}
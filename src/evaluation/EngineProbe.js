@@ -0,0 +1,185 @@
+import { Engine, engines } from './Engine.js';
+
+const STORAGE_KEY = 'centichess_engine_probe';
+
+/**
+ * Checks what the browser supports and benchmarks each engine once, so the
+ * best engine that actually works is picked instead of finding out through
+ * errors and timeouts in the middle of an analysis.
+ */
+export class EngineProbe {
+    // A busy middlegame, so the benchmark isn't dominated by a handful of legal moves
+    static benchmarkFen = "r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 9";
+    static benchmarkTime = 500;
+    static loadTimeout = 10000;
+
+    // Depth to default to for a given speed in nodes per second, fastest first
+    static depthByNps = [
+        { nps: 1500000, depth: 18 },
+        { nps: 700000, depth: 16 },
+        { nps: 300000, depth: 14 },
+        { nps: 100000, depth: 12 },
+        { nps: 0, depth: 10 }
+    ];
+
+    static results = null;
+    static probePromise = null;
+
+    /**
+     * @returns {Object} - { wasm, sharedMemory, threads, cores }
+     */
+    static detectCapabilities() {
+        let wasm = false;
+        try {
+            // The smallest valid module, just the header
+            wasm = typeof WebAssembly === 'object' && WebAssembly.validate(new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0]));
+        } catch (error) {
+            wasm = false;
+        }
+
+        const sharedMemory = typeof SharedArrayBuffer !== 'undefined' && !!self.crossOriginIsolated;
+        const cores = navigator.hardwareConcurrency || 1;
+
+        return { wasm, sharedMemory, threads: sharedMemory && cores > 1, cores };
+    }
+
+    /**
+     * Returns the stored results, or probes the engines if there are none
+     * @param {boolean} force - Probe again even if results are stored
+     * @returns {Promise<Object>} - { capabilities, engines, bestEngine, recommendedDepth, date }
+     */
+    static run(force = false) {
+        if (!force) {
+            if (this.probePromise) return this.probePromise;
+
+            const stored = this.load();
+            if (stored) {
+                this.apply(stored);
+                return Promise.resolve(stored);
+            }
+        }
+
+        this.probePromise = this.probe().then(results => {
+            this.save(results);
+            this.apply(results);
+            return results;
+        });
+
+        return this.probePromise;
+    }
+
+    static async probe() {
+        const capabilities = this.detectCapabilities();
+        const results = {};
+
+        // One engine at a time, otherwise they'd slow each other's benchmark down
+        for (const [key, engine] of Object.entries(engines)) {
+            const requires = engine.requires || {};
+            if ((requires.wasm && !capabilities.wasm) || (requires.sharedMemory && !capabilities.sharedMemory)) {
+                results[key] = { ok: false, nps: 0, error: 'Not supported by this browser' };
+                continue;
+            }
+
+            results[key] = await this.benchmark(engine.path);
+        }
+
+        // Engines are listed strongest first, so take the first bundled one that works
+        const bestEngine = Object.keys(results).find(key => results[key].ok && !engines[key].custom) || null;
+        const bestNps = bestEngine ? results[bestEngine].nps : 0;
+        const recommendedDepth = this.depthByNps.find(entry => bestNps >= entry.nps).depth;
+
+        return { capabilities, engines: results, bestEngine, recommendedDepth, date: Date.now() };
+    }
+
+    /**
+     * Loads an engine and searches the benchmark position for a moment
+     * @param {string} path - Path of the engine worker script
+     * @returns {Promise<Object>} - { ok, nps, error }
+     */
+    static benchmark(path) {
+        return new Promise((resolve) => {
+            let worker;
+            let nps = 0;
+            let timeout;
+
+            const finish = (result) => {
+                clearTimeout(timeout);
+                try {
+                    worker?.terminate();
+                } catch (error) {
+                    console.log("Error terminating benchmark worker:", error);
+                }
+                resolve(result);
+            };
+
+            timeout = setTimeout(() => finish({ ok: false, nps: 0, error: 'Timed out' }), this.loadTimeout + this.benchmarkTime);
+
+            try {
+                worker = new Worker(path);
+            } catch (error) {
+                finish({ ok: false, nps: 0, error: error.message || 'Could not start' });
+                return;
+            }
+
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                finish({ ok: false, nps: 0, error: event.message || 'Worker error' });
+            };
+
+            worker.onmessage = (event) => {
+                const message = typeof event.data === 'string' ? event.data : '';
+
+                if (message === 'readyok') {
+                    worker.postMessage(`position fen ${this.benchmarkFen}`);
+                    worker.postMessage(`go movetime ${this.benchmarkTime}`);
+                    return;
+                }
+
+                const latestNps = parseInt(message.match(/(?: nps )(\d+)/)?.[1] || "0");
+                if (latestNps > 0) nps = latestNps;
+
+                if (message.startsWith('bestmove')) {
+                    finish(nps > 0 ? { ok: true, nps } : { ok: false, nps: 0, error: 'No search output' });
+                }
+            };
+
+            worker.postMessage('uci');
+            worker.postMessage('isready');
+        });
+    }
+
+    /**
+     * Lets Engine fall back to engines that are known to work, in order of strength
+     * @param {Object} results - Probe results
+     */
+    static apply(results) {
+        this.results = results;
+
+        // Never fall back to an engine the user added, it might play on purpose like a weaker net
+        const working = Object.keys(results.engines).filter(key => results.engines[key].ok && engines[key] && !engines[key].custom);
+        if (working.length > 0) Engine.fallbackOrder = working;
+    }
+
+    /**
+     * @returns {Object|null} - Stored results, unless the list of engines changed since
+     */
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!stored?.engines) return null;
+
+            const sameEngines = Object.keys(engines).every(key => key in stored.engines);
+            return sameEngines ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static save(results) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.error('Failed to save engine test results:', error);
+        }
+    }
+}
@@ -0,0 +1,235 @@
+import { EngineOptions } from './Engine.js';
+
+const DB_NAME = 'centichess';
+const DB_VERSION = 1;
+const STORE_NAME = 'evaluations';
+
+/**
+ * Persistent IndexedDB store for engine evaluations, so positions that were
+ * already searched don't need to be searched again when a game is reopened.
+ */
+export class EvaluationCache {
+    static maxEntries = 50000;
+    static evictionBatch = 5000;
+    static dbPromise = null;
+    static writesSinceCheck = 0;
+
+    // Options that change how fast the engine searches or how many lines it shows, not what it finds
+    static searchOptions = ['Threads', 'Hash', 'MultiPV', 'UCI_ShowWDL', 'UCI_Chess960'];
+
+    /**
+     * Opens (or creates) the database, resolving to null when IndexedDB is unavailable
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    static open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                        store.createIndex('lastAccess', 'lastAccess');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Failed to open evaluation cache:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.error('Failed to open evaluation cache:', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Strips the move counters from a FEN, they don't affect the evaluation
+     * @param {string} fen - FEN string
+     * @returns {string} The first four FEN fields
+     */
+    static normalizeFen(fen) {
+        return fen.trim().split(/\s+/).slice(0, 4).join(' ');
+    }
+
+    /**
+     * The options that change the result, like a lower Skill Level, left out when they're at their defaults
+     * @param {Object} options - UCI options the engine searched with
+     * @returns {string} - Like "Contempt=10;Skill Level=5", sorted by name
+     */
+    static getOptionsKey(options = {}) {
+        return Object.entries(EngineOptions)
+            .filter(([name]) => !this.searchOptions.includes(name))
+            .map(([name, spec]) => {
+                const value = options[name];
+                if (value === null || value === undefined || value === '') return null;
+
+                const normalized = spec.type === 'check' ? value === true || value === 'true' : parseInt(value);
+                return normalized === spec.defaultValue || Number.isNaN(normalized) ? null : `${name}=${normalized}`;
+            })
+            .filter(Boolean)
+            .sort()
+            .join(';');
+    }
+
+    static getKey(fen, engineType, options) {
+        return `${engineType}|${this.getOptionsKey(options)}|${this.normalizeFen(fen)}`;
+    }
+
+    /**
+     * Looks up a cached evaluation. Results searched deeper than requested are reused.
+     * @param {string} fen - FEN string of the position
+     * @param {string} engineType - Engine key from the settings menu
+     * @param {number} depth - Minimum depth that is acceptable
+     * @param {Object} options - UCI options of the search, see getOptionsKey
+     * @returns {Promise<Object|null>} - { lines, depth, engine } or null on a miss
+     */
+    static async get(fen, engineType, depth, options = {}) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                const store = tx.objectStore(STORE_NAME);
+                const request = store.get(this.getKey(fen, engineType, options));
+
+                request.onsuccess = () => {
+                    const entry = request.result;
+                    if (!entry || entry.depth < depth) return resolve(null);
+
+                    // Touch the entry so eviction keeps recently used positions
+                    entry.lastAccess = Date.now();
+                    store.put(entry);
+                    resolve({ lines: entry.lines, depth: entry.depth, engine: entry.engine });
+                };
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                console.error('Error reading evaluation cache:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Stores an evaluation, unless a deeper one with as many lines is already cached for the position
+     * @param {string} fen - FEN string of the position
+     * @param {string} engineType - Engine key from the settings menu
+     * @param {number} depth - Depth the position was searched to
+     * @param {Array} lines - Engine lines
+     * @param {string} engineName - Display name of the engine that produced the lines
+     * @param {Object} options - UCI options of the search, see getOptionsKey
+     */
+    static async set(fen, engineType, depth, lines, engineName, options = {}) {
+        if (!lines?.length) return;
+
+        const db = await this.open();
+        if (!db) return;
+
+        await new Promise((resolve) => {
+            try {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                const store = tx.objectStore(STORE_NAME);
+                const key = this.getKey(fen, engineType, options);
+                const request = store.get(key);
+
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    if (existing?.depth > depth && existing.lines.length >= lines.length) return;
+                    store.put({ key, depth, lines, engine: engineName, lastAccess: Date.now() });
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+            } catch (error) {
+                console.error('Error writing evaluation cache:', error);
+                resolve();
+            }
+        });
+
+        // Only count entries every so often, counting on every write is wasteful
+        if (++this.writesSinceCheck >= 200) {
+            this.writesSinceCheck = 0;
+            await this.evict();
+        }
+    }
+
+    /**
+     * Removes the least recently used entries once the cache grows past maxEntries
+     */
+    static async evict() {
+        const db = await this.open();
+        if (!db) return;
+
+        const total = await this.count();
+        if (total <= this.maxEntries) return;
+
+        const toRemove = total - this.maxEntries + this.evictionBatch;
+
+        await new Promise((resolve) => {
+            try {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                const cursorRequest = tx.objectStore(STORE_NAME).index('lastAccess').openCursor();
+                let removed = 0;
+
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || removed >= toRemove) return;
+                    cursor.delete();
+                    removed++;
+                    cursor.continue();
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+            } catch (error) {
+                console.error('Error evicting evaluation cache:', error);
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<number>} - Number of cached positions
+     */
+    static async count() {
+        const db = await this.open();
+        if (!db) return 0;
+
+        return new Promise((resolve) => {
+            try {
+                const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).count();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(0);
+            } catch (error) {
+                resolve(0);
+            }
+        });
+    }
+
+    /**
+     * Deletes every cached evaluation
+     */
+    static async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        await new Promise((resolve) => {
+            try {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                tx.objectStore(STORE_NAME).clear();
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+            } catch (error) {
+                console.error('Error clearing evaluation cache:', error);
+                resolve();
+            }
+        });
+    }
+}
@@ -0,0 +1,299 @@
+import { Engine, SearchMode } from './Engine.js';
+import { EvaluationCache } from './EvaluationCache.js';
+import { Tablebase } from './Tablebase.js';
+
+/**
+ * Resolves to undefined if the promise takes longer than the timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Timeout in milliseconds, 0 to wait forever
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeout) {
+    if (!timeout) return promise;
+    return Promise.race([
+        promise,
+        new Promise(resolve => setTimeout(() => resolve(undefined), timeout))
+    ]);
+}
+
+/**
+ * Something that can produce engine lines for a position.
+ *
+ * The context passed to evaluate has the engineType, the engineOptions, the search limit,
+ * the minimum depth and number of lines (multiPV) that are acceptable, and optionally
+ * an Engine to use and a progressCallback.
+ */
+export class EvaluationProvider {
+    constructor({ priority = 1, timeout = 0 } = {}) {
+        this.priority = priority;
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'Provider';
+    }
+
+    /**
+     * Whether the provider searches with a local Engine
+     */
+    get usesEngine() {
+        return false;
+    }
+
+    /**
+     * @param {string} fen - FEN of the position
+     * @param {Object} context - Evaluation context
+     * @returns {Promise<Object|null>} - { lines, engine } or null when the provider can't help
+     */
+    async evaluate(fen, context) {
+        return null;
+    }
+
+    /**
+     * Called with results from other providers, for providers that keep them around
+     */
+    async store(fen, result, context) {}
+}
+
+/**
+ * Serves results from the persistent IndexedDB cache
+ */
+export class CacheProvider extends EvaluationProvider {
+    get name() {
+        return 'Cache';
+    }
+
+    async evaluate(fen, context) {
+        const cached = await EvaluationCache.get(fen, context.engineType, context.minDepth, context.engineOptions);
+        if (!cached || cached.lines.length < (context.multiPV || 1)) return null;
+
+        return { lines: cached.lines, engine: cached.engine };
+    }
+
+    async store(fen, result, context) {
+        // Tablebase results are only wanted while the tablebase is on, and their depth would keep engine results out
+        if (result.lines[0]?.tablebase) return;
+
+        await EvaluationCache.set(fen, context.engineType, result.lines[0]?.depth, result.lines, result.engine, context.engineOptions);
+    }
+}
+
+/**
+ * Asks an HTTP server speaking the same JSON as the lichess cloud-eval API,
+ * for example an analysis box on the local network
+ */
+export class EvalServerProvider extends EvaluationProvider {
+    // After this many failures in a row the server is skipped for a while
+    static maxFailures = 3;
+    static retryDelay = 60000;
+
+    constructor({ url, multiPV = 3, ...options } = {}) {
+        super(options);
+        this.url = url;
+        this.multiPV = multiPV;
+        this.failures = 0;
+        this.disabledUntil = 0;
+    }
+
+    get name() {
+        return 'Eval Server';
+    }
+
+    async evaluate(fen, context) {
+        if (!this.url || Date.now() < this.disabledUntil) return null;
+
+        const lines = await withTimeout(this.request(fen, context.multiPV || this.multiPV), this.timeout);
+        if (!lines) {
+            if (++this.failures >= EvalServerProvider.maxFailures) {
+                console.warn(`Eval server at ${this.url} isn't responding, skipping it for a while`);
+                this.disabledUntil = Date.now() + EvalServerProvider.retryDelay;
+                this.failures = 0;
+            }
+            return null;
+        }
+
+        this.failures = 0;
+
+        // Shallow server results are worse than searching ourselves
+        if (lines.length < 2 || lines[0].depth < context.minDepth) return null;
+
+        return { lines, engine: this.name };
+    }
+
+    /**
+     * Fetches and parses the cloud-eval JSON for a position
+     * @param {string} fen - FEN string to evaluate
+     * @param {number} multiPV - Number of lines to ask for
+     * @returns {Promise<Array|undefined>} - Array of evaluation lines or undefined if unavailable
+     */
+    async request(fen, multiPV = this.multiPV) {
+        return $.ajax({
+            url: this.url,
+            data: { fen, multiPv: multiPV },
+            method: "GET",
+            dataType: "json",
+            timeout: this.timeout || undefined,
+        }).then(({ depth, pvs }) => {
+                return pvs.map((pv, idx) => {
+                    // The cloud writes castling as the king taking its rook
+                    const moves = Engine.normalizeCastling(fen, pv.moves.split(" "));
+
+                    const uciMove = moves[0];
+                    const type = pv.cp === undefined ? "mate" : "cp";
+                    const score = pv.cp === undefined ? pv.mate : pv.cp;
+                    return { id: idx + 1, depth, uciMove, score, type, pv: moves };
+                });
+            })
+            .catch(() => undefined);
+    }
+}
+
+/**
+ * Exact results for positions with few pieces, see Tablebase. Positions neither side can
+ * win and endgames with three pieces are answered even without a server.
+ */
+export class TablebaseProvider extends EvaluationProvider {
+    // After this many failures in a row the server is skipped for a while
+    static maxFailures = 3;
+    static retryDelay = 60000;
+
+    constructor({ url = null, maxPieces = Tablebase.maxPieces, ...options } = {}) {
+        super(options);
+        this.url = url;
+        this.maxPieces = maxPieces;
+        this.failures = 0;
+        this.disabledUntil = 0;
+    }
+
+    get name() {
+        return 'Tablebase';
+    }
+
+    async evaluate(fen, context) {
+        if (!Tablebase.covers(fen, this.maxPieces)) return null;
+
+        const local = Tablebase.probeLocal(fen, context.multiPV || 1);
+        if (local) return { lines: local, engine: this.name };
+
+        if (!this.url || Date.now() < this.disabledUntil) return null;
+
+        const lines = await Tablebase.probe(this.url, fen, context.multiPV || 1, this.timeout);
+        if (lines === undefined) {
+            if (++this.failures >= TablebaseProvider.maxFailures) {
+                console.warn(`Tablebase at ${this.url} isn't responding, skipping it for a while`);
+                this.disabledUntil = Date.now() + TablebaseProvider.retryDelay;
+                this.failures = 0;
+            }
+            return null;
+        }
+
+        this.failures = 0;
+        return lines?.length ? { lines, engine: this.name } : null;
+    }
+}
+
+/**
+ * Searches with a Stockfish web worker, either the one in the context or a temporary one
+ */
+export class LocalEngineProvider extends EvaluationProvider {
+    get name() {
+        return 'Local Engine';
+    }
+
+    get usesEngine() {
+        return true;
+    }
+
+    async evaluate(fen, context) {
+        const engine = context.engine || new Engine({ engineType: context.engineType, options: context.engineOptions });
+        if (context.engine && context.engineOptions) engine.setOptions(context.engineOptions);
+
+        try {
+            const lines = await engine.evaluate(fen, context.search, false, context.progressCallback);
+            return { lines, engine: engine.engine.name };
+        } finally {
+            if (!context.engine) engine.terminate();
+        }
+    }
+}
+
+/**
+ * Builds the providers from the settings and runs positions through them in priority order
+ */
+export class EvaluationProviders {
+    /**
+     * Creates the enabled providers, sorted by priority (lowest number first)
+     * @param {Object} settings - Engine settings
+     * @returns {Array<EvaluationProvider>}
+     */
+    static fromSettings(settings = {}) {
+        const providers = [
+            new CacheProvider({ priority: settings.cachePriority ?? 1 }),
+            new LocalEngineProvider({ priority: settings.localEnginePriority ?? 3 })
+        ];
+
+        // Exact results always go first, without a server it only knows the dead draws and three pieces
+        if (settings.tablebaseEnabled) {
+            providers.push(new TablebaseProvider({
+                url: settings.tablebaseUrl || null,
+                maxPieces: settings.tablebasePieces || Tablebase.maxPieces,
+                priority: 0,
+                timeout: settings.tablebaseTimeout ?? 2500
+            }));
+        }
+
+        if (settings.evalServerEnabled && settings.evalServerUrl) {
+            providers.push(new EvalServerProvider({
+                url: settings.evalServerUrl,
+                priority: settings.evalServerPriority ?? 2,
+                timeout: settings.evalServerTimeout ?? 2500
+            }));
+        }
+
+        // Sort is stable, so ties keep the order above
+        return providers.sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Minimum depth a stored or remote result needs to be used for a search
+     * @param {Object} search - { mode, value }
+     * @returns {number}
+     */
+    static getMinimumDepth(search) {
+        // Time and node limited searches don't ask for a depth, so any result will do
+        return search.mode === SearchMode.DEPTH ? search.value : 1;
+    }
+
+    /**
+     * Tries each provider in order until one of them has lines for the position,
+     * then lets the others store the result
+     * @param {string} fen - FEN of the position
+     * @param {Object} context - Evaluation context
+     * @param {Array<EvaluationProvider>} providers - Providers to try, in order
+     * @param {Array<EvaluationProvider>} allProviders - Providers that get to store the result
+     * @returns {Promise<Object|null>} - { lines, engine } or null when nothing worked
+     */
+    static async evaluate(fen, context, providers, allProviders = providers) {
+        // An engine finding no lines is still an answer (mate or stalemate), keep it in case nothing else has one
+        let emptyResult = null;
+
+        for (const provider of providers) {
+            let result = null;
+            try {
+                result = await withTimeout(provider.evaluate(fen, context), provider.timeout);
+            } catch (error) {
+                console.error(`Error evaluating with ${provider.name}:`, error);
+            }
+
+            if (result && !result.lines?.length) emptyResult = { lines: [], engine: result.engine };
+            if (!result?.lines?.length) continue;
+
+            for (const other of allProviders) {
+                if (other !== provider) other.store(fen, result, context);
+            }
+            return result;
+        }
+
+        return emptyResult;
+    }
+}
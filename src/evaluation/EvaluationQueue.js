@@ -1,5 +1,7 @@
-import { Engine } from './Engine.js';
+import { Engine, SearchMode } from './Engine.js';
 import { MoveEvaluator } from './MoveEvaluator.js';
+import { EvaluationProviders } from './EvaluationProviders.js';
+import { EnginePool, PoolPriority } from './EnginePool.js';
 import { MoveClassifier } from '../classification/MoveClassifier.js';
 
 /**
@@ -54,41 +56,40 @@ export class EvaluationQueue {
         this.currentEvaluation = item;
 
         try {
+            const settings = this.getSearchSettings();
+            const providers = EvaluationProviders.fromSettings(settings);
+            const search = MoveEvaluator.getSearchLimit(settings);
+            const prevSearch = search.mode === SearchMode.DEPTH ? { mode: SearchMode.DEPTH, value: 12 } : search;
+
             // Check if previous position has already been evaluated
             let prevLines = this.findPreviousLines(item);
             
             // If no previous lines found, evaluate the previous position
             if (!prevLines) {
-                prevLines = await MoveEvaluator.tryCloudEvaluation(item.previousFen) || 
-                            await this.evaluateWithEngine(item.previousFen, 12, 0, 100);
+                prevLines = (await this.evaluateWithProviders(item.previousFen, prevSearch, settings, providers, 0, 100))?.lines || [];
             }
             
             // Evaluate current position
-            let lines = await MoveEvaluator.tryCloudEvaluation(item.fen);
-            let engine = null;
-            
-            if (!lines || lines.length < 2) {
-                const engineType = this.settingsMenu?.getSettingValue('engineType') || 'stockfish-17-lite';
-                engine = new Engine({ engineType: engineType });
-                const depth = this.settingsMenu?.getSettingValue('variationEngineDepth') || 16;
-                lines = await this.evaluateWithEngine(item.fen, depth, 0, 100, engine);
-            }
+            const evaluation = await this.evaluateWithProviders(item.fen, search, settings, providers, 0, 100);
+            const lines = evaluation?.lines || [];
+            const engineName = evaluation?.engine || "Failed Evaluation";
             
             // Create and store result
             const result = {
                 move: {
                     fen: item.fen,
                     lines: lines,
-                    uciMove: item.node.move ? `${item.node.move.from}${item.node.move.to}` : "",
-                    engine: engine ? engine.engine.name : 'Cloud'
+                    uciMove: item.node.move ? item.node.move.from + Engine.uciDestination(item.node.move) : "",
+                    engine: engineName
                 },
                 previous: { fen: item.previousFen, lines: prevLines }
             };
             
-            this.processedMoves.set(item.node.id, result);
+            // The node may have been deleted while the engine was searching
+            if (!item.forgotten) this.processedMoves.set(item.node.id, result);
             
             // Process callback if provided
-            if (item.callback) {
+            if (item.callback && !item.forgotten) {
                 const movesUpToCurrent = this.getMovesUpToCurrent(item.node, item.moveTree);
                 const classification = MoveClassifier.classifyMove(result.move, result.previous, movesUpToCurrent);
 
@@ -97,13 +98,10 @@ export class EvaluationQueue {
                     uciMove: item.node.move,
                     fen: item.fen,
                     lines,
-                    engine: engine ? engine.engine.name : 'Cloud'
+                    engine: engineName
                 });
             }
 
-            engine.abort();
-            engine.terminate();
-            
             this.updateMiniEvaluationProgress(100);
         } catch (error) {
             console.error("Error during evaluation:", error);
@@ -117,20 +115,51 @@ export class EvaluationQueue {
     }
     
     /**
-     * Evaluates a position using the engine with progress tracking
+     * Gets the search settings for variations. A per-game time budget doesn't apply to
+     * single moves, so it falls back to the time per move.
      * @private
      */
-    async evaluateWithEngine(fen, depth, startProgress, endProgress, engine = null) {
-        if (!engine) {
-            // Get engine type from settings
-            const engineType = this.settingsMenu?.getSettingValue('engineType') || 'stockfish-17-lite';
-            engine = new Engine({ engineType: engineType });
-        }
+    getSearchSettings() {
+        const settings = this.settingsMenu?.getEngineSettings() || {};
+
+        return {
+            ...settings,
+            engineType: settings.engineType || 'stockfish-17-lite',
+            engineDepth: settings.variationEngineDepth || 16,
+            searchMode: settings.searchMode === 'budget' ? SearchMode.MOVETIME : settings.searchMode
+        };
+    }
+
+    /**
+     * Evaluates a position with the evaluation providers, tracking the engine's progress.
+     * The engine comes from the shared pool, ahead of any game analysis waiting for one.
+     * @private
+     */
+    async evaluateWithProviders(fen, search, settings, providers, startProgress, endProgress) {
+        const multiPV = settings.explorationLines || 3;
+        const context = {
+            engineType: settings.engineType,
+            engineOptions: { ...settings.engineOptions, MultiPV: multiPV },
+            multiPV,
+            search,
+            minDepth: EvaluationProviders.getMinimumDepth(search),
+            progressCallback: (progress) => {
+                const scaledProgress = startProgress + (progress.percent * (endProgress - startProgress) / 100);
+                this.updateMiniEvaluationProgress(Math.round(scaledProgress));
+            }
+        };
+
+        // Providers ranked above the local engine don't need to wait for a worker
+        const engineIndex = providers.findIndex(provider => provider.usesEngine);
+        const early = await EvaluationProviders.evaluate(fen, context, providers.slice(0, engineIndex), providers);
+        if (early) return early;
 
-        return await engine.evaluate(fen, depth, false, (progress) => {
-            const scaledProgress = startProgress + (progress.percent * (endProgress - startProgress) / 100);
-            this.updateMiniEvaluationProgress(Math.round(scaledProgress));
-        });
+        return EnginePool.get(settings).run((engine) => EvaluationProviders.evaluate(
+            fen,
+            { ...context, engine },
+            providers.slice(engineIndex),
+            providers
+        ), PoolPriority.VARIATION);
     }
     
     /**
@@ -197,6 +226,21 @@ export class EvaluationQueue {
                (this.currentEvaluation?.node.id === nodeId);
     }
 
+    /**
+     * Drops the results and queued evaluations of nodes removed from the move tree
+     * @param {Array<string>} nodeIds - IDs of the removed nodes
+     */
+    forget(nodeIds) {
+        const removed = new Set(nodeIds);
+
+        removed.forEach(nodeId => this.processedMoves.delete(nodeId));
+        this.queue = this.queue.filter(item => !removed.has(item.node.id));
+
+        if (this.currentEvaluation && removed.has(this.currentEvaluation.node.id)) {
+            this.currentEvaluation.forgotten = true;
+        }
+    }
+
     /**
      * Gets the evaluation result for a specific node
      * @param {string} nodeId - The ID of the node
@@ -0,0 +1,109 @@
+import { Engine } from './Engine.js';
+
+/**
+ * Keeps the engine searching one position until it's told to stop, for exploring
+ * the position on the board. Uses its own engine instead of one from the pool,
+ * so variations and game analysis never wait for a search that doesn't end.
+ */
+export class InfiniteAnalysis {
+    constructor() {
+        this.engine = null;
+        this.search = null;
+        this.fen = null;
+        this.lines = [];
+        this.depth = 0;
+        // Bumped on every start and cancel, so only the latest request starts a search
+        this.token = 0;
+    }
+
+    get isRunning() {
+        return this.fen !== null;
+    }
+
+    /**
+     * Starts searching a position, stopping the previous search first
+     * @param {string} fen - FEN of the position to search
+     * @param {Object} settings - Engine settings from the settings menu
+     * @param {Function} onUpdate - Called with the lines and depth as the search goes deeper
+     */
+    async start(fen, settings, onUpdate) {
+        const token = ++this.token;
+        this.fen = fen;
+        this.lines = [];
+        this.depth = 0;
+
+        await this.stop();
+        if (token !== this.token) return;
+
+        const engine = this.getEngine(settings);
+        const search = engine.analyze(fen, (lines, depth) => {
+            if (token !== this.token) return;
+
+            this.lines = lines;
+            this.depth = depth;
+            onUpdate(lines, depth);
+        }).catch((error) => {
+            console.error('Infinite analysis failed:', error);
+            return [];
+        });
+
+        this.search = search;
+    }
+
+    /**
+     * Stops the search and waits for the engine to finish it
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        const search = this.search;
+        if (!search) return;
+
+        this.engine?.stop();
+        await search;
+
+        if (this.search === search) this.search = null;
+    }
+
+    /**
+     * Stops searching without starting anything else
+     */
+    cancel() {
+        this.token++;
+        this.fen = null;
+        this.lines = [];
+        this.depth = 0;
+        return this.stop();
+    }
+
+    /**
+     * Stops searching and shuts the engine down
+     */
+    terminate() {
+        this.cancel();
+        this.engine?.terminate();
+        this.engine = null;
+        this.search = null;
+    }
+
+    /**
+     * Reuses the engine unless a different one has been picked in the settings
+     * @private
+     */
+    getEngine(settings = {}) {
+        const engineType = settings.engineType || 'stockfish-17-lite';
+        const options = { ...settings.engineOptions, MultiPV: settings.explorationLines || 3 };
+
+        if (this.engine && this.engine.engineType !== engineType) {
+            this.engine.terminate();
+            this.engine = null;
+        }
+
+        if (this.engine) {
+            this.engine.setOptions(options);
+        } else {
+            this.engine = new Engine({ engineType, options });
+        }
+
+        return this.engine;
+    }
+}
@@ -0,0 +1,322 @@
+// Tables are for white with the extra piece, positions where black has it are mirrored
+const STRONG = 0;
+const WEAK = 1;
+const SIZE = 64 * 64 * 64 * 2;
+
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const DIRECTIONS = {
+    q: [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS],
+    r: ROOK_DIRECTIONS,
+    b: BISHOP_DIRECTIONS
+};
+
+// Kinds of moves in the solved tables, the ones from PAWN on reset the fifty-move counter
+const Move = {
+    CAPTURE: 0,
+    KING: 1,
+    PAWN: 2,
+    PROMOTION: 3,
+    UNDERPROMOTION: 4,
+    MINOR_PROMOTION: 5
+};
+
+const file = (square) => square & 7;
+const rank = (square) => square >> 3;
+const distance = (a, b) => Math.max(Math.abs(file(a) - file(b)), Math.abs(rank(a) - rank(b)));
+
+function getTargets(offsets) {
+    return Array.from({ length: 64 }, (_, square) => offsets
+        .filter(([df, dr]) => file(square) + df >= 0 && file(square) + df < 8 && rank(square) + dr >= 0 && rank(square) + dr < 8)
+        .map(([df, dr]) => square + dr * 8 + df));
+}
+
+const KING_TARGETS = getTargets([...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS]);
+
+/**
+ * Endgames with three pieces, a king and one piece against a lone king, solved in the
+ * browser the first time one is looked up. Bigger endgames need a tablebase server.
+ *
+ * Each table holds the result for the side to move and the distance to zeroing in plies,
+ * like Syzygy's DTZ. Without pawns nothing can zero, so that's the distance to mate.
+ */
+export class LocalTablebase {
+    static maxPieces = 3;
+    static tables = new Map();
+
+    /**
+     * Whether a position is one of the solved endgames
+     * @param {string} fen - FEN of the position
+     * @returns {boolean}
+     */
+    static covers(fen) {
+        return fen.split(' ')[0].replace(/[^a-zA-Z]/g, '').length <= this.maxPieces;
+    }
+
+    /**
+     * Result of a position for the side to move
+     * @param {string} fen - FEN of a legal position with at most three pieces
+     * @returns {Object|null} - { result, dtz } with result 1 for a win, 0 for a draw
+     * and -1 for a loss, or null when the position isn't covered
+     */
+    static lookup(fen) {
+        const [placement, turn] = fen.split(' ');
+        const kings = {};
+        let piece = null;
+
+        placement.split('/').forEach((row, i) => {
+            let column = 0;
+            for (const char of row) {
+                if (/\d/.test(char)) {
+                    column += parseInt(char);
+                    continue;
+                }
+
+                const square = (7 - i) * 8 + column++;
+                const color = char === char.toUpperCase() ? 'w' : 'b';
+                if (char.toLowerCase() === 'k') {
+                    kings[color] = square;
+                } else {
+                    piece = piece === null ? { type: char.toLowerCase(), color, square } : false;
+                }
+            }
+        });
+
+        if (piece === false || kings.w === undefined || kings.b === undefined) return null;
+
+        // A lone piece can't win without a queen, rook or pawn
+        if (!piece || piece.type === 'b' || piece.type === 'n') return { result: 0, dtz: 0 };
+
+        const weakColor = piece.color === 'w' ? 'b' : 'w';
+        const mirror = piece.color === 'w' ? 0 : 56;
+        const table = this.getTable(piece.type);
+        const i = this.index(kings[piece.color] ^ mirror, kings[weakColor] ^ mirror, piece.square ^ mirror, turn === piece.color ? STRONG : WEAK);
+
+        return { result: table.result[i], dtz: table.result[i] ? table.dtz[i] : 0 };
+    }
+
+    /**
+     * Table for a king and a piece against a lone king, solved when first needed
+     * @param {string} piece - The extra piece, q, r or p
+     * @returns {Object} - { result, dtz } arrays by index
+     */
+    static getTable(piece) {
+        if (!this.tables.has(piece)) this.tables.set(piece, this.solve(piece));
+        return this.tables.get(piece);
+    }
+
+    static index(strongKing, weakKing, square, turn) {
+        return ((strongKing * 64 + weakKing) * 64 + square) * 2 + turn;
+    }
+
+    /**
+     * Works out every position by going back from the mates. With a pawn, the results
+     * are solved first, then the distances to the pawn moves that keep the win.
+     * @private
+     */
+    static solve(piece) {
+        const legal = new Uint8Array(SIZE);
+        const start = new Uint32Array(SIZE + 1);
+        const buffer = [];
+
+        // Moves are generated once, every level of both passes goes through all of them
+        for (let i = 0; i < SIZE; i++) {
+            legal[i] = this.isLegal(piece, i) ? 1 : 0;
+            start[i + 1] = start[i] + (legal[i] ? this.getMoves(piece, i, buffer) : 0);
+        }
+
+        const moves = new Int32Array(start[SIZE]);
+        for (let i = 0; i < SIZE; i++) {
+            if (!legal[i]) continue;
+
+            this.getMoves(piece, i, buffer);
+            moves.set(buffer, start[i]);
+        }
+
+        const graph = { legal, start, moves };
+
+        // Only promotions leave the pawn table, the pawn moves stay in it until the results are known
+        const table = this.iterate(piece, graph, Move.PROMOTION);
+        return piece === 'p' ? this.iterate(piece, graph, Move.PAWN, table.result) : table;
+    }
+
+    /**
+     * One backward pass, level by level. Moves from the terminal kind on end the distance there,
+     * their result is read from the other tables (or the results of this one when given).
+     * @private
+     */
+    static iterate(piece, { legal, start, moves }, terminal, results = null) {
+        const result = new Int8Array(SIZE);
+        const dtz = new Uint8Array(SIZE);
+
+        const getResult = (move) => {
+            const index = move >> 3;
+            switch (move & 7) {
+                case Move.PAWN: return results[index];
+                case Move.PROMOTION: return this.getTable('q').result[index];
+                case Move.UNDERPROMOTION: return this.getTable('r').result[index];
+                default: return 0;
+            }
+        };
+
+        // Mates, and wins by a terminal move
+        for (let i = 0; i < SIZE; i++) {
+            if (!legal[i]) continue;
+
+            if (i % 2 === WEAK) {
+                if (start[i] === start[i + 1] && this.isInCheck(piece, i)) result[i] = -1;
+                continue;
+            }
+
+            for (let m = start[i]; m < start[i + 1]; m++) {
+                if ((moves[m] & 7) >= terminal && getResult(moves[m]) === -1) {
+                    result[i] = 1;
+                    dtz[i] = 1;
+                    break;
+                }
+            }
+        }
+
+        for (let level = 1; ; level++) {
+            let solved = 0;
+
+            for (let i = 0; i < SIZE; i++) {
+                if (!legal[i] || result[i] || start[i] === start[i + 1]) continue;
+
+                if (i % 2 === STRONG) {
+                    for (let m = start[i]; m < start[i + 1]; m++) {
+                        const index = moves[m] >> 3;
+                        if ((moves[m] & 7) < terminal && result[index] === -1 && dtz[index] < level) {
+                            result[i] = 1;
+                            dtz[i] = level;
+                            solved++;
+                            break;
+                        }
+                    }
+                    continue;
+                }
+
+                // Taking the piece draws, so only positions where every king move loses are lost
+                let lost = true;
+                for (let m = start[i]; m < start[i + 1] && lost; m++) {
+                    const index = moves[m] >> 3;
+                    lost = (moves[m] & 7) === Move.KING && result[index] === 1 && dtz[index] < level;
+                }
+                if (lost) {
+                    result[i] = -1;
+                    dtz[i] = level;
+                    solved++;
+                }
+            }
+
+            // Wins by a terminal move are at the first level, so the second is the earliest that can be empty
+            if (!solved && level > 1) break;
+        }
+
+        return { result, dtz };
+    }
+
+    /**
+     * @private
+     */
+    static isLegal(piece, i) {
+        const turn = i % 2;
+        const square = (i >> 1) % 64;
+        const weakKing = (i >> 7) % 64;
+        const strongKing = i >> 13;
+
+        if (square === strongKing || square === weakKing || distance(strongKing, weakKing) <= 1) return false;
+        if (piece === 'p' && (rank(square) === 0 || rank(square) === 7)) return false;
+
+        // The side that just moved can't be left in check
+        return turn === WEAK || !this.attacks(piece, square, weakKing, strongKing);
+    }
+
+    /**
+     * @private
+     */
+    static isInCheck(piece, i) {
+        return this.attacks(piece, (i >> 1) % 64, (i >> 7) % 64, i >> 13);
+    }
+
+    /**
+     * Whether the piece attacks a square, with a king in the way blocking it
+     * @private
+     */
+    static attacks(piece, from, target, blocker) {
+        const df = file(target) - file(from);
+        const dr = rank(target) - rank(from);
+
+        if (piece === 'p') return dr === 1 && Math.abs(df) === 1;
+        if (df === 0 && dr === 0) return false;
+
+        const straight = df === 0 || dr === 0;
+        const diagonal = Math.abs(df) === Math.abs(dr);
+        if (!(piece === 'q' ? straight || diagonal : piece === 'r' ? straight : diagonal)) return false;
+
+        const step = Math.sign(dr) * 8 + Math.sign(df);
+        for (let square = from + step; square !== target; square += step) {
+            if (square === blocker) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Fills the buffer with the legal moves of a position, each one the index it leads to
+     * times eight plus its kind (see Move)
+     * @private
+     * @returns {number} - Number of moves
+     */
+    static getMoves(piece, i, buffer) {
+        const square = (i >> 1) % 64;
+        const weakKing = (i >> 7) % 64;
+        const strongKing = i >> 13;
+        buffer.length = 0;
+
+        if (i % 2 === WEAK) {
+            for (const to of KING_TARGETS[weakKing]) {
+                if (distance(to, strongKing) <= 1) continue;
+
+                if (to === square) {
+                    buffer.push(Move.CAPTURE);
+                } else if (!this.attacks(piece, square, to, strongKing)) {
+                    buffer.push(this.index(strongKing, to, square, STRONG) * 8 + Move.KING);
+                }
+            }
+            return buffer.length;
+        }
+
+        for (const to of KING_TARGETS[strongKing]) {
+            if (to !== square && distance(to, weakKing) > 1) {
+                buffer.push(this.index(to, weakKing, square, WEAK) * 8 + Move.KING);
+            }
+        }
+
+        if (piece === 'p') {
+            const to = square + 8;
+            if (to === strongKing || to === weakKing) return buffer.length;
+
+            const index = this.index(strongKing, weakKing, to, WEAK) * 8;
+            if (rank(to) === 7) {
+                buffer.push(index + Move.PROMOTION, index + Move.UNDERPROMOTION, index + Move.MINOR_PROMOTION);
+            } else {
+                buffer.push(index + Move.PAWN);
+            }
+
+            const doubleStep = square + 16;
+            if (rank(square) === 1 && doubleStep !== strongKing && doubleStep !== weakKing) {
+                buffer.push(this.index(strongKing, weakKing, doubleStep, WEAK) * 8 + Move.PAWN);
+            }
+            return buffer.length;
+        }
+
+        for (const [df, dr] of DIRECTIONS[piece]) {
+            for (let f = file(square) + df, r = rank(square) + dr; f >= 0 && f < 8 && r >= 0 && r < 8; f += df, r += dr) {
+                const to = r * 8 + f;
+                if (to === strongKing || to === weakKing) break;
+                buffer.push(this.index(strongKing, weakKing, to, WEAK) * 8 + Move.KING);
+            }
+        }
+        return buffer.length;
+    }
+}
@@ -1,8 +1,12 @@
-import { Chess } from "../../libs/chess.js";
+import { Chess, DEFAULT_POSITION } from "../../libs/chess.js";
 import { GamePhase } from "../classification/GamePhase.js";
 import { MoveAnnotator } from "../classification/MoveAnnotator.js";
 import { MoveClassifier, Classification } from "../classification/MoveClassifier.js";
-import { Engine } from "./Engine.js";
+import { Engine, SearchMode } from "./Engine.js";
+import { EnginePool, PoolPriority } from "./EnginePool.js";
+import { EvaluationProviders } from "./EvaluationProviders.js";
+import { AnalysisMeta } from "./AnalysisMeta.js";
+import { PgnParser } from "../components/moves/PgnParser.js";
 
 
 // import { Engine } from './Engine.js';
@@ -15,6 +19,12 @@ import { Engine } from "./Engine.js";
 export class MoveEvaluator {
     constructor() {}
 
+    // Change in the graph (win percentage points) that makes a move worth a second look
+    static criticalSwingThreshold = 15;
+
+    // The classifier only needs the best two lines, more just slow the game analysis down
+    static analysisLines = 2;
+
     static startPositionEvaluation = {
         fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
         lines: [
@@ -44,191 +54,196 @@ export class MoveEvaluator {
     }
 
     /**
-     * Attempts to get a cloud evaluation from Lichess
-     * @param {string} fen - FEN string to evaluate
-     * @returns {Promise<Array|undefined>} - Array of evaluation lines or undefined if unavailable
+     * Builds the engine search limit for the analysis settings
+     * @param {Object} settings - searchMode ('depth', 'movetime', 'nodes' or 'budget'), engineDepth,
+     *                            moveTime (seconds), searchNodes (thousands) and gameTimeBudget (seconds)
+     * @param {number} positions - Number of positions that still need searching
+     * @param {number} workers - Number of engines searching in parallel
+     * @returns {Object} - { mode, value } to pass to Engine.evaluate
      */
-    static async tryCloudEvaluation(fen) {
-        return false;
-        // Send request with a short timeout to prevent long waits when rate limited
-        return $.ajax({
-            url: "https://lichess.org/api/cloud-eval",
-            data: { fen, multiPv: 3 },
-            method: "GET",
-            dataType: "json",
-            timeout: 2000, // Short timeout to avoid waiting too long
-        }).then(({ depth, pvs }) => {
-                const cloudUCIFixes = {
-                    e8h8: "e8g8",
-                    e1h1: "e1g1",
-                    e8a8: "e8c8",
-                    e1a1: "e1c1",
-                };
-                return pvs.map((pv, idx) => {
-                    const moves = pv.moves.split(" ");
-                    for (let i = 0; i < moves.length; i++) {
-                        moves[i] = cloudUCIFixes[moves[i]] || moves[i];
-                    }
-
-                    const uciMove = moves[0];
-                    const type = pv.cp === undefined ? "mate" : "cp";
-                    const score = pv.cp === undefined ? pv.mate : pv.cp;
-                    return { id: idx + 1, depth, uciMove, score, type, pv: moves };
-                });
-            })
-            .catch(() => undefined);
+    static getSearchLimit(settings = {}, positions = 1, workers = 1) {
+        switch (settings.searchMode) {
+            case SearchMode.MOVETIME:
+                return { mode: SearchMode.MOVETIME, value: Math.round((settings.moveTime || 1) * 1000) };
+            case SearchMode.NODES:
+                return { mode: SearchMode.NODES, value: Math.round((settings.searchNodes || 1000) * 1000) };
+            case 'budget': {
+                // Split the total time over the positions each worker will end up searching
+                const budget = (settings.gameTimeBudget || 90) * 1000;
+                const perWorker = Math.ceil(positions / Math.max(1, workers));
+                return { mode: SearchMode.MOVETIME, value: Math.max(100, Math.floor(budget / Math.max(1, perWorker))) };
+            }
+            default:
+                return { mode: SearchMode.DEPTH, value: settings.engineDepth || 16 };
+        }
     }
 
     /**
-     * Processes a batch of moves for evaluation
-     * @param {Chess} game - Chess instance 
+     * Plays through the moves, collecting the position after each of them
+     * @param {Chess} game - Chess instance at the starting position
      * @param {Array} history - Array of moves
-     * @param {Function} progressCallback - Callback function for progress updates
-     * @returns {Promise<Array>} - Array of evaluated moves
+     * @returns {Array} - Objects with the move, fen, index and uciMove
      */
-    static async batchEvaluateMoves(game, history, progressCallback = null, settings = {}) {
+    static createPositions(game, history) {
         // Convert all moves to fen post-move, the move, and the index (to sort later)
-        const queue = history.map((move, i) => {
+        return history.map((move, i) => {
             const moveObj = game.move(move);
             const fen = game.fen();
-            const uciMove = moveObj.from + moveObj.to;
+            const uciMove = moveObj.from + Engine.uciDestination(moveObj);
 
             return { move, fen, i, uciMove };
         });
+    }
 
-        const depth = settings.engineDepth || 16;
+    /**
+     * Processes a batch of moves for evaluation
+     * @param {Chess} game - Chess instance 
+     * @param {Array} history - Array of moves
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<Array>} - Array of evaluated moves
+     */
+    static async batchEvaluateMoves(game, history, progressCallback = null, settings = {}) {
+        const queue = MoveEvaluator.createPositions(game, history);
+        return MoveEvaluator.evaluatePositions(queue, progressCallback, settings);
+    }
+
+    /**
+     * Evaluates positions with a pool of engines, setting lines and engine on each of them
+     * @param {Array} positions - Objects with at least a fen, evaluated in place
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @param {Object} settings - Engine settings, see getSearchLimit
+     * @param {Object} search - Optional search limit overriding the one from the settings
+     * @param {Function} onResult - Optional callback for each position as soon as it's evaluated
+     * @param {AnalysisJob} job - Optional job that can pause or cancel the evaluation
+     * @returns {Promise<Array>} - The positions, in the order they were given
+     */
+    static async evaluatePositions(positions, progressCallback = null, settings = {}, search = null, onResult = null, job = null) {
+        const queue = [...positions];
         const engineType = settings.engineType || 'stockfish-17-lite';
-        const maxWorkers = navigator.hardwareConcurrency || 8; // Use hardware concurrency when available
-        const moves = new Array(history.length);
-        
-        // Create a pool of workers upfront and reuse them
-        const workerPool = Array.from({ length: Math.min(maxWorkers, queue.length) }, () => new Engine({ engineType }));
+        const reportProgress = progressCallback || (() => {});
+
+        // Providers ranked above the local engine are asked first, the ones below only if the engine fails
+        const providers = EvaluationProviders.fromSettings(settings);
+        const engineIndex = providers.findIndex(provider => provider.usesEngine);
+        const context = {
+            engineType,
+            engineOptions: { ...settings.engineOptions, MultiPV: MoveEvaluator.analysisLines },
+            multiPV: MoveEvaluator.analysisLines,
+            minDepth: EvaluationProviders.getMinimumDepth(search || MoveEvaluator.getSearchLimit(settings))
+        };
         
         let completedMoves = 0;
 
-        // Process moves in batches using the worker pool
-        return new Promise((resolve) => {
-            // Process a batch of positions with available workers
-            async function processBatch() {
-                const availableWorkers = workerPool.filter(worker => !worker.busy);
-                
-                // Process moves with available workers
-                const batch = availableWorkers.map(worker => {
-                    if (queue.length === 0) return null;
-                    
-                    const move = queue.shift();
-                    worker.busy = true;
-                    
-                    return { worker, move };
-                }).filter(Boolean);
-                
-                if (batch.length === 0) {
-                    if (completedMoves === history.length) {
-                        // All moves completed, clean up and resolve
-                        workerPool.forEach(worker => {
-                            if (worker.worker && worker.worker.terminate) {
-                                worker.worker.terminate();
-                            }
-                        });
-                        progressCallback(100);
-                        resolve(moves);
-                        return;
-                    }
-                    
-                    // Wait for workers to finish if no available workers but queue not empty
-                    setTimeout(processBatch, 100);
-                    return;
+        const setResult = (move, result) => {
+            if (job?.isCancelled) return;
+
+            move.lines = result?.lines || [];
+            move.engine = result?.engine || "Failed Evaluation";
+            if (onResult) onResult(move);
+        };
+
+        // Engines come from the pool shared with variation evaluation, it decides how many run at once
+        const pool = EnginePool.get(settings);
+
+        // Positions that the cache or a server already knows don't need an engine at all. Servers rate
+        // limit clients sending a whole game at once, so no more positions are asked at a time than there are engines.
+        const earlyResults = new Array(queue.length).fill(null);
+        let next = 0;
+        await Promise.all(Array.from({ length: Math.min(pool.maxWorkers, queue.length) }, async () => {
+            while (next < queue.length && !job?.isCancelled) {
+                const i = next++;
+                earlyResults[i] = await EvaluationProviders.evaluate(queue[i].fen, context, providers.slice(0, engineIndex), providers);
+            }
+        }));
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (!earlyResults[i]) continue;
+
+            setResult(queue[i], earlyResults[i]);
+            queue.splice(i, 1);
+            completedMoves++;
+        }
+
+        if (job?.isCancelled) return positions;
+        if (queue.length === 0) {
+            reportProgress(100);
+            return positions;
+        }
+
+        context.search = search || MoveEvaluator.getSearchLimit(settings, queue.length, pool.maxWorkers);
+
+        const evaluateWithEngine = async (move) => {
+            // Paused jobs give their engine back, so variations can still be evaluated meanwhile
+            while (true) {
+                await job?.waitUntilRunning();
+                if (job?.isCancelled) return null;
+
+                const engine = await pool.acquire(PoolPriority.ANALYSIS, engineType);
+                if (job?.isPaused || job?.isCancelled) {
+                    pool.release(engine);
+                    continue;
+                }
+
+                // Cancelling terminates the engine, the running search then resolves empty
+                job?.addWorkers([engine]);
+                try {
+                    return await EvaluationProviders.evaluate(
+                        move.fen, 
+                        { ...context, engine }, 
+                        providers.slice(engineIndex), 
+                        providers
+                    );
+                } finally {
+                    job?.removeWorkers([engine]);
+                    pool.release(engine);
                 }
-                
-                // Process each position in the batch
-                await Promise.all(batch.map(async ({ worker, move }) => {
-                    try {
-                        // Start both cloud and local evaluations in parallel
-                        const cloudPromise = MoveEvaluator.tryCloudEvaluation(move.fen);
-                        const localPromise = worker.evaluate(move.fen, depth);
-                        
-                        // Race between cloud and local evaluation
-                        // Use Promise.allSettled to get both results regardless of success/failure
-                        const [cloudResult, localResult] = await Promise.allSettled([
-                            // Add a timeout to the cloud evaluation as a fallback
-                            Promise.race([
-                                cloudPromise,
-                                new Promise(resolve => setTimeout(() => resolve(undefined), 2500))
-                            ]),
-                            localPromise
-                        ]);
-                        
-                        let lines;
-                        let engineName;
-                        
-                        // If cloud evaluation succeeded with good depth, use it
-                        if (cloudResult.status === 'fulfilled' && 
-                            cloudResult.value && 
-                            cloudResult.value.length > 1 && 
-                            cloudResult.value[0].depth >= depth) {
-                            
-                            // If local evaluation was started, abort it
-                            worker.abort();
-                            
-                            lines = cloudResult.value;
-                            engineName = "Stockfish Cloud";
-                        } 
-                        // Otherwise use local evaluation results
-                        else if (localResult.status === 'fulfilled') {
-                            lines = localResult.value;
-                            engineName = worker.engine.name;
-                        } 
-                        // Fallback in case both failed
-                        else {
-                            lines = [];
-                            engineName = "Failed Evaluation";
-                        }
-                        
-                        move.lines = lines;
-                        move.engine = engineName;
-                        moves[move.i] = move; // Store at original index position
-                    } catch (error) {
-                        console.error("Error evaluating move:", error);
-                        moves[move.i] = move; // Store it anyway without lines
-                    } finally {
-                        completedMoves++;
-                        worker.busy = false;
-                        
-                        // Calculate and report progress
-                        const progress = Math.round((completedMoves / history.length) * 100);
-                        progressCallback(progress);
-                    }
-                }));
-                
-                // Process next batch
-                processBatch();
             }
-            
-            // Start processing
-            if (history.length === 0) {
-                progressCallback(100);
-                resolve([]);
-            } else {
-                processBatch();
+        };
+
+        await Promise.all(queue.map(async (move) => {
+            try {
+                setResult(move, await evaluateWithEngine(move));
+            } catch (error) {
+                console.error("Error evaluating move:", error);
+            } finally {
+                completedMoves++;
+
+                // Calculate and report progress
+                const progress = Math.round((completedMoves / positions.length) * 100);
+                if (!job?.isCancelled) reportProgress(progress);
             }
-        });
+        }));
+
+        return positions;
     }
 
     /**
      * Analyzes a chess game and assigns move classifications
      * @param {Object} game - game object
      * @param {Function} progressCallback - Optional callback for progress updates
-     * @returns {Promise<Array>} - Array of evaluated moves with classifications
+     * @param {Object} settings - Engine settings, see getSearchLimit
+     * @param {AnalysisJob} job - Optional job to stream partial results to, and that can cancel the analysis
+     * @returns {Promise<Object|null>} - The game analysis with its analysisMeta, or null if the job was cancelled
      */
-    static async analyzeGame(game, progressCallback = null, settings = {}) {
-        const chess = new Chess();
+    static async analyzeGame(game, progressCallback = null, settings = {}, job = null) {
+        // Games set up from a position start from their FEN tag
+        const startFen = PgnParser.getStartFen(game.pgn);
+        const chess = new Chess(startFen);
 
-        // Get the move list and reset to starting position
+        // Get the move list and go back to the starting position
         chess.loadPgn(game.pgn);
         const history = chess.history();
-        chess.reset();
+        chess.load(startFen);
+
+        // The standard start is known, any other starting position is evaluated with the moves.
+        // Its first move is classified against it instead of opening theory, which only covers the standard start.
+        const isStandardStart = startFen === DEFAULT_POSITION && !PgnParser.isChess960(game.pgn);
+        const start = isStandardStart ? null : { move: null, fen: startFen };
 
         if (history.length === 0) {
+            // A position set up without any moves still gets its lines
+            if (start) await MoveEvaluator.evaluatePositions([start], progressCallback, settings, null, null, job);
+            if (job?.isCancelled) return null;
+
             return {
                 white: {
                     accuracy: 0,
@@ -238,27 +253,115 @@ export class MoveEvaluator {
                     accuracy: 0,
                     counts: {}
                 },
-                moves: []
+                moves: [],
+                ...(start?.lines && { startPosition: start })
             }
         }
 
-        const moves = await MoveEvaluator.batchEvaluateMoves(chess, history, (progress) => {
+        const moves = MoveEvaluator.createPositions(chess, history);
+        let completed = 0;
+        let classified = 0;
+
+        const positions = start ? [start, ...moves] : moves;
+
+        // Moves are classified against the move before them, so only classify once everything before is evaluated
+        const classifyUpTo = (end) => {
+            for (; classified < end; classified++) {
+                const move = moves[classified];
+                if (classified === 0 && start?.lines?.length) {
+                    MoveClassifier.classifyMove(move, start, []);
+                    continue;
+                }
+
+                if (classified === 0) {
+                    // A position the engine couldn't evaluate has nothing to compare the first move against
+                    move.classification = start ? Classification.GOOD : Classification.THEORY;
+                    move.graph = 50; // 0.0 eval is 50% eval bar basically
+                    continue;
+                }
+
+                MoveClassifier.classifyMove(move, moves[classified - 1], moves.slice(0, classified).map(m => m.move));
+            }
+        };
+
+        const onResult = (move) => {
+            if (!job) return;
+
+            if (move !== start) job.emit('ply', move, ++completed, history.length);
+
+            // The first move waits for the starting position
+            const before = classified;
+            let end = classified;
+            while (end < moves.length && moves[end].lines && (!start || start.lines)) end++;
+            classifyUpTo(end);
+
+            // Both players need a move before there's anything to summarize
+            if (classified > before && classified >= 2) {
+                const partial = moves.slice(0, classified);
+                MoveAnnotator.annotateMoves(partial, 'w');
+                job.emit('partial', { ...MoveEvaluator.summarizeAnalysis(game, partial), totalMoves: history.length });
+            }
+        };
+
+        await MoveEvaluator.evaluatePositions(positions, (progress) => {
             if (progressCallback) progressCallback(progress);
-        }, settings);
+        }, settings, null, onResult, job);
 
-        // Loop through moves and assign classifications
-        moves[0].classification = Classification.THEORY;
-        moves[0].graph = 50; // 0.0 eval is 50% eval bar basically
-        for (let i = 1; i < moves.length; i++) {
-            const move = moves[i];
-            const previous = moves[i - 1];
-            const movesUpToCurrent = moves.slice(0, i).map(m => m.move);
+        if (job?.isCancelled) return null;
 
-            MoveClassifier.classifyMove(move, previous, movesUpToCurrent);
-        }
+        // Loop through the remaining moves and assign classifications
+        classifyUpTo(moves.length);
 
         MoveAnnotator.annotateMoves(moves, 'w');
-        
+
+        const analysis = MoveEvaluator.summarizeAnalysis(game, moves);
+        analysis.analysisMeta = AnalysisMeta.create(settings, moves, EnginePool.get(settings).maxWorkers);
+        if (start) analysis.startPosition = { fen: start.fen, lines: start.lines, engine: start.engine };
+
+        return analysis;
+    }
+
+    /**
+     * Lines up two analyses of the same game and finds the moves they classify differently
+     * @param {Object} analysis - Analysis from the main engine
+     * @param {Object} other - Analysis of the same game from another engine
+     * @returns {Array} - { index, move, moveNumber, isWhite, classification, otherClassification }
+     */
+    static compareAnalyses(analysis, other) {
+        if (!analysis?.moves || !other?.moves) return [];
+
+        const length = Math.min(analysis.moves.length, other.moves.length);
+        const disagreements = [];
+
+        for (let i = 0; i < length; i++) {
+            const classification = analysis.moves[i].classification;
+            const otherClassification = other.moves[i].classification;
+            if (!classification || !otherClassification || classification.type === otherClassification.type) continue;
+
+            // The FEN is from after the move, black's moves have already bumped the move number
+            const fields = analysis.moves[i].fen.split(' ');
+            const isWhite = fields[1] === 'b';
+
+            disagreements.push({
+                index: i,
+                move: analysis.moves[i].move,
+                moveNumber: (parseInt(fields[5]) || 1) - (isWhite ? 0 : 1),
+                isWhite,
+                classification,
+                otherClassification
+            });
+        }
+
+        return disagreements;
+    }
+
+    /**
+     * Builds the accuracy, counts, Elo and phase summary for classified moves
+     * @param {Object} game - game object
+     * @param {Array} moves - Array of classified moves
+     * @returns {Object} - The game analysis
+     */
+    static summarizeAnalysis(game, moves) {
         // Calculate accuracy
         const whiteMoves = moves.filter(move => move.fen.includes(' b '));
         const blackMoves = moves.filter(move => move.fen.includes(' w '));
@@ -304,7 +407,7 @@ export class MoveEvaluator {
             }
         };
 
-        const phases = GamePhase.getPhases(moves.map(m => m.move));
+        const phases = GamePhase.getPhases(moves.map(m => m.move), PgnParser.getStartFen(game.pgn));
         const hasEndgame = phases[1] !== undefined;
         
         // Helper function to calculate accuracy for a set of moves
@@ -372,24 +475,139 @@ export class MoveEvaluator {
         };
     }
 
+    /**
+     * Re-evaluates the moves that decide the game at a higher depth, then re-classifies them.
+     * The analysis object is updated in place so anything holding on to it sees the new verdicts.
+     * @param {Object} game - game object
+     * @param {Object} analysis - Result of analyzeGame
+     * @param {Object} settings - Engine settings, plus deepPassDepth
+     * @param {Function} onUpdate - Called with the analysis every time a move gets re-classified
+     * @param {AnalysisJob} job - Optional job that can pause or cancel the second pass
+     * @returns {Promise<Object>} - The refined analysis
+     */
+    static async refineCriticalMoves(game, analysis, settings = {}, onUpdate = null, job = null) {
+        const moves = analysis?.moves;
+        const search = MoveEvaluator.getDeepSearchLimit(settings);
+        if (!moves?.length || !search) return analysis;
+
+        const critical = MoveEvaluator.findCriticalMoves(moves);
+        if (critical.length === 0) return analysis;
+
+        // Classification compares a move against the position before it, so both need the deeper search
+        const indices = new Set();
+        for (const i of critical) {
+            indices.add(i);
+            indices.add(i - 1);
+        }
+
+        const positions = [...indices].sort((a, b) => a - b).map(i => ({ fen: moves[i].fen, i }));
+
+        await MoveEvaluator.evaluatePositions(positions, null, settings, search, (position) => {
+            if (!position.lines?.length) return;
+
+            moves[position.i].lines = position.lines;
+            moves[position.i].engine = position.engine;
+
+            // Both the move itself and the move after it were classified against this position
+            for (const i of [position.i, position.i + 1]) {
+                if (i < 1 || i >= moves.length) continue;
+                MoveClassifier.classifyMove(moves[i], moves[i - 1], moves.slice(0, i).map(m => m.move));
+            }
+
+            MoveAnnotator.annotateMoves(moves, 'w');
+            Object.assign(analysis, MoveEvaluator.summarizeAnalysis(game, moves));
+
+            if (onUpdate) onUpdate(analysis);
+        }, job);
+
+        if (!job?.isCancelled) AnalysisMeta.recordRefinement(analysis.analysisMeta, moves, positions.length);
+
+        return analysis;
+    }
+
+    /**
+     * Finds the moves whose verdict is worth double checking
+     * @param {Array} moves - Array of classified moves
+     * @returns {Array<number>} - Indices of the critical moves
+     */
+    static findCriticalMoves(moves) {
+        const criticalTypes = [
+            Classification.MISTAKE.type,
+            Classification.BLUNDER.type,
+            Classification.MISS.type,
+            Classification.BRILLIANT.type,
+            Classification.GREAT.type
+        ];
+
+        const critical = [];
+        for (let i = 1; i < moves.length; i++) {
+            const swing = Math.abs((moves[i].graph ?? 50) - (moves[i - 1].graph ?? 50));
+            if (criticalTypes.includes(moves[i].classification?.type) || swing >= MoveEvaluator.criticalSwingThreshold) {
+                critical.push(i);
+            }
+        }
+
+        return critical;
+    }
+
+    /**
+     * Builds the search limit for the second pass, or null when it shouldn't run
+     * @param {Object} settings - Engine settings, see getSearchLimit
+     * @returns {Object|null} - { mode, value } to pass to Engine.evaluate
+     */
+    static getDeepSearchLimit(settings = {}) {
+        if (settings.deepPassEnabled === false) return null;
+
+        switch (settings.searchMode) {
+            case SearchMode.MOVETIME:
+            case SearchMode.NODES: {
+                const search = MoveEvaluator.getSearchLimit(settings);
+                return { mode: search.mode, value: search.value * 3 };
+            }
+            case 'budget':
+                // The user asked for a fixed amount of time, so don't go over it
+                return null;
+            default: {
+                const depth = settings.engineDepth || 16;
+                return { mode: SearchMode.DEPTH, value: Math.max(settings.deepPassDepth || 20, depth + 2) };
+            }
+        }
+    }
+
     /**
      * Updates move tree nodes with classifications from analyzed moves
      * @param {MoveTree} moveTree - The move tree object
      * @param {Array} moves - Array of evaluated moves with classifications
      * @param {string} pgn - PGN string of the game
+     * @param {Object} startPosition - Evaluation of a starting position set up from a FEN, if the game has one
      */
-    static applyClassificationsToMoveTree(moveTree, moves, pgn) {
-        const game = new Chess();
+    static applyClassificationsToMoveTree(moveTree, moves, pgn, startPosition = null) {
+        const game = new Chess(PgnParser.getStartFen(pgn));
         
         game.loadPgn(pgn);
         const history = game.history({ verbose: true });
-        game.reset();
+
+        // The root has no move to classify, only the lines the first move was judged against
+        const root = moveTree.mainline[0];
+        const rootLine = startPosition?.lines?.find(line => line.id === 1);
+        if (startPosition && root.fen === startPosition.fen) {
+            root.evaluatedMove = startPosition;
+            if (rootLine) {
+                root.evalScore = rootLine.score;
+                root.evalType = rootLine.type || 'cp';
+                root.evalWdl = rootLine.wdl;
+                root.evalTablebase = rootLine.tablebase;
+            }
+        }
         
         // Apply classifications to move tree nodes
         for (let i = 0; i < moves.length; i++) {
             if (i < history.length) {
                 const move = history[i];
-                const moveId = `move_${Math.ceil((i+1)/2)}_${i % 2 === 0 ? 'w' : 'b'}_${move.san.replace('+', 'check').replace('#', 'mate')}`;
+
+                // Numbered from the position before the move, games set up from a FEN don't start at 1. white
+                const [, turn, , , , moveNumber] = move.before.split(' ');
+                const moveId = `move_${moveNumber}_${turn}_${move.san.replace('+', 'check').replace('#', 'mate')}`;
                 moveTree.updateClassification(moveId, moves[i]);
                 
                 // Also store the evaluation score and type in the node
@@ -399,6 +617,8 @@ export class MoveEvaluator {
                     if (topLine) {
                         node.evalScore = topLine.score;
                         node.evalType = topLine.type || 'cp';
+                        node.evalWdl = topLine.wdl;
+                        node.evalTablebase = topLine.tablebase;
                     }
                 }
             }
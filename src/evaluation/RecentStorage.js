@@ -0,0 +1,40 @@
+/**
+ * Values by key in a localStorage entry, where saving a value makes it the most recent
+ * and the least recently saved ones are dropped past a limit.
+ *
+ * Entries are kept as an array of [key, value] pairs. An object wouldn't keep the order
+ * its keys were saved in, it always puts integer-like keys (a hash like "83412") first.
+ */
+export class RecentStorage {
+    /**
+     * @param {string} storageKey - The localStorage entry
+     * @returns {Array<Array>} - [key, value] pairs, the least recently saved first
+     */
+    static read(storageKey) {
+        const entries = JSON.parse(localStorage.getItem(storageKey));
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * @param {string} storageKey - The localStorage entry
+     * @param {string} key - Key of the value
+     * @returns {*} - The value, or null when there's none
+     */
+    static get(storageKey, key) {
+        return this.read(storageKey).find(([other]) => other === key)?.[1] ?? null;
+    }
+
+    /**
+     * Saves a value as the most recent one, replacing an earlier value with the same key
+     * @param {string} storageKey - The localStorage entry
+     * @param {string} key - Key of the value
+     * @param {*} value - Value to save, anything JSON can hold
+     * @param {number} maxEntries - Number of values kept
+     */
+    static save(storageKey, key, value, maxEntries) {
+        const entries = this.read(storageKey).filter(([other]) => other !== key);
+        entries.push([key, value]);
+
+        localStorage.setItem(storageKey, JSON.stringify(entries.slice(-maxEntries)));
+    }
+}
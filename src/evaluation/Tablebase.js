@@ -0,0 +1,188 @@
+import { Chess } from '../../libs/chess.js';
+import { LocalTablebase } from './LocalTablebase.js';
+
+// Result of a move or position for the side to move
+export const TablebaseResult = {
+    WIN: 1,
+    DRAW: 0,
+    LOSS: -1
+}
+
+/**
+ * Exact results for endgames with few pieces. Positions are looked up on an HTTP server
+ * speaking the lichess tablebase JSON (lila-tablebase in front of Syzygy files, or the
+ * public one). Positions that can't be won by either side and endgames with three pieces
+ * (see LocalTablebase) are answered without asking.
+ *
+ * Results are turned into ordinary engine lines, so everything that reads lines works
+ * with them. Each line also carries tablebase: { result, dtz } with the result for the
+ * side to move and the distance to zeroing (plies until a capture or pawn move).
+ */
+export class Tablebase {
+    static maxPieces = 7;
+
+    // Wins score just below mate, shorter distances to zeroing score higher
+    static winScore = 20000;
+
+    // Depth reported for tablebase lines, any search depth is worse than an exact result
+    static depth = 99;
+
+    /**
+     * Whether a position is small enough to look up
+     * @param {string} fen - FEN of the position
+     * @param {number} maxPieces - Largest number of pieces (kings included) to look up
+     * @returns {boolean}
+     */
+    static covers(fen, maxPieces = this.maxPieces) {
+        const [placement, , castling] = fen.split(' ');
+
+        // Syzygy tables have no castling rights
+        if (castling && castling !== '-') return false;
+
+        return placement.replace(/[^a-zA-Z]/g, '').length <= maxPieces;
+    }
+
+    /**
+     * Answers positions neither side can win, where every move draws so the line has
+     * no best move, and endgames with three pieces from the local tables
+     * @param {string} fen - FEN of the position
+     * @param {number} multiPV - Number of lines to return
+     * @returns {Array|null} - Lines, or null when the position needs a real lookup
+     */
+    static probeLocal(fen, multiPV = 1) {
+        let chess;
+        try {
+            chess = new Chess(fen);
+        } catch (error) {
+            return null;
+        }
+
+        const moves = chess.moves({ verbose: true });
+        if (moves.length === 0) return null;
+
+        if (chess.isInsufficientMaterial()) return [this.createLine(fen, 1, null, TablebaseResult.DRAW, 0)];
+
+        if (!LocalTablebase.covers(fen)) return null;
+
+        const results = moves.map(move => {
+            chess.move(move);
+            const after = LocalTablebase.lookup(chess.fen());
+            chess.undo();
+
+            // Like the server's moves, the move itself is a ply, unless it resets the counter
+            const result = -after.result || TablebaseResult.DRAW;
+            const zeroing = move.captured || move.piece === 'p';
+            const dtz = result === TablebaseResult.DRAW ? 0 : zeroing ? 1 : after.dtz + 1;
+
+            return { uciMove: move.from + move.to + (move.promotion || ''), result, dtz };
+        });
+
+        // Quickest wins first, then draws, then the slowest losses
+        results.sort((a, b) => b.result - a.result || (a.result === TablebaseResult.WIN ? a.dtz - b.dtz : b.dtz - a.dtz));
+
+        return results.slice(0, multiPV).map(({ uciMove, result, dtz }, i) => this.createLine(fen, i + 1, uciMove, result, dtz));
+    }
+
+    /**
+     * Looks a position up on a tablebase server
+     * @param {string} url - Server endpoint, e.g. http://localhost:9000/standard
+     * @param {string} fen - FEN of the position
+     * @param {number} multiPV - Number of lines to return
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<Array|null|undefined>} - Lines, null when the server doesn't know the
+     * position or it's already over, undefined when the server didn't answer
+     */
+    static async probe(url, fen, multiPV = 1, timeout = 0) {
+        const response = await $.ajax({
+            url,
+            data: { fen },
+            method: "GET",
+            dataType: "json",
+            timeout: timeout || undefined,
+        }).catch(() => undefined);
+
+        if (!response) return undefined;
+        if (!response.moves?.length) return null;
+
+        const lines = [];
+        for (const move of response.moves) {
+            // Move categories are for the side to move after the move, flip them back
+            const opponentResult = this.getResult(move.category);
+            if (opponentResult === null) return null;
+            const result = -opponentResult || TablebaseResult.DRAW;
+
+            // The move itself is a ply, unless it resets the counter
+            const dtz = move.zeroing ? 1 : Math.abs(move.dtz ?? 0) + 1;
+
+            lines.push(this.createLine(fen, lines.length + 1, move.uci, result, result === TablebaseResult.DRAW ? 0 : dtz));
+            if (lines.length >= multiPV) break;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Result for the side to move from a lichess tablebase category.
+     * Cursed wins and blessed losses are draws under the fifty-move rule.
+     * @param {string} category - Category from the server
+     * @returns {number|null} - TablebaseResult, or null for unknown categories
+     */
+    static getResult(category) {
+        switch (category) {
+            case 'win':
+            case 'maybe-win':
+            case 'syzygy-win':
+                return TablebaseResult.WIN;
+            case 'loss':
+            case 'maybe-loss':
+            case 'syzygy-loss':
+                return TablebaseResult.LOSS;
+            case 'draw':
+            case 'cursed-win':
+            case 'blessed-loss':
+                return TablebaseResult.DRAW;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Builds an engine line, scores are from white's point of view like the engine's
+     * @param {string} fen - FEN of the position the line is for
+     * @param {number} id - Line number
+     * @param {string|null} uciMove - The move, null when no move is better than another
+     * @param {number} result - TablebaseResult for the side to move
+     * @param {number} dtz - Distance to zeroing in plies
+     * @private
+     */
+    static createLine(fen, id, uciMove, result, dtz) {
+        const sign = fen.includes(' b ') ? -1 : 1;
+        const whiteResult = result * sign;
+        const wdl = whiteResult === TablebaseResult.WIN ? { w: 1000, d: 0, l: 0 }
+            : whiteResult === TablebaseResult.LOSS ? { w: 0, d: 0, l: 1000 }
+            : { w: 0, d: 1000, l: 0 };
+
+        return {
+            id,
+            uciMove,
+            depth: this.depth,
+            score: whiteResult * (this.winScore - dtz),
+            type: 'cp',
+            pv: uciMove ? [uciMove] : [],
+            wdl,
+            tablebase: { result, dtz }
+        };
+    }
+
+    /**
+     * Describes a tablebase line, e.g. "Tablebase win in 23"
+     * @param {Object} line - Line with tablebase info
+     * @returns {string}
+     */
+    static describe(line) {
+        const { result, dtz } = line.tablebase;
+        if (result === TablebaseResult.DRAW) return 'Tablebase draw';
+
+        return `Tablebase ${result === TablebaseResult.WIN ? 'win' : 'loss'} in ${dtz}`;
+    }
+}
@@ -0,0 +1,91 @@
+import { Chess } from '../../libs/chess.js';
+import { MoveEvaluator } from './MoveEvaluator.js';
+import { EnginePool, PoolPriority } from './EnginePool.js';
+
+/**
+ * Finds what the side that just moved would play if it were their turn again,
+ * by searching the position with the move passed to the opponent (a null move).
+ */
+export class ThreatEvaluator {
+    // Searches by engine, search limit and position, the least recently used go first
+    static cache = new Map();
+    static maxEntries = 200;
+
+    /**
+     * Passes the move to the other side
+     * @param {string} fen - FEN of the position
+     * @returns {string|null} - FEN with the other side to move, or null when the side to move is in check
+     */
+    static getNullMoveFen(fen) {
+        if (!fen) return null;
+
+        try {
+            if (new Chess(fen).isCheck()) return null;
+        } catch (error) {
+            console.error('Invalid FEN for threat search:', error);
+            return null;
+        }
+
+        const fields = fen.split(' ');
+        fields[1] = fields[1] === 'w' ? 'b' : 'w';
+        // The en passant square belonged to the side that passed
+        fields[3] = '-';
+
+        return fields.join(' ');
+    }
+
+    /**
+     * Searches the null-move position for the threat. Searches are shared, so going
+     * back and forth between positions doesn't start the same search twice.
+     * @param {string} fen - FEN of the position the threat is for
+     * @param {Object} settings - Engine settings from the settings menu
+     * @returns {Promise<Object|null>} - { fen, lines } where fen is the null-move position, or null when there's no threat to look for
+     */
+    static evaluate(fen, settings = {}) {
+        const nullFen = this.getNullMoveFen(fen);
+        if (!nullFen) return Promise.resolve(null);
+
+        const limit = MoveEvaluator.getSearchLimit({
+            ...settings,
+            engineDepth: settings.variationEngineDepth || 16,
+            searchMode: settings.searchMode === 'budget' ? undefined : settings.searchMode
+        });
+        const key = `${settings.engineType}|${limit.mode} ${limit.value}|${nullFen}`;
+
+        let search = this.cache.get(key);
+        if (search) {
+            // Move it to the end, it's the most recently used now
+            this.cache.delete(key);
+        } else {
+            const pending = this.search(nullFen, settings, limit).then((threat) => {
+                if (!threat && this.cache.get(key) === pending) this.cache.delete(key);
+                return threat;
+            });
+            search = pending;
+        }
+
+        this.cache.set(key, search);
+        if (this.cache.size > this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return search;
+    }
+
+    /**
+     * @private
+     */
+    static async search(nullFen, settings, limit) {
+        try {
+            const lines = await EnginePool.get(settings).run((engine) => {
+                engine.setOptions({ ...settings.engineOptions, MultiPV: 1 });
+                return engine.evaluate(nullFen, limit);
+            }, PoolPriority.VARIATION);
+
+            return lines?.length ? { fen: nullFen, lines } : null;
+        } catch (error) {
+            console.error('Threat search failed:', error);
+            return null;
+        }
+    }
+}
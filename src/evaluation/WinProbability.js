@@ -0,0 +1,81 @@
+/**
+ * Turns engine lines into win probabilities, so the classifier, evaluation bar
+ * and game graph all agree on how good a position is.
+ *
+ * All values are percentages from white's point of view unless stated otherwise.
+ * Lines with WDL output (UCI_ShowWDL) use it directly, otherwise the centipawn
+ * score goes through the usual logistic curve.
+ */
+export class WinProbability {
+    // Fitted on lichess games, maps centipawns to win chances
+    static centipawnScale = 0.00368208;
+
+    // The evaluation bar never fills completely unless there's a mate or a tablebase result
+    static barMin = 5;
+    static barMax = 95;
+
+    /**
+     * @param {number} score - Centipawns from white's point of view
+     * @returns {number} - White's win percentage
+     */
+    static fromCentipawns(score) {
+        score = Math.max(-3000, Math.min(3000, score));
+        return 50 + 50 * (2 / (1 + Math.exp(-this.centipawnScale * score)) - 1);
+    }
+
+    /**
+     * Expected score (win plus half the draws) for white
+     * @param {Object} line - Engine line with score, type and optionally wdl
+     * @returns {number} - Percentage between 0 and 100
+     */
+    static expectedScore(line) {
+        if (!line) return 50;
+
+        if (line.type === 'mate') {
+            if (line.score === 0) return line.mateForBlack ? 0 : 100;
+            return line.score > 0 ? 100 : 0;
+        }
+
+        if (line.wdl) {
+            const { w, d, l } = line.wdl;
+            const total = w + d + l || 1000;
+            return (w + d / 2) / total * 100;
+        }
+
+        return this.fromCentipawns(line.score);
+    }
+
+    /**
+     * Expected score for one side
+     * @param {Object} line - Engine line
+     * @param {boolean} isWhite - Whose point of view to use
+     * @returns {number} - Percentage between 0 and 100
+     */
+    static forSide(line, isWhite) {
+        const score = this.expectedScore(line);
+        return isWhite ? score : 100 - score;
+    }
+
+    /**
+     * @param {Object} line - Engine line
+     * @returns {number|null} - Draw percentage, or null when the engine didn't report WDL
+     */
+    static drawChance(line) {
+        if (!line?.wdl) return null;
+
+        const { w, d, l } = line.wdl;
+        return d / (w + d + l || 1000) * 100;
+    }
+
+    /**
+     * How full the evaluation bar should be for white
+     * @param {Object} line - Engine line
+     * @returns {number} - Percentage, clamped unless it's a mate
+     */
+    static toBarPercentage(line) {
+        const score = this.expectedScore(line);
+        if (line?.type === 'mate' || line?.tablebase) return score;
+
+        return Math.max(this.barMin, Math.min(this.barMax, score));
+    }
+}
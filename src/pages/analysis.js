@@ -1,6 +1,7 @@
 import { GameLoader } from '../components/games/GameLoader.js';
 import { ChessUI } from '../components/ChessUI.js';
 import { GameGraph } from '../components/report/GameGraph.js';
+import { BatchReport } from '../components/report/BatchReport.js';
 
 async function loadPlayerData(white, black) {
     if (!white || !black) return;
@@ -31,10 +32,14 @@ $(document).ready(async () => {
     // Check if there's a PGN parameter in the URL
     const urlParams = new URLSearchParams(window.location.search);
     const pgnParam = urlParams.get('pgn');
+    const fenParam = urlParams.get('fen');
     
     if (pgnParam) {
         // Load game from PGN parameter
         game = GameLoader.loadGameFromPGN(decodeURIComponent(pgnParam));
+    } else if (fenParam) {
+        // Analyze a position from a FEN parameter
+        game = GameLoader.loadGameFromFEN(decodeURIComponent(fenParam)) || GameLoader.loadEmptyGame();
     } else {
         // Load game from URL (Chess.com or Lichess)
         game = await GameLoader.loadGameFromURL();
@@ -57,6 +62,18 @@ $(document).ready(async () => {
         loadPlayerData(gameData.white, gameData.black);
     });
 
+    // Games queued from the games list are analyzed in the background for the insights tab
+    window.addEventListener('analyzeGames', async (event) => {
+        $('.tab-button[data-tab="insights"]').trigger('click');
+
+        try {
+            await chessUI.analyzeBatch(event.detail);
+        } catch (error) {
+            console.error('Error analyzing games:', error);
+            BatchReport.showError(`Couldn't analyze the games: ${error.message}`);
+        }
+    });
+
     // Tab switching
     $('.tab-button').on('click', function () {
         $('.tab-button').removeClass('active');
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Chess } from '../libs/chess.js';
+import { Engine } from '../src/evaluation/Engine.js';
+import { MoveTree } from '../src/components/moves/MoveTree.js';
+
+// The king on b1 can castle long with the rook on a1 or just step to c1, both land the king on c1
+const FEN = '1k6/8/8/8/8/8/8/RK6 w Q - 0 1';
+
+test('the king taking its rook castles, the destination is the king step', () => {
+    assert.equal(new Chess(FEN).move({ from: 'b1', to: 'a1' }).san, 'O-O-O');
+    assert.equal(new Chess(FEN).move({ from: 'b1', to: 'c1' }).san, 'Kc1');
+});
+
+test('standard castling still plays by its destination or its rook', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+    assert.equal(new Chess(fen).move({ from: 'e1', to: 'g1' }).san, 'O-O');
+    assert.equal(new Chess(fen).move({ from: 'e1', to: 'h1' }).san, 'O-O');
+});
+
+test('analysis lines keep castling apart from the king step', () => {
+    assert.deepEqual(Engine.normalizeCastling(FEN, ['b1a1', 'b8a8']), ['b1a1', 'b8a8']);
+    assert.deepEqual(Engine.normalizeCastling(FEN, ['b1c1']), ['b1c1']);
+    assert.deepEqual(Engine.normalizeCastling('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', ['e1h1']), ['e1g1']);
+
+    const chess = new Chess(FEN);
+    assert.equal(Engine.uciDestination(chess.move('O-O-O')), 'a1');
+});
+
+test('a king step to the castling square is kept as a variation', () => {
+    const pgn = `[Variant "Chess960"]\n[SetUp "1"]\n[FEN "${FEN}"]\n\n1. O-O-O (1. Kc1) *`;
+    const tree = new MoveTree();
+    tree.buildFromPGN(pgn, new Chess());
+
+    assert.equal(tree.mainline[1].san, 'O-O-O');
+    assert.deepEqual(tree.mainline[0].children.map(child => child.san), ['Kc1']);
+    assert.equal(tree.addMove(new Chess(FEN).move({ from: 'b1', to: 'c1' }), 'root').san, 'Kc1');
+});
@@ -0,0 +1,122 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_POSITION } from '../libs/chess.js';
+import { EvaluationProvider, EvalServerProvider, EvaluationProviders } from '../src/evaluation/EvaluationProviders.js';
+import { EvaluationCache } from '../src/evaluation/EvaluationCache.js';
+import { startEvalServer, installAjax } from '../mocks/evalServer.mjs';
+
+const context = { multiPV: 3, minDepth: 20 };
+
+// Stands in for the local engine, answering every position with one line
+class FallbackProvider extends EvaluationProvider {
+    constructor(options) {
+        super(options);
+        this.calls = 0;
+    }
+
+    get name() {
+        return 'Fallback';
+    }
+
+    async evaluate() {
+        this.calls++;
+        return { lines: [{ id: 1, uciMove: 'g1f3', depth: 20, score: 10, type: 'cp', pv: ['g1f3'] }], engine: this.name };
+    }
+}
+
+before(() => installAjax());
+
+test('the eval server answers before the providers after it', async () => {
+    const server = await startEvalServer({
+        pvs: [{ moves: 'e2e4 e7e5', cp: 30 }, { moves: 'd2d4 d7d5', cp: 25 }, { moves: 'f2f3 e7e5', mate: -4 }]
+    });
+    const evalServer = new EvalServerProvider({ url: server.url, priority: 2, timeout: 1000 });
+    const fallback = new FallbackProvider({ priority: 3 });
+
+    try {
+        const result = await EvaluationProviders.evaluate(DEFAULT_POSITION, context, [evalServer, fallback]);
+
+        assert.equal(result.engine, 'Eval Server');
+        assert.equal(fallback.calls, 0);
+        assert.deepEqual(server.requests, [{ fen: DEFAULT_POSITION, multiPv: 3 }]);
+        assert.deepEqual(result.lines[0], { id: 1, depth: 30, uciMove: 'e2e4', score: 30, type: 'cp', pv: ['e2e4', 'e7e5'] });
+        assert.deepEqual([result.lines[2].type, result.lines[2].score], ['mate', -4]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a server slower than its timeout falls back to the next provider', async () => {
+    const server = await startEvalServer({ delay: 300 });
+    const evalServer = new EvalServerProvider({ url: server.url, priority: 2, timeout: 100 });
+    const fallback = new FallbackProvider({ priority: 3 });
+
+    try {
+        const started = Date.now();
+        const result = await EvaluationProviders.evaluate(DEFAULT_POSITION, context, [evalServer, fallback]);
+
+        assert.equal(result.engine, 'Fallback');
+        assert.equal(fallback.calls, 1);
+        assert.ok(Date.now() - started < 300, 'waited for the slow server');
+    } finally {
+        await server.close();
+    }
+});
+
+test('shallow results and unknown positions fall back to the next provider', async () => {
+    const shallow = await startEvalServer({ depth: 12 });
+    const unknown = await startEvalServer({ unknown: [DEFAULT_POSITION] });
+    const fallback = new FallbackProvider({ priority: 3 });
+
+    try {
+        for (const server of [shallow, unknown]) {
+            const evalServer = new EvalServerProvider({ url: server.url, priority: 2, timeout: 1000 });
+            const result = await EvaluationProviders.evaluate(DEFAULT_POSITION, context, [evalServer, fallback]);
+
+            assert.equal(result.engine, 'Fallback');
+            assert.equal(server.requests.length, 1);
+        }
+        assert.equal(fallback.calls, 2);
+    } finally {
+        await Promise.all([shallow.close(), unknown.close()]);
+    }
+});
+
+test('a server that keeps timing out is skipped for a while', async () => {
+    const server = await startEvalServer({ delay: 300 });
+    const evalServer = new EvalServerProvider({ url: server.url, priority: 2, timeout: 50 });
+    const fallback = new FallbackProvider({ priority: 3 });
+
+    try {
+        for (let i = 0; i <= EvalServerProvider.maxFailures; i++) {
+            const result = await EvaluationProviders.evaluate(DEFAULT_POSITION, context, [evalServer, fallback]);
+            assert.equal(result.engine, 'Fallback');
+        }
+
+        assert.equal(server.requests.length, EvalServerProvider.maxFailures);
+        assert.equal(fallback.calls, EvalServerProvider.maxFailures + 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('providers are tried in the order of their priorities', () => {
+    const names = (settings) => EvaluationProviders.fromSettings(settings).map(provider => provider.name);
+    const server = { evalServerEnabled: true, evalServerUrl: 'http://127.0.0.1:9001/api/cloud-eval' };
+
+    assert.deepEqual(names({}), ['Cache', 'Local Engine']);
+    assert.deepEqual(names(server), ['Cache', 'Eval Server', 'Local Engine']);
+    assert.deepEqual(names({ ...server, evalServerPriority: 0 }), ['Eval Server', 'Cache', 'Local Engine']);
+    assert.deepEqual(names({ ...server, evalServerPriority: 4 }), ['Cache', 'Local Engine', 'Eval Server']);
+    assert.deepEqual(names({ ...server, tablebaseEnabled: true, evalServerPriority: 0 }), ['Tablebase', 'Eval Server', 'Cache', 'Local Engine']);
+});
+
+test('cached results are kept apart by the options that change them', () => {
+    const key = (options) => EvaluationCache.getKey(DEFAULT_POSITION, 'stockfish-17-lite', options);
+
+    assert.equal(key({ Threads: 4, Hash: 64, MultiPV: 3 }), key({}));
+    assert.equal(key({ 'Skill Level': 20 }), key({}));
+    assert.notEqual(key({ 'Skill Level': 5 }), key({}));
+    assert.equal(key({ 'Skill Level': '5', Contempt: 10 }), key({ Contempt: 10, 'Skill Level': 5 }));
+});
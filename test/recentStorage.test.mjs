@@ -0,0 +1,26 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RecentStorage } from '../src/evaluation/RecentStorage.js';
+
+let data;
+beforeEach(() => {
+    data = {};
+    globalThis.localStorage = {
+        getItem: (key) => data[key] ?? null,
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+});
+
+test('the least recently saved values are dropped first, integer-like keys too', () => {
+    RecentStorage.save('games', 'a1b2', 'first', 2);
+    RecentStorage.save('games', '83412', 'second', 2);
+    RecentStorage.save('games', 'c3d4', 'third', 2);
+
+    assert.equal(RecentStorage.get('games', 'a1b2'), null);
+    assert.deepEqual(RecentStorage.read('games').map(([key]) => key), ['83412', 'c3d4']);
+
+    RecentStorage.save('games', '83412', 'again', 2);
+    RecentStorage.save('games', 'e5f6', 'fourth', 2);
+    assert.deepEqual(RecentStorage.read('games'), [['83412', 'again'], ['e5f6', 'fourth']]);
+});
@@ -0,0 +1,159 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Tablebase, TablebaseResult } from '../src/evaluation/Tablebase.js';
+import { LocalTablebase } from '../src/evaluation/LocalTablebase.js';
+import { CacheProvider, TablebaseProvider } from '../src/evaluation/EvaluationProviders.js';
+import { EvaluationCache } from '../src/evaluation/EvaluationCache.js';
+import { Classification, MoveClassifier } from '../src/classification/MoveClassifier.js';
+import { startTablebaseServer } from '../mocks/tablebaseServer.mjs';
+import { installAjax } from '../mocks/evalServer.mjs';
+
+// Rook and pawn against rook, too big for the local tables
+const FIVE_PIECES = '8/8/8/4k3/8/8/4P3/R3K2r w - - 0 1';
+const FIVE_PIECES_BLACK = '8/8/8/4k3/8/8/4P3/R3K2r b - - 0 1';
+
+// King in front of its pawn on the sixth rank wins, whoever is to move
+const KPK = '4k3/8/4K3/4P3/8/8/8/8 w - - 0 1';
+
+before(() => installAjax());
+
+test('server moves become lines for the side to move', async () => {
+    const server = await startTablebaseServer({
+        positions: {
+            [FIVE_PIECES]: {
+                category: 'win',
+                moves: [
+                    { uci: 'e1f2', category: 'loss', dtz: -12, zeroing: false },
+                    { uci: 'e1d2', category: 'draw', dtz: 0, zeroing: false }
+                ]
+            },
+            [FIVE_PIECES_BLACK]: {
+                category: 'loss',
+                moves: [{ uci: 'e5d5', category: 'win', dtz: 7, zeroing: false }]
+            }
+        }
+    });
+
+    try {
+        const [win, draw] = await Tablebase.probe(server.url, FIVE_PIECES, 2, 1000);
+        assert.equal(win.uciMove, 'e1f2');
+        assert.deepEqual(win.tablebase, { result: TablebaseResult.WIN, dtz: 13 });
+        assert.equal(win.score, Tablebase.winScore - 13);
+        assert.equal(Tablebase.describe(win), 'Tablebase win in 13');
+        assert.deepEqual(draw.tablebase, { result: TablebaseResult.DRAW, dtz: 0 });
+
+        // Scores are from white's point of view, so black losing is still good for white
+        const [loss] = await Tablebase.probe(server.url, FIVE_PIECES_BLACK, 1, 1000);
+        assert.deepEqual(loss.tablebase, { result: TablebaseResult.LOSS, dtz: 8 });
+        assert.equal(loss.score, Tablebase.winScore - 8);
+    } finally {
+        await server.close();
+    }
+});
+
+test('unknown positions and servers that don\'t answer are told apart', async () => {
+    const server = await startTablebaseServer();
+    const slowServer = await startTablebaseServer({ delay: 500 });
+
+    try {
+        assert.equal(await Tablebase.probe(server.url, FIVE_PIECES, 1, 1000), null);
+        assert.equal(await Tablebase.probe(slowServer.url, FIVE_PIECES, 1, 100), undefined);
+    } finally {
+        await server.close();
+        await slowServer.close();
+    }
+});
+
+test('a tablebase that keeps timing out is skipped for a while', async () => {
+    const server = await startTablebaseServer({ delay: 500 });
+    const provider = new TablebaseProvider({ url: server.url, timeout: 100 });
+
+    try {
+        for (let i = 0; i < TablebaseProvider.maxFailures; i++) {
+            assert.equal(await provider.evaluate(FIVE_PIECES, {}), null);
+        }
+        assert.equal(server.requests.length, TablebaseProvider.maxFailures);
+
+        assert.equal(await provider.evaluate(FIVE_PIECES, {}), null);
+        assert.equal(server.requests.length, TablebaseProvider.maxFailures);
+    } finally {
+        await server.close();
+    }
+});
+
+test('three pieces are solved without asking the server', async () => {
+    const server = await startTablebaseServer();
+    const provider = new TablebaseProvider({ url: server.url, timeout: 1000 });
+
+    try {
+        const result = await provider.evaluate(KPK, { multiPV: 4 });
+        assert.equal(server.requests.length, 0);
+        assert.deepEqual(result.lines.map(line => [line.uciMove, line.tablebase.result]), [
+            ['e6f6', TablebaseResult.WIN],
+            ['e6d6', TablebaseResult.WIN],
+            ['e6f5', TablebaseResult.DRAW],
+            ['e6d5', TablebaseResult.DRAW]
+        ]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the local tables know the classic results', () => {
+    assert.equal(LocalTablebase.lookup('4k3/8/4K3/4P3/8/8/8/8 b - - 0 1').result, TablebaseResult.LOSS);
+
+    // The same position with colors swapped
+    assert.equal(LocalTablebase.lookup('8/8/8/8/4p3/4k3/8/4K3 w - - 0 1').result, TablebaseResult.LOSS);
+
+    // A rook pawn with the defending king in the corner can't win
+    assert.equal(LocalTablebase.lookup('k7/8/K7/P7/8/8/8/8 w - - 0 1').result, TablebaseResult.DRAW);
+
+    // Taking an undefended queen is the only move that doesn't lose
+    const [line] = Tablebase.probeLocal('8/8/8/8/8/8/1Q6/k6K b - - 0 1');
+    assert.equal(line.uciMove, 'a1b2');
+    assert.equal(line.tablebase.result, TablebaseResult.DRAW);
+
+    // The longest mates are in 10 moves with a queen and in 16 with a rook
+    const longest = (piece) => {
+        const { result, dtz } = LocalTablebase.getTable(piece);
+        return dtz.reduce((max, distance, i) => result[i] === TablebaseResult.WIN ? Math.max(max, distance) : max, 0);
+    };
+    assert.equal(longest('q'), 19);
+    assert.equal(longest('r'), 31);
+});
+
+test('tablebase results aren\'t kept in the evaluation cache', async () => {
+    const stored = [];
+    const set = EvaluationCache.set;
+    EvaluationCache.set = async (...args) => stored.push(args);
+
+    try {
+        const cache = new CacheProvider();
+        await cache.store(KPK, { lines: Tablebase.probeLocal(KPK), engine: 'Tablebase' }, { engineType: 'stockfish-17-lite' });
+        assert.equal(stored.length, 0);
+
+        await cache.store(KPK, { lines: [{ id: 1, uciMove: 'e6f6', depth: 20, score: 500, type: 'cp', pv: ['e6f6'] }], engine: 'Stockfish' }, { engineType: 'stockfish-17-lite' });
+        assert.equal(stored.length, 1);
+    } finally {
+        EvaluationCache.set = set;
+    }
+});
+
+test('tablebase moves are classified by the result they keep', () => {
+    const [best] = Tablebase.probeLocal(KPK);
+    const classify = (uciMove, fenAfter) => {
+        const move = { uciMove };
+        const classification = MoveClassifier.classifyTablebaseMove(move, best, Tablebase.probeLocal(fenAfter)[0]);
+        return { classification, centipawnLoss: move.centipawnLoss };
+    };
+
+    assert.deepEqual(classify('e6f6', '4k3/8/5K2/4P3/8/8/8/8 b - - 1 1'), { classification: Classification.PERFECT, centipawnLoss: 0 });
+    assert.deepEqual(classify('e6d6', '4k3/8/3K4/4P3/8/8/8/8 b - - 1 1'), { classification: Classification.EXCELLENT, centipawnLoss: 0 });
+    assert.deepEqual(classify('e6f5', '4k3/8/8/4PK2/8/8/8/8 b - - 1 1'), { classification: Classification.MISS, centipawnLoss: MoveClassifier.tablebaseResultLoss });
+
+    // Going from a draw to a loss
+    const drawn = { uciMove: 'a1b2', tablebase: { result: TablebaseResult.DRAW, dtz: 0 } };
+    const move = { uciMove: 'a1b1' };
+    assert.equal(MoveClassifier.classifyTablebaseMove(move, drawn, { tablebase: { result: TablebaseResult.WIN, dtz: 19 } }), Classification.BLUNDER);
+});